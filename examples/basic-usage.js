@@ -28,7 +28,7 @@ async function main() {
       .withDescription('Title of the rule')
     
     .string('ruleType')
-      .enum(['benefit', 'eligibility', 'contribution', 'payment', 'transfer', 'other'])
+      .oneOf(['benefit', 'eligibility', 'contribution', 'payment', 'transfer', 'other'])
     
     .string('ruleText').required()
       .withDescription('Full text of the rule')
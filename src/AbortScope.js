@@ -0,0 +1,118 @@
+/**
+ * AbortScope - Cancellation and timeout scope for extraction work
+ *
+ * Links a new AbortSignal to an optional parent signal (the caller's, or
+ * an enclosing scope's) and aborts it after `timeoutMs`. Abort reasons
+ * are always CancellationError or TimeoutError, so a cancelled run can be
+ * told from a timed out one by `error.code`.
+ */
+
+const { CancellationError, TimeoutError } = require('./errors');
+
+class AbortScope {
+  /**
+   * @param {AbortSignal} [parent] - Signal whose abort also aborts this scope
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Abort with a TimeoutError after this long
+   * @param {string} [options.scope] - What is being timed ('document', 'field', 'group')
+   * @param {string} [options.label] - Subject of the timeout message
+   */
+  constructor(parent = null, options = {}) {
+    this.controller = new AbortController();
+    this.parent = parent;
+    this.timer = null;
+    this._onParentAbort = () => this.abort(AbortScope.reasonOf(parent));
+
+    if (parent?.aborted) {
+      this._onParentAbort();
+    } else if (parent) {
+      parent.addEventListener('abort', this._onParentAbort, { once: true });
+    }
+
+    if (options.timeoutMs && !this.signal.aborted) {
+      this.timer = setTimeout(() => this.abort(new TimeoutError(
+        `${options.label || 'Extraction'} timed out after ${options.timeoutMs}ms`,
+        { scope: options.scope, timeoutMs: options.timeoutMs }
+      )), options.timeoutMs);
+    }
+  }
+
+  /**
+   * Signal to pass to the work running in this scope
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Abort the scope (no-op once aborted)
+   */
+  abort(reason = new CancellationError()) {
+    if (!this.signal.aborted) this.controller.abort(reason);
+  }
+
+  /**
+   * Stop the timer and detach from the parent signal
+   */
+  dispose() {
+    clearTimeout(this.timer);
+    this.parent?.removeEventListener('abort', this._onParentAbort);
+  }
+
+  /**
+   * Abort reason of a signal as a CancellationError or TimeoutError
+   */
+  static reasonOf(signal) {
+    const reason = signal.reason;
+    if (reason instanceof CancellationError || reason instanceof TimeoutError) return reason;
+    return new CancellationError(
+      reason instanceof Error && reason.name !== 'AbortError' ? `Extraction cancelled: ${reason.message}` : undefined,
+      { cause: reason }
+    );
+  }
+
+  /**
+   * Throw the abort reason if a signal has been aborted
+   */
+  static throwIfAborted(signal) {
+    if (signal?.aborted) throw AbortScope.reasonOf(signal);
+  }
+
+  /**
+   * Wait for `ms`, rejecting early if the signal aborts
+   */
+  static sleep(ms, signal) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+    if (signal.aborted) return Promise.reject(AbortScope.reasonOf(signal));
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(AbortScope.reasonOf(signal));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Settle with a promise, or reject as soon as the signal aborts
+   *
+   * Guards against providers that ignore the signal and never settle.
+   */
+  static race(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(AbortScope.reasonOf(signal));
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(AbortScope.reasonOf(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+module.exports = { AbortScope };
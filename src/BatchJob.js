@@ -0,0 +1,337 @@
+/**
+ * BatchJob - Resumable, checkpointed batch processing
+ *
+ * Runs documents through an ExtractionPipeline, a SchemaExtractor or an
+ * async function, recording each document's status in a storage adapter
+ * as it goes. After a crash or restart, a job with the same id and
+ * storage picks up where it stopped: completed documents are skipped,
+ * and failed ones are only re-run through retryFailed().
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStorage } = require('./storage/MemoryStorage');
+const { WorkQueue } = require('./WorkQueue');
+
+// Per-document checkpoint statuses
+const DocumentStatus = Object.freeze({
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+class BatchJob {
+  /**
+   * @param {Object} options
+   * @param {ExtractionPipeline|SchemaExtractor|Function} options.processor - What processes each document
+   * @param {string} [options.jobId] - Job identifier (reuse it to resume)
+   * @param {Object} [options.storage] - Storage adapter for checkpoints
+   * @param {string} [options.namespace] - Storage key prefix
+   * @param {number} [options.concurrency] - Documents in flight
+   * @param {boolean} [options.storeResults] - Keep each document's full result in its checkpoint
+   * @param {Function} [options.getDocumentId] - `(document, index) => id`; defaults to `document.id`, then a hash of the document
+   */
+  constructor(options = {}) {
+    if (!options.processor) {
+      throw new Error('BatchJob requires a processor (pipeline, extractor or function)');
+    }
+
+    this.processor = options.processor;
+    this.jobId = options.jobId || uuidv4();
+    this.storage = options.storage || new MemoryStorage();
+    this.namespace = options.namespace || 'batch-job';
+    this.concurrency = options.concurrency ?? 3;
+    this.storeResults = options.storeResults ?? true;
+    this.getDocumentId = options.getDocumentId ||
+      (document => document?.id != null ? String(document.id) : this._hashDocument(document));
+    this.running = false;
+  }
+
+  /**
+   * Process every document that has not finished yet
+   *
+   * Starts the job, or resumes it from its checkpoints: completed and
+   * failed documents are skipped, and documents left processing by an
+   * interrupted run are started again. Accepts the processBatch()
+   * options (`concurrency`, `priority`, `onProgress`, `signal`); the rest
+   * are passed to the processor.
+   */
+  async run(documents, options = {}) {
+    return this._run(documents, options, entry =>
+      !entry || entry.status === DocumentStatus.PENDING || entry.status === DocumentStatus.PROCESSING
+    );
+  }
+
+  /**
+   * Re-run only the documents that failed
+   */
+  async retryFailed(documents, options = {}) {
+    return this._run(documents, options, entry => entry?.status === DocumentStatus.FAILED);
+  }
+
+  /**
+   * Job progress from its checkpoints, or null if the job has never run
+   *
+   * `state` is 'running', 'completed', 'completed_with_errors',
+   * 'cancelled', or 'interrupted' when a run stopped without finishing.
+   */
+  async getStatus() {
+    const header = await this.storage.read(this._jobKey());
+    if (!header) return null;
+
+    const entries = Array.from((await this._loadEntries()).values());
+    const count = status => entries.filter(e => e.status === status).length;
+    const counts = {
+      pending: 0,
+      processing: count(DocumentStatus.PROCESSING),
+      completed: count(DocumentStatus.COMPLETED),
+      failed: count(DocumentStatus.FAILED)
+    };
+    counts.pending = Math.max(0, header.total - counts.processing - counts.completed - counts.failed);
+
+    let state = header.state;
+    if (state === 'running' && !this.running) state = 'interrupted';
+
+    return {
+      jobId: this.jobId,
+      state,
+      total: header.total,
+      counts,
+      percentage: header.total > 0
+        ? Math.round(((counts.completed + counts.failed) / header.total) * 100)
+        : 100,
+      runs: header.runs,
+      createdAt: header.createdAt,
+      updatedAt: header.updatedAt
+    };
+  }
+
+  /**
+   * Per-document checkpoints in input order, optionally by status
+   */
+  async getDocuments(filter = {}) {
+    const entries = Array.from((await this._loadEntries()).values())
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .sort((a, b) => a.index - b.index);
+
+    return entries.map(({ result, ...entry }) => entry);
+  }
+
+  /**
+   * Results of the completed documents in input order (requires
+   * `storeResults`)
+   */
+  async getResults() {
+    return Array.from((await this._loadEntries()).values())
+      .filter(entry => entry.status === DocumentStatus.COMPLETED)
+      .sort((a, b) => a.index - b.index)
+      .map(entry => ({
+        documentId: entry.documentId,
+        index: entry.index,
+        outcome: entry.outcome,
+        result: entry.result
+      }));
+  }
+
+  /**
+   * Remove the job and all of its checkpoints
+   */
+  async delete() {
+    for (const entry of (await this._loadEntries()).values()) {
+      await this.storage.delete(this._documentKey(entry.documentId));
+    }
+    return this.storage.delete(this._jobKey());
+  }
+
+  /**
+   * Run the documents selected by `shouldProcess(checkpoint)`
+   */
+  async _run(documents, options, shouldProcess) {
+    if (this.running) {
+      throw new Error(`Batch job ${this.jobId} is already running`);
+    }
+    this.running = true;
+
+    try {
+      const items = documents.map((document, index) => ({ document, index, id: this.getDocumentId(document, index) }));
+      this._checkUniqueIds(items);
+
+      const now = new Date().toISOString();
+      const header = (await this.storage.read(this._jobKey())) || {
+        type: 'batch-job',
+        jobId: this.jobId,
+        createdAt: now,
+        runs: 0
+      };
+      Object.assign(header, { total: documents.length, state: 'running', runs: header.runs + 1, updatedAt: now });
+      await this.storage.write(this._jobKey(), header);
+
+      const entries = await this._loadEntries();
+      const todo = items.filter(item => shouldProcess(entries.get(item.id)));
+
+      const { concurrency, priority, onProgress, ...processOptions } = options;
+      const queue = new WorkQueue({ concurrency: concurrency ?? this.concurrency });
+
+      await queue.run(
+        todo,
+        item => this._processDocument(item, entries.get(item.id), processOptions),
+        {
+          priority: typeof priority === 'function'
+            ? item => priority(item.document, item.index)
+            : Array.isArray(priority) ? item => priority[item.index] : undefined,
+          onProgress: onProgress && (progress => onProgress({
+            processed: progress.processed,
+            total: progress.total,
+            percentage: progress.percentage,
+            index: progress.result.index,
+            documentId: progress.result.documentId,
+            status: progress.result.status
+          }))
+        }
+      );
+
+      const status = await this.getStatus();
+      header.state = processOptions.signal?.aborted
+        ? 'cancelled'
+        : status.counts.failed > 0 ? 'completed_with_errors' : 'completed';
+      header.updatedAt = new Date().toISOString();
+      await this.storage.write(this._jobKey(), header);
+
+      return {
+        ...status,
+        state: header.state,
+        updatedAt: header.updatedAt,
+        processed: todo.length,
+        skipped: documents.length - todo.length
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Process one document, checkpointing before and after
+   */
+  async _processDocument(item, previous, options) {
+    const entry = {
+      type: 'batch-job-document',
+      jobId: this.jobId,
+      documentId: item.id,
+      index: item.index,
+      status: DocumentStatus.PROCESSING,
+      attempts: (previous?.attempts || 0) + 1,
+      startedAt: new Date().toISOString()
+    };
+    await this._writeEntry(entry);
+
+    let outcome;
+    try {
+      outcome = this._outcomeOf(await this._invoke(item.document, options));
+    } catch (error) {
+      outcome = { error };
+    }
+
+    if (outcome.error?.code === 'CANCELLED') {
+      // Cancelled documents run again on the next run()
+      entry.status = DocumentStatus.PENDING;
+    } else if (outcome.error) {
+      entry.status = DocumentStatus.FAILED;
+    } else {
+      entry.status = DocumentStatus.COMPLETED;
+      entry.outcome = outcome.outcome;
+    }
+    entry.error = outcome.error?.message;
+    entry.errorCode = outcome.error?.code;
+    entry.result = this.storeResults ? outcome.result : undefined;
+    entry.completedAt = new Date().toISOString();
+    await this._writeEntry(entry);
+
+    return entry;
+  }
+
+  /**
+   * Run the processor on one document
+   */
+  async _invoke(document, options) {
+    if (typeof this.processor.process === 'function') return this.processor.process(document, options);
+    if (typeof this.processor.extract === 'function') return this.processor.extract(document, options);
+    return this.processor(document, options);
+  }
+
+  /**
+   * Classify a processor result; pipeline runs report failures in their
+   * status rather than by throwing
+   */
+  _outcomeOf(result) {
+    const status = result?.pipelineRunId ? result.status : undefined;
+
+    if (status === 'error' || status === 'timed_out' || status === 'cancelled') {
+      const error = new Error(result.error || `Pipeline run ${status}`);
+      error.code = result.errorCode || (status === 'cancelled' ? 'CANCELLED' : status.toUpperCase());
+      return { error, result };
+    }
+
+    return { outcome: status || DocumentStatus.COMPLETED, result };
+  }
+
+  /**
+   * Refuse documents that share an id (their checkpoints would collide),
+   * before anything is written
+   */
+  _checkUniqueIds(items) {
+    const seen = new Set();
+    for (const item of items) {
+      if (seen.has(item.id)) {
+        throw new Error(`Duplicate document id in batch job ${this.jobId}: ${item.id}`);
+      }
+      seen.add(item.id);
+    }
+  }
+
+  /**
+   * Id of a document without one: a hash of its content, so the same
+   * document gets the same checkpoint however the list is ordered
+   */
+  _hashDocument(document) {
+    const content = typeof document === 'string' ? document : JSON.stringify(document) ?? String(document);
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Checkpoints of this job by document id
+   */
+  async _loadEntries() {
+    const entries = new Map();
+    for (const record of await this.storage.list(this._documentKey(''))) {
+      if (record?.type === 'batch-job-document' && record.jobId === this.jobId) {
+        entries.set(record.documentId, record);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Write a document checkpoint
+   */
+  async _writeEntry(entry) {
+    entry.updatedAt = new Date().toISOString();
+    await this.storage.write(this._documentKey(entry.documentId), entry);
+  }
+
+  /**
+   * Storage key of the job record
+   */
+  _jobKey() {
+    return `${this.namespace}-${this.jobId}`;
+  }
+
+  /**
+   * Storage key of a document checkpoint
+   */
+  _documentKey(documentId) {
+    return `${this.namespace}-${this.jobId}-doc-${documentId}`;
+  }
+}
+
+module.exports = { BatchJob, DocumentStatus };
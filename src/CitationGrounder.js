@@ -0,0 +1,259 @@
+/**
+ * CitationGrounder - Verify quoted citations against the source document
+ *
+ * Locates LLM-quoted source text in the original document (exact match,
+ * then whitespace/case-insensitive match, then fuzzy match) and fills in
+ * offsets so every citation can be traced, or flags it as hallucinated.
+ */
+
+class CitationGrounder {
+  constructor(options = {}) {
+    this.fuzzyThreshold = options.fuzzyThreshold ?? 0.85;
+    this.maxFuzzyCandidates = options.maxFuzzyCandidates ?? 5;
+    this.maxFuzzyLength = options.maxFuzzyLength ?? 1000;
+  }
+
+  /**
+   * Ground a citation in the document text
+   *
+   * Returns a copy of the citation with startOffset/endOffset/chunkIndex,
+   * `grounded`, `matchType` ('exact' | 'normalized' | 'fuzzy') and
+   * `matchScore`, or `grounded: false, hallucinated: true`.
+   */
+  ground(citation, text, chunks = []) {
+    const quote = citation.text;
+    if (!quote || typeof quote !== 'string' || !text) {
+      return { ...citation, grounded: false, hallucinated: true, matchScore: 0 };
+    }
+
+    const match = this._findExact(quote, text)
+      || this._findNormalized(quote, text)
+      || this._findFuzzy(quote, text);
+
+    if (!match) {
+      return { ...citation, grounded: false, hallucinated: true, matchScore: 0 };
+    }
+
+    const chunk = chunks.find(c => match.start >= c.startOffset && match.start < c.endOffset);
+
+    return {
+      ...citation,
+      startOffset: match.start,
+      endOffset: match.end,
+      chunkIndex: chunk ? chunk.index : citation.chunkIndex,
+      grounded: true,
+      hallucinated: false,
+      matchType: match.type,
+      matchScore: match.score,
+      matchedText: match.type === 'exact' ? undefined : text.slice(match.start, match.end)
+    };
+  }
+
+  /**
+   * Exact substring match
+   */
+  _findExact(quote, text) {
+    const index = text.indexOf(quote);
+    if (index === -1) return null;
+    return { start: index, end: index + quote.length, type: 'exact', score: 1 };
+  }
+
+  /**
+   * Match ignoring case, whitespace runs and typographic quotes/dashes
+   */
+  _findNormalized(quote, text) {
+    const normalizedQuote = this._normalize(quote).text.trim();
+    if (!normalizedQuote) return null;
+
+    const normalizedText = this._prepare(text).normalized;
+    const index = normalizedText.text.indexOf(normalizedQuote);
+    if (index === -1) return null;
+
+    return {
+      start: normalizedText.map[index],
+      end: normalizedText.ends[index + normalizedQuote.length - 1],
+      type: 'normalized',
+      score: 0.98
+    };
+  }
+
+  /**
+   * Fuzzy match: find candidate word windows by token overlap, then
+   * score them by edit-distance similarity
+   */
+  _findFuzzy(quote, text) {
+    const quoteTokens = this._tokenize(quote);
+    const n = quoteTokens.length;
+    if (n === 0 || quote.length > this.maxFuzzyLength) return null;
+
+    const textTokens = this._prepare(text).tokens;
+    if (textTokens.length === 0) return null;
+
+    const quoteCounts = new Map();
+    for (const token of quoteTokens) {
+      quoteCounts.set(token.value, (quoteCounts.get(token.value) || 0) + 1);
+    }
+
+    // Slide a window of n tokens, tracking multiset overlap incrementally
+    const windowCounts = new Map();
+    const candidates = [];
+    let overlap = 0;
+
+    for (let i = 0; i < textTokens.length; i++) {
+      const added = textTokens[i].value;
+      const addedCount = windowCounts.get(added) || 0;
+      if (addedCount < (quoteCounts.get(added) || 0)) overlap++;
+      windowCounts.set(added, addedCount + 1);
+
+      if (i >= n) {
+        const removed = textTokens[i - n].value;
+        const removedCount = windowCounts.get(removed);
+        if (removedCount <= (quoteCounts.get(removed) || 0)) overlap--;
+        windowCounts.set(removed, removedCount - 1);
+      }
+
+      if (i >= n - 1 || i === textTokens.length - 1) {
+        const start = Math.max(0, i - n + 1);
+        candidates.push({ start, end: i, overlap });
+      }
+    }
+
+    const minOverlap = Math.ceil(n * 0.5);
+    const best = candidates
+      .filter(c => c.overlap >= minOverlap)
+      .sort((a, b) => b.overlap - a.overlap || a.start - b.start)
+      .slice(0, this.maxFuzzyCandidates);
+
+    const target = quoteTokens.map(t => t.value).join(' ');
+    let bestMatch = null;
+
+    for (const candidate of best) {
+      // Allow the window to grow or shrink by a word at either end, since
+      // paraphrased quotes rarely have exactly the same word count
+      for (const startShift of [-1, 0, 1]) {
+        for (const endShift of [-1, 0, 1]) {
+          const start = candidate.start + startShift;
+          const end = candidate.end + endShift;
+          if (start < 0 || end >= textTokens.length || end < start) continue;
+
+          const windowText = textTokens
+            .slice(start, end + 1)
+            .map(t => t.value)
+            .join(' ');
+          const score = this._similarity(target, windowText);
+
+          if (score >= this.fuzzyThreshold && (!bestMatch || score > bestMatch.score)) {
+            bestMatch = {
+              start: textTokens[start].start,
+              end: textTokens[end].end,
+              type: 'fuzzy',
+              score
+            };
+          }
+        }
+      }
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Normalise and tokenize the document once, reusing it across citations
+   */
+  _prepare(text) {
+    if (this._prepared?.source !== text) {
+      this._prepared = {
+        source: text,
+        normalized: this._normalize(text),
+        tokens: this._tokenize(text)
+      };
+    }
+    return this._prepared;
+  }
+
+  /**
+   * Normalise text, keeping maps from each normalised code unit to the
+   * start and end of the original character it came from
+   *
+   * Characters are lower-cased one at a time, since lower-casing can
+   * change the length ('İ' becomes 'i' and a combining dot).
+   */
+  _normalize(text) {
+    const replacements = {
+      '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"',
+      '\u2013': '-', '\u2014': '-'
+    };
+    let normalized = '';
+    const map = [];
+    const ends = [];
+    let previousSpace = false;
+
+    for (let i = 0; i < text.length;) {
+      const original = String.fromCodePoint(text.codePointAt(i));
+      const end = i + original.length;
+      let char = replacements[original] || original;
+      if (/\s/.test(char)) {
+        if (previousSpace) {
+          i = end;
+          continue;
+        }
+        char = ' ';
+        previousSpace = true;
+      } else {
+        previousSpace = false;
+      }
+
+      const lower = char.toLowerCase();
+      normalized += lower;
+      for (let k = 0; k < lower.length; k++) {
+        map.push(i);
+        ends.push(end);
+      }
+      i = end;
+    }
+
+    return { text: normalized, map, ends };
+  }
+
+  /**
+   * Split into lowercase word tokens with original offsets
+   */
+  _tokenize(text) {
+    const tokens = [];
+    const regex = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      tokens.push({
+        value: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Similarity ratio from Levenshtein distance (1 = identical)
+   */
+  _similarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / maxLength;
+  }
+}
+
+module.exports = { CitationGrounder };
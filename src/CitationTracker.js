@@ -33,9 +33,12 @@ class CitationTracker {
       chunkIndex: citation.chunkIndex,
       pageNumber: citation.pageNumber,
       sectionId: citation.sectionId,
+      sectionTitle: citation.sectionTitle,
       fieldName: citation.fieldName,
       extractionId: citation.extractionId,
       confidence: citation.confidence ?? 1.0,
+      grounded: citation.grounded,
+      matchType: citation.matchType,
       reasoning: citation.reasoning,
       createdAt: new Date().toISOString(),
       metadata: citation.metadata || {}
@@ -102,6 +105,7 @@ class CitationTracker {
       type: sourceInfo.type,
       path: sourceInfo.path,
       hash: sourceInfo.hash,
+      text: sourceInfo.text,
       version: sourceInfo.version,
       registeredAt: new Date().toISOString(),
       metadata: sourceInfo.metadata || {}
@@ -109,6 +113,29 @@ class CitationTracker {
     return sourceId;
   }
 
+  /**
+   * Return the original source text a citation points at
+   *
+   * Accepts a citation or citation id. Uses `sourceText` if given,
+   * otherwise the text of the citation's registered source document.
+   * Returns null when the citation has no offsets or no text is known.
+   */
+  resolveText(citationOrId, sourceText) {
+    const citation = typeof citationOrId === 'string'
+      ? this.citations.get(citationOrId)
+      : citationOrId;
+    if (!citation || typeof citation.startOffset !== 'number' || typeof citation.endOffset !== 'number') {
+      return null;
+    }
+
+    const text = sourceText ?? this.sourceDocuments.get(citation.sourceDocument)?.text;
+    if (typeof text !== 'string' || citation.endOffset > text.length) {
+      return null;
+    }
+
+    return text.slice(citation.startOffset, citation.endOffset);
+  }
+
   /**
    * Validate citations against requirements
    */
@@ -156,6 +183,20 @@ class CitationTracker {
       }
     }
 
+    // Check citations that could not be located in the source
+    const ungroundedCitations = citations.filter(c => c.grounded === false);
+    if (ungroundedCitations.length > 0) {
+      warnings.push({
+        code: 'UNGROUNDED_CITATIONS',
+        message: `${ungroundedCitations.length} citation(s) could not be found in the source document`,
+        citations: ungroundedCitations.map(c => ({
+          id: c.id,
+          field: c.fieldName,
+          text: c.text
+        }))
+      });
+    }
+
     // Check citation confidence
     const lowConfidenceCitations = citations.filter(
       c => c.confidence < (options.confidenceThreshold ?? 0.7)
@@ -0,0 +1,343 @@
+/**
+ * ComputedFieldEvaluator - Evaluate derived fields over extracted data
+ *
+ * A computed field is defined by an arithmetic expression over other
+ * fields ('currentAssets / currentLiabilities') or a function of the
+ * data with its `dependsOn` fields listed. Expressions are parsed, never
+ * eval'd: they support numbers, field names (dotted for object
+ * properties), + - * / %, parentheses and the functions min, max, abs
+ * and round(value, decimals). A computed value is null while any input
+ * is missing or the result is not a finite number (e.g. division by
+ * zero).
+ */
+
+// Functions available to expressions
+const BUILT_IN_FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: value => Math.abs(value),
+  round: (value, decimals = 0) => Math.round(value * 10 ** decimals) / 10 ** decimals
+};
+
+// Default allowed difference between a computed and a stated value
+const DEFAULT_TOLERANCE = 0.01;
+
+class ComputedFieldEvaluator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.functions] - Extra expression functions by name
+   */
+  constructor(options = {}) {
+    this.functions = { ...BUILT_IN_FUNCTIONS, ...options.functions };
+    this.compiled = new Map();
+  }
+
+  /**
+   * Top-level fields a computed field reads
+   */
+  dependenciesOf(field) {
+    const { expression, dependsOn } = field.computed;
+    if (dependsOn?.length) return [...new Set(dependsOn.map(name => name.split('.')[0]))];
+    if (typeof expression === 'function') {
+      throw this._invalid(`Computed field "${field.name}" uses a function and must list dependsOn`);
+    }
+
+    const refs = new Set();
+    const collect = node => {
+      if (node.type === 'ref') refs.add(node.path[0]);
+      for (const child of node.args || []) collect(child);
+    };
+    collect(this.compile(expression));
+    return Array.from(refs);
+  }
+
+  /**
+   * The computed fields of a schema in evaluation order, so every field
+   * comes after the computed fields it depends on
+   *
+   * Throws INVALID_COMPUTED_FIELD for unknown dependencies and cycles.
+   */
+  order(fields) {
+    const names = new Set(fields.map(field => field.name));
+    const computed = fields.filter(field => field.computed);
+    const byName = new Map(computed.map(field => [field.name, field]));
+    const ordered = [];
+    const state = new Map();
+
+    const visit = (field, trail) => {
+      if (state.get(field.name) === 'done') return;
+      if (state.get(field.name) === 'visiting') {
+        throw this._invalid(`Computed fields form a cycle: ${[...trail, field.name].join(' -> ')}`);
+      }
+      state.set(field.name, 'visiting');
+
+      for (const dependency of this.dependenciesOf(field)) {
+        if (!names.has(dependency)) {
+          throw this._invalid(`Computed field "${field.name}" depends on unknown field "${dependency}"`);
+        }
+        if (byName.has(dependency)) visit(byName.get(dependency), [...trail, field.name]);
+      }
+
+      state.set(field.name, 'done');
+      ordered.push(field);
+    };
+
+    computed.forEach(field => visit(field, []));
+    return ordered;
+  }
+
+  /**
+   * Evaluate one computed field over the data
+   *
+   * @returns {{ value: number|null, inputs: Object }} The value and the
+   *   input values it was computed from
+   */
+  evaluate(field, data) {
+    const { expression, decimals } = field.computed;
+    const inputs = {};
+    for (const name of field.computed.dependsOn || []) {
+      inputs[name] = this._resolve(data, name.split('.'));
+    }
+
+    let value;
+    if (typeof expression === 'function') {
+      value = Object.values(inputs).some(input => input == null) ? null : expression(data);
+    } else {
+      value = this._evaluateNode(this.compile(expression), data, inputs);
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) value = null;
+    if (value !== null && decimals != null) value = BUILT_IN_FUNCTIONS.round(value, decimals);
+
+    return { value, inputs };
+  }
+
+  /**
+   * Compare a computed value with a stated one
+   *
+   * `tolerance` is an absolute difference (default 0.01) or a percentage
+   * of the stated value such as '1%'.
+   */
+  reconcile(computedValue, statedValue, tolerance = DEFAULT_TOLERANCE) {
+    const difference = Math.abs(computedValue - statedValue);
+    const allowed = typeof tolerance === 'string' && tolerance.trim().endsWith('%')
+      ? Math.abs(statedValue) * parseFloat(tolerance) / 100
+      : Number(tolerance);
+
+    // Allow for floating-point error at the boundary (0.31 - 0.3 > 0.01)
+    return { matches: difference <= allowed + 1e-9, difference, allowed };
+  }
+
+  /**
+   * Parse an expression (cached)
+   */
+  compile(expression) {
+    if (!this.compiled.has(expression)) {
+      this.compiled.set(expression, new ExpressionParser(expression, this.functions).parse());
+    }
+    return this.compiled.get(expression);
+  }
+
+  /**
+   * Evaluate a parsed expression, recording the field values it reads
+   */
+  _evaluateNode(node, data, inputs) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'ref': {
+        const value = this._resolve(data, node.path);
+        inputs[node.path.join('.')] = value;
+        return typeof value === 'number' ? value : null;
+      }
+      case 'negate': {
+        const value = this._evaluateNode(node.args[0], data, inputs);
+        return value === null ? null : -value;
+      }
+      case 'call': {
+        const args = node.args.map(arg => this._evaluateNode(arg, data, inputs));
+        return args.some(arg => arg === null) ? null : this.functions[node.name](...args);
+      }
+      default: {
+        const left = this._evaluateNode(node.args[0], data, inputs);
+        const right = this._evaluateNode(node.args[1], data, inputs);
+        if (left === null || right === null) return null;
+        switch (node.type) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? null : left / right;
+          case '%': return right === 0 ? null : left % right;
+        }
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Value at a property path
+   */
+  _resolve(data, path) {
+    let value = data;
+    for (const key of path) {
+      if (value == null) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Build an INVALID_COMPUTED_FIELD error
+   */
+  _invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_COMPUTED_FIELD';
+    return error;
+  }
+}
+
+/**
+ * Recursive-descent parser for computed field expressions
+ */
+class ExpressionParser {
+  constructor(expression, functions) {
+    this.expression = String(expression);
+    this.functions = functions;
+    this.tokens = this._tokenize(this.expression);
+    this.position = 0;
+  }
+
+  /**
+   * Parse the whole expression into a node tree
+   */
+  parse() {
+    const node = this._additive();
+    if (this.position < this.tokens.length) {
+      this._fail(`unexpected "${this.tokens[this.position].text}"`);
+    }
+    return node;
+  }
+
+  /**
+   * Sums and differences
+   */
+  _additive() {
+    let node = this._multiplicative();
+    while (this._peek('+') || this._peek('-')) {
+      const type = this.tokens[this.position++].text;
+      node = { type, args: [node, this._multiplicative()] };
+    }
+    return node;
+  }
+
+  /**
+   * Products, quotients and remainders
+   */
+  _multiplicative() {
+    let node = this._unary();
+    while (this._peek('*') || this._peek('/') || this._peek('%')) {
+      const type = this.tokens[this.position++].text;
+      node = { type, args: [node, this._unary()] };
+    }
+    return node;
+  }
+
+  /**
+   * Signed operands
+   */
+  _unary() {
+    if (this._accept('-')) return { type: 'negate', args: [this._unary()] };
+    if (this._accept('+')) return this._unary();
+    return this._primary();
+  }
+
+  /**
+   * Numbers, field references, function calls and parenthesised groups
+   */
+  _primary() {
+    const token = this.tokens[this.position++];
+    if (!token) this._fail('unexpected end of expression');
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+
+    if (token.type === 'name') {
+      if (!this._accept('(')) return { type: 'ref', path: token.text.split('.') };
+
+      if (!Object.hasOwn(this.functions, token.text)) this._fail(`unknown function "${token.text}"`);
+      const args = [];
+      if (!this._accept(')')) {
+        do {
+          args.push(this._additive());
+        } while (this._accept(','));
+        this._expect(')');
+      }
+      return { type: 'call', name: token.text, args };
+    }
+
+    if (token.text === '(') {
+      const node = this._additive();
+      this._expect(')');
+      return node;
+    }
+
+    this._fail(`unexpected "${token.text}"`);
+  }
+
+  /**
+   * Split an expression into number, name and symbol tokens
+   */
+  _tokenize(expression) {
+    const tokens = [];
+    const regex = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|([-+*/%(),]))/y;
+    let index = 0;
+
+    while (index < expression.length) {
+      if (/^\s*$/.test(expression.slice(index))) break;
+      regex.lastIndex = index;
+      const match = regex.exec(expression);
+      if (!match) this._fail(`unexpected character "${expression.slice(index).trim()[0]}"`);
+
+      if (match[1] !== undefined) tokens.push({ type: 'number', text: match[1], value: parseFloat(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: 'name', text: match[2] });
+      else tokens.push({ type: 'symbol', text: match[3] });
+      index = regex.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Whether the next token is a symbol
+   */
+  _peek(symbol) {
+    const token = this.tokens[this.position];
+    return token?.type === 'symbol' && token.text === symbol;
+  }
+
+  /**
+   * Consume the next token if it is a symbol
+   */
+  _accept(symbol) {
+    if (!this._peek(symbol)) return false;
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Consume a required symbol
+   */
+  _expect(symbol) {
+    if (!this._accept(symbol)) this._fail(`expected "${symbol}"`);
+  }
+
+  /**
+   * Throw an INVALID_EXPRESSION error
+   */
+  _fail(message) {
+    const error = new Error(`Invalid expression "${this.expression}": ${message}`);
+    error.code = 'INVALID_EXPRESSION';
+    throw error;
+  }
+}
+
+module.exports = { ComputedFieldEvaluator };
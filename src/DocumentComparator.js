@@ -287,6 +287,9 @@ class DocumentComparator {
         } else {
           report.push(`  Removed: ${this._formatValue(diff.valueA)}`);
         }
+        for (const nested of this._flattenNestedChanges(diff)) {
+          report.push(`  ${nested.path}: ${nested.type} (${this._formatValue(nested.valueA)} → ${this._formatValue(nested.valueB)})`);
+        }
         if (diff.significance) {
           report.push(`  Significance: ${(diff.significance * 100).toFixed(0)}%`);
         }
@@ -308,12 +311,15 @@ class DocumentComparator {
 
   /**
    * Compare two values and return difference info
+   *
+   * `path` qualifies nested differences (e.g. `tiers[2].rate`).
    */
-  _compareValues(valueA, valueB, field, options) {
+  _compareValues(valueA, valueB, field, options, path = field) {
     // Handle undefined/null cases
     if (valueA === undefined && valueB !== undefined) {
       return {
         field,
+        path,
         type: 'added',
         valueA: null,
         valueB,
@@ -324,6 +330,7 @@ class DocumentComparator {
     if (valueA !== undefined && valueB === undefined) {
       return {
         field,
+        path,
         type: 'removed',
         valueA,
         valueB: null,
@@ -353,14 +360,15 @@ class DocumentComparator {
       };
     } else if (Array.isArray(valueA) && Array.isArray(valueB)) {
       type = 'array_change';
-      details = this._compareArrays(valueA, valueB);
+      details = this._compareArrays(valueA, valueB, path);
     } else if (this.deepCompare && typeof valueA === 'object' && typeof valueB === 'object') {
       type = 'object_change';
-      details = this._compareObjects(valueA, valueB);
+      details = this._compareObjects(valueA, valueB, path);
     }
 
     return {
       field,
+      path,
       type,
       valueA,
       valueB,
@@ -384,27 +392,38 @@ class DocumentComparator {
   /**
    * Compare two arrays
    */
-  _compareArrays(arrA, arrB) {
+  _compareArrays(arrA, arrB, path) {
     const added = arrB.filter(b => !arrA.some(a => this._areEqual(a, b)));
     const removed = arrA.filter(a => !arrB.some(b => this._areEqual(a, b)));
+
+    // Element-by-element differences by position, recursing into objects
+    const elementChanges = [];
+    if (this.deepCompare) {
+      const length = Math.max(arrA.length, arrB.length);
+      for (let i = 0; i < length; i++) {
+        const diff = this._compareValues(arrA[i], arrB[i], i, {}, `${path}[${i}]`);
+        if (diff) elementChanges.push(diff);
+      }
+    }
     
     return {
       itemsAdded: added.length,
       itemsRemoved: removed.length,
       added,
-      removed
+      removed,
+      elementChanges
     };
   }
 
   /**
    * Compare two objects (deep)
    */
-  _compareObjects(objA, objB) {
+  _compareObjects(objA, objB, path) {
     const changes = [];
     const allKeys = new Set([...Object.keys(objA || {}), ...Object.keys(objB || {})]);
 
     for (const key of allKeys) {
-      const diff = this._compareValues(objA?.[key], objB?.[key], key, {});
+      const diff = this._compareValues(objA?.[key], objB?.[key], key, {}, path ? `${path}.${key}` : key);
       if (diff) changes.push(diff);
     }
 
@@ -414,6 +433,19 @@ class DocumentComparator {
     };
   }
 
+  /**
+   * Collect leaf-level nested changes (object properties and array elements)
+   */
+  _flattenNestedChanges(diff) {
+    const nested = [...(diff.changes || []), ...(diff.elementChanges || [])];
+    if (nested.length === 0) return [];
+
+    return nested.flatMap(change => {
+      const leaves = this._flattenNestedChanges(change);
+      return leaves.length > 0 ? leaves : [change];
+    });
+  }
+
   /**
    * Calculate significance of a change
    */
@@ -86,8 +86,127 @@ class DocumentRegister {
       throw new Error(`Document not found: ${id}`);
     }
 
+    const updated = await this._createVersion(existing, document, options);
+
+    // Audit log
+    if (this.enableAuditLog) {
+      this._logAudit('UPDATE', id, {
+        previousVersion: existing.version,
+        newVersion: updated.version,
+        effectiveFrom: updated.effectiveFrom,
+        userId: options.userId,
+        changeReason: options.changeReason
+      });
+    }
+
+    return {
+      id,
+      version: updated.version,
+      previousVersion: existing.version,
+      updatedAt: updated.updatedAt,
+      status: 'updated'
+    };
+  }
+
+  /**
+   * Migrate entries to a newer schema version
+   *
+   * Runs each entry's data and citations through the migrator's chain of
+   * migrations from the entry's schema version, storing the result as a
+   * new version that takes over the current version's effective period,
+   * with the migration recorded in its metadata and a MIGRATE audit entry.
+   * Entries of other schemas or already at the target version are skipped.
+   *
+   * @param {SchemaMigrator} migrator
+   * @param {Object} [options]
+   * @param {string} [options.toVersion] - Target version (default: the migrator's latest)
+   * @param {string} [options.fromVersion] - Version assumed for entries that record none
+   * @param {string[]} [options.ids] - Only migrate these entries
+   * @param {boolean} [options.dryRun] - Report what would change without storing it
+   */
+  async migrate(migrator, options = {}) {
+    const toVersion = options.toVersion || migrator.latestVersion();
+    const results = { toVersion, migrated: [], skipped: [], failed: [] };
+
+    const entries = this.storage instanceof Map
+      ? Array.from(this.storage.values())
+      : await this.storage.list();
+
+    for (const entry of entries) {
+      if (options.ids && !options.ids.includes(entry.id)) continue;
+
+      const schemaId = entry.metadata?.schemaId;
+      const fromVersion = entry.metadata?.schemaVersion || options.fromVersion;
+      if (migrator.schemaId && schemaId && schemaId !== migrator.schemaId) {
+        results.skipped.push({ id: entry.id, reason: 'other-schema' });
+        continue;
+      }
+      if (fromVersion === toVersion) {
+        results.skipped.push({ id: entry.id, reason: 'up-to-date' });
+        continue;
+      }
+
+      try {
+        const migrated = migrator.migrateResult(
+          { data: entry.data, citations: entry.citations, schemaVersion: fromVersion },
+          toVersion
+        );
+        const migration = {
+          fromSchemaVersion: fromVersion,
+          toSchemaVersion: toVersion,
+          migratedAt: new Date().toISOString(),
+          steps: migrated.migrations
+        };
+
+        if (!options.dryRun) {
+          const updated = await this._createVersion(entry, {
+            data: migrated.data,
+            schemaVersion: toVersion,
+            extractionId: entry.metadata?.extractionId,
+            confidence: entry.metadata?.confidence,
+            citations: migrated.citations
+          }, {
+            effectiveFrom: entry.effectiveFrom,
+            effectiveTo: entry.effectiveTo,
+            metadata: { migration },
+            sameEffectivePeriod: true
+          });
+
+          if (this.enableAuditLog) {
+            this._logAudit('MIGRATE', entry.id, {
+              previousVersion: entry.version,
+              newVersion: updated.version,
+              fromSchemaVersion: fromVersion,
+              toSchemaVersion: toVersion,
+              userId: options.userId
+            });
+          }
+        }
+
+        results.migrated.push({ id: entry.id, fromVersion, toVersion, migrations: migrated.migrations, data: migrated.data });
+      } catch (error) {
+        results.failed.push({ id: entry.id, fromVersion, error: error.message, code: error.code });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Store a new version of an entry, archiving the current one in its
+   * history
+   *
+   * With `sameEffectivePeriod` (schema migrations) the new version takes
+   * over the archived one's effective period rather than closing it; the
+   * archived version is marked `supersededBy: 'migration'` and left out of
+   * `asOf` lookups, so each date still resolves to one version.
+   */
+  async _createVersion(existing, document, options = {}) {
+    const id = existing.id;
     const now = new Date().toISOString();
     const newVersion = existing.version + 1;
+    // A migration record describes only the version it produced
+    const { migration, ...previousMetadata } = existing.metadata || {};
 
     // Archive previous version in history
     const historyEntry = {
@@ -95,8 +214,9 @@ class DocumentRegister {
       data: existing.data,
       metadata: existing.metadata,
       effectiveFrom: existing.effectiveFrom,
-      effectiveTo: now,
-      archivedAt: now
+      effectiveTo: options.sameEffectivePeriod ? existing.effectiveTo : now,
+      archivedAt: now,
+      supersededBy: options.sameEffectivePeriod ? 'migration' : undefined
     };
 
     const updated = {
@@ -107,7 +227,7 @@ class DocumentRegister {
       effectiveTo: options.effectiveTo || null,
       data: document.data || document,
       metadata: {
-        ...existing.metadata,
+        ...previousMetadata,
         schemaId: document.schemaId || existing.metadata.schemaId,
         schemaVersion: document.schemaVersion || existing.metadata.schemaVersion,
         extractionId: document.extractionId,
@@ -130,24 +250,7 @@ class DocumentRegister {
     // Update indexes
     this._updateIndexes(updated);
 
-    // Audit log
-    if (this.enableAuditLog) {
-      this._logAudit('UPDATE', id, {
-        previousVersion: existing.version,
-        newVersion,
-        effectiveFrom: updated.effectiveFrom,
-        userId: options.userId,
-        changeReason: options.changeReason
-      });
-    }
-
-    return {
-      id,
-      version: newVersion,
-      previousVersion: existing.version,
-      updatedAt: now,
-      status: 'updated'
-    };
+    return updated;
   }
 
   /**
@@ -168,15 +271,7 @@ class DocumentRegister {
     if (options.version && options.version !== entry.version) {
       const historicVersion = entry.history.find(h => h.version === options.version);
       if (historicVersion) {
-        return {
-          id: entry.id,
-          version: historicVersion.version,
-          data: historicVersion.data,
-          metadata: historicVersion.metadata,
-          effectiveFrom: historicVersion.effectiveFrom,
-          effectiveTo: historicVersion.effectiveTo,
-          isHistoric: true
-        };
+        return this._historicView(entry, historicVersion, options.migrator);
       }
       throw new Error(`Version ${options.version} not found for document ${id}`);
     }
@@ -193,21 +288,17 @@ class DocumentRegister {
         return entry;
       }
 
-      // Search history
-      for (const historicVersion of entry.history.reverse()) {
+      // Search history, newest first; versions replaced by a schema
+      // migration share the period of their successor
+      const candidates = entry.history
+        .filter(h => h.supersededBy !== 'migration')
+        .reverse();
+      for (const historicVersion of candidates) {
         const histFrom = new Date(historicVersion.effectiveFrom);
         const histTo = historicVersion.effectiveTo ? new Date(historicVersion.effectiveTo) : null;
         
         if (histFrom <= asOfDate && (!histTo || histTo > asOfDate)) {
-          return {
-            id: entry.id,
-            version: historicVersion.version,
-            data: historicVersion.data,
-            metadata: historicVersion.metadata,
-            effectiveFrom: historicVersion.effectiveFrom,
-            effectiveTo: historicVersion.effectiveTo,
-            isHistoric: true
-          };
+          return this._historicView(entry, historicVersion, options.migrator);
         }
       }
       
@@ -217,6 +308,39 @@ class DocumentRegister {
     return entry;
   }
 
+  /**
+   * A historic version as returned by get()
+   *
+   * History keeps the schema version it was stored under. With a
+   * migrator for the entry's schema, the data is brought to the current
+   * version's schema version on read and `migratedFrom` records the
+   * stored one; nothing is written back.
+   */
+  _historicView(entry, historicVersion, migrator) {
+    const view = {
+      id: entry.id,
+      version: historicVersion.version,
+      data: historicVersion.data,
+      metadata: historicVersion.metadata,
+      effectiveFrom: historicVersion.effectiveFrom,
+      effectiveTo: historicVersion.effectiveTo,
+      isHistoric: true
+    };
+
+    const fromVersion = historicVersion.metadata?.schemaVersion;
+    const toVersion = entry.metadata?.schemaVersion;
+    const schemaId = historicVersion.metadata?.schemaId;
+    if (!migrator || !fromVersion || !toVersion || fromVersion === toVersion) return view;
+    if (migrator.schemaId && schemaId && schemaId !== migrator.schemaId) return view;
+
+    return {
+      ...view,
+      data: migrator.migrateData(historicVersion.data, fromVersion, toVersion).data,
+      metadata: { ...historicVersion.metadata, schemaVersion: toVersion },
+      migratedFrom: fromVersion
+    };
+  }
+
   /**
    * List all documents with optional filtering
    */
@@ -346,6 +470,8 @@ class DocumentRegister {
           effectiveFrom: entry.effectiveFrom,
           effectiveTo: entry.effectiveTo,
           updatedAt: entry.updatedAt,
+          schemaVersion: entry.metadata?.schemaVersion,
+          migration: entry.metadata?.migration,
           isCurrent: true
         },
         // Historic versions
@@ -354,6 +480,9 @@ class DocumentRegister {
           effectiveFrom: h.effectiveFrom,
           effectiveTo: h.effectiveTo,
           archivedAt: h.archivedAt,
+          schemaVersion: h.metadata?.schemaVersion,
+          migration: h.metadata?.migration,
+          supersededBy: h.supersededBy,
           isCurrent: false
         })).reverse()
       ]
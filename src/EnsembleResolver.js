@@ -0,0 +1,136 @@
+/**
+ * EnsembleResolver - Combine candidate values from several extraction strategies
+ *
+ * Candidates that agree (after light normalisation) are grouped; the
+ * largest group wins and confidence is the share of candidates that
+ * agree with it, rather than any one model's self-reported confidence.
+ */
+
+class EnsembleResolver {
+  constructor(options = {}) {
+    this.numericTolerance = options.numericTolerance ?? 0;
+    this.agreementThreshold = options.agreementThreshold ?? 1;
+  }
+
+  /**
+   * Resolve candidates into a single field result
+   *
+   * Candidates are `{ strategy, provider, sample, value, confidence,
+   * citations }` or `{ strategy, provider, error }` for failed runs.
+   * Returns `{ value, confidence, citations, ensemble }`.
+   */
+  resolve(candidates) {
+    const valid = candidates.filter(c => !c.error);
+    if (valid.length === 0) {
+      const error = new Error(candidates.length > 0
+        ? `All ensemble strategies failed: ${candidates.map(c => c.error.message).join('; ')}`
+        : 'No ensemble strategies available (configure providers or field patterns)');
+      error.code = 'ENSEMBLE_FAILED';
+      throw error;
+    }
+
+    const groups = this._group(valid);
+    groups.sort((a, b) =>
+      b.members.length - a.members.length ||
+      this._sumConfidence(b.members) - this._sumConfidence(a.members)
+    );
+
+    const winner = groups[0];
+    const agreement = winner.members.length / valid.length;
+    const confidence = valid.length === 1
+      ? winner.members[0].confidence ?? 0
+      : agreement;
+
+    return {
+      value: winner.value,
+      confidence,
+      citations: this._mergeCitations(winner.members),
+      normalization: winner.members.find(m => m.normalization)?.normalization,
+      ensemble: {
+        agreement,
+        disagreement: agreement < this.agreementThreshold,
+        distinctValues: groups.length,
+        candidates: candidates.map(c => ({
+          strategy: c.strategy,
+          provider: c.provider,
+          sample: c.sample,
+          value: c.error ? undefined : c.value,
+          confidence: c.error ? undefined : c.confidence,
+          agrees: c.error ? false : winner.members.includes(c),
+          error: c.error ? c.error.message : undefined
+        }))
+      }
+    };
+  }
+
+  /**
+   * Group candidates whose values are equivalent
+   */
+  _group(candidates) {
+    const groups = [];
+    for (const candidate of candidates) {
+      const group = groups.find(g => this._equivalent(g.value, candidate.value));
+      if (group) {
+        group.members.push(candidate);
+      } else {
+        groups.push({ value: candidate.value, members: [candidate] });
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Compare two candidate values
+   */
+  _equivalent(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return (a ?? null) === (b ?? null);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      const scale = Math.max(Math.abs(a), Math.abs(b), 1);
+      return Math.abs(a - b) <= this.numericTolerance * scale;
+    }
+    return this._key(a) === this._key(b);
+  }
+
+  /**
+   * Normalised comparison key (case and whitespace insensitive strings,
+   * order-sensitive arrays, key-order-insensitive objects)
+   */
+  _key(value) {
+    if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (Array.isArray(value)) return `[${value.map(v => this._key(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(k => `${k}:${this._key(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Citations from the agreeing candidates, de-duplicated
+   */
+  _mergeCitations(members) {
+    const seen = new Set();
+    const citations = [];
+
+    for (const member of members) {
+      for (const citation of member.citations || []) {
+        const key = `${citation.startOffset ?? ''}:${citation.endOffset ?? ''}:${citation.text}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        citations.push({ ...citation, strategy: member.strategy });
+      }
+    }
+
+    return citations;
+  }
+
+  /**
+   * Total self-reported confidence of a group (tie-breaker)
+   */
+  _sumConfidence(members) {
+    return members.reduce((sum, m) => sum + (m.confidence || 0), 0);
+  }
+}
+
+module.exports = { EnsembleResolver };
@@ -10,6 +10,10 @@ const { SchemaExtractor } = require('./SchemaExtractor');
 const { DocumentRegister } = require('./DocumentRegister');
 const { ValidationEngine } = require('./ValidationEngine');
 const { CitationTracker } = require('./CitationTracker');
+const { UsageTracker } = require('./UsageTracker');
+const { AbortScope } = require('./AbortScope');
+const { WorkQueue } = require('./WorkQueue');
+const { BatchJob } = require('./BatchJob');
 
 class ExtractionPipeline {
   constructor(options = {}) {
@@ -29,12 +33,14 @@ class ExtractionPipeline {
       validationThreshold: options.validationThreshold ?? 1.0, // All fields must pass
       enableCitations: options.enableCitations ?? true,
       retryOnFailure: options.retryOnFailure ?? true,
-      maxRetries: options.maxRetries ?? 3
+      maxRetries: options.maxRetries ?? 3,
+      timeoutMs: options.timeoutMs ?? null
     };
 
     // Pipeline state
     this.pendingApprovals = new Map();
     this.processingHistory = [];
+    this.usageTotal = UsageTracker.combine([]);
     
     // Event handlers
     this.handlers = {
@@ -65,6 +71,9 @@ class ExtractionPipeline {
 
   /**
    * Process a document through the full pipeline
+   *
+   * Pass `signal` (an AbortSignal) to cancel the run and `timeoutMs` to
+   * bound it; the run then ends with status 'cancelled' or 'timed_out'.
    */
   async process(document, options = {}) {
     const pipelineRunId = uuidv4();
@@ -76,10 +85,17 @@ class ExtractionPipeline {
       stages: {},
       startedAt: new Date().toISOString()
     };
+    const abortScope = new AbortScope(options.signal, {
+      timeoutMs: options.timeoutMs ?? this.config.timeoutMs,
+      scope: 'document',
+      label: 'Pipeline run'
+    });
 
     try {
       // Stage 1: Extraction
-      results.stages.extraction = await this._runExtraction(document, options);
+      results.stages.extraction = await this._runExtraction(document, { ...options, signal: abortScope.signal });
+      AbortScope.throwIfAborted(abortScope.signal);
+      results.usage = results.stages.extraction.metadata?.usage;
       
       if (this.handlers.onExtractionComplete) {
         await this.handlers.onExtractionComplete(results.stages.extraction);
@@ -89,7 +105,8 @@ class ExtractionPipeline {
       if (this.config.autoValidate) {
         results.stages.validation = await this._runValidation(
           results.stages.extraction.data,
-          options
+          options,
+          results.stages.extraction.statedValues
         );
 
         if (this.handlers.onValidationComplete) {
@@ -137,6 +154,7 @@ class ExtractionPipeline {
 
       // Stage 4: Registration
       if (this.config.autoRegister) {
+        AbortScope.throwIfAborted(abortScope.signal);
         results.stages.registration = await this._runRegistration(
           results.stages.extraction,
           options
@@ -150,13 +168,16 @@ class ExtractionPipeline {
       results.status = 'completed';
       
     } catch (error) {
-      results.status = 'error';
+      results.status = this._getErrorStatus(error);
       results.error = error.message;
+      results.errorCode = error.code;
       results.errorStack = error.stack;
 
       if (this.handlers.onError) {
         await this.handlers.onError(error, results);
       }
+    } finally {
+      abortScope.dispose();
     }
 
     return this._finalizeResults(results, startTime);
@@ -164,6 +185,11 @@ class ExtractionPipeline {
 
   /**
    * Process multiple documents
+   *
+   * Keeps `concurrency` documents in flight, starting higher `priority`
+   * documents first, and calls `onProgress` after each document
+   * (`{ processed, total, percentage, index, status }`). Results are in
+   * input order.
    */
   async processBatch(documents, options = {}) {
     const batchId = uuidv4();
@@ -175,41 +201,50 @@ class ExtractionPipeline {
       summary: {}
     };
 
-    const concurrency = options.concurrency || 3;
-
-    // Process in batches for controlled concurrency
-    for (let i = 0; i < documents.length; i += concurrency) {
-      const batch = documents.slice(i, i + concurrency);
-      const batchResults = await Promise.all(
-        batch.map((doc, idx) =>
-          this.process(doc, options)
-            .then(result => ({ index: i + idx, result }))
-            .catch(error => ({ index: i + idx, error: error.message }))
-        )
-      );
-      results.results.push(...batchResults);
-
-      // Progress callback
-      if (options.onProgress) {
-        options.onProgress({
-          processed: Math.min(i + concurrency, documents.length),
-          total: documents.length,
-          percentage: Math.round((Math.min(i + concurrency, documents.length) / documents.length) * 100)
-        });
+    const { concurrency, priority, onProgress, ...processOptions } = options;
+    const queue = new WorkQueue({ concurrency: concurrency || 3 });
+
+    results.results = await queue.run(
+      documents,
+      (doc, index) => this.process(doc, processOptions)
+        .then(result => ({ index, result }))
+        .catch(error => ({ index, error: error.message })),
+      {
+        priority,
+        onProgress: onProgress && (progress => onProgress({
+          processed: progress.processed,
+          total: progress.total,
+          percentage: progress.percentage,
+          index: progress.index,
+          status: progress.result.result?.status || 'error'
+        }))
       }
-    }
+    );
 
     // Calculate summary
     results.summary = {
       completed: results.results.filter(r => r.result?.status === 'completed').length,
       awaitingApproval: results.results.filter(r => r.result?.status === 'awaiting_approval').length,
       validationFailed: results.results.filter(r => r.result?.status === 'validation_failed').length,
-      errors: results.results.filter(r => r.error || r.result?.status === 'error').length
+      cancelled: results.results.filter(r => r.result?.status === 'cancelled').length,
+      timedOut: results.results.filter(r => r.result?.status === 'timed_out').length,
+      errors: results.results.filter(r => r.error || r.result?.status === 'error').length,
+      usage: UsageTracker.combine(results.results.map(r => r.result?.usage))
     };
 
     return results;
   }
 
+  /**
+   * Create a resumable batch job that runs documents through this pipeline
+   *
+   * Checkpoints go to `options.storage`; create the job again with the
+   * same `jobId` and storage to resume it after a restart.
+   */
+  createJob(options = {}) {
+    return new BatchJob({ ...options, processor: this });
+  }
+
   /**
    * Approve a pending extraction
    */
@@ -307,15 +342,21 @@ class ExtractionPipeline {
       this.citationTracker.addBatch(result.citations);
     }
 
+    // Track token usage
+    if (result.metadata?.usage) {
+      UsageTracker.accumulate(this.usageTotal, result.metadata.usage);
+    }
+
     return result;
   }
 
   /**
-   * Run validation stage
+   * Run validation stage, reconciling computed fields with any values
+   * the document stated directly
    */
-  async _runValidation(data, options) {
+  async _runValidation(data, options, statedValues) {
     const schema = options.schema || this.schema;
-    return this.validator.validate(data, schema, options.validationOptions || {});
+    return this.validator.validate(data, schema, { statedValues, ...options.validationOptions });
   }
 
   /**
@@ -355,6 +396,11 @@ class ExtractionPipeline {
       return true;
     }
 
+    // Ensemble strategies disagreed on a value
+    if (results.stages.extraction?.metadata?.disagreements?.length > 0) {
+      return true;
+    }
+
     // Validation warnings or low confidence
     if (results.stages.validation) {
       if (results.stages.validation.warnings?.length > 0) {
@@ -378,6 +424,10 @@ class ExtractionPipeline {
       reasons.push(`Low extraction confidence: ${(results.stages.extraction.confidence * 100).toFixed(0)}%`);
     }
 
+    if (results.stages.extraction?.metadata?.disagreements?.length > 0) {
+      reasons.push(`Ensemble disagreement on: ${results.stages.extraction.metadata.disagreements.join(', ')}`);
+    }
+
     if (results.stages.validation?.warnings?.length > 0) {
       reasons.push(`Validation warnings: ${results.stages.validation.warnings.length}`);
     }
@@ -389,6 +439,15 @@ class ExtractionPipeline {
     return reasons.join('; ') || 'Manual review required';
   }
 
+  /**
+   * Run status for an error that ended a run
+   */
+  _getErrorStatus(error) {
+    if (error.code === 'CANCELLED') return 'cancelled';
+    if (error.code === 'TIMED_OUT') return 'timed_out';
+    return 'error';
+  }
+
   /**
    * Finalize results
    */
@@ -408,6 +467,7 @@ class ExtractionPipeline {
     this.processingHistory.push({
       pipelineRunId: results.pipelineRunId,
       status: results.status,
+      errorCode: results.errorCode,
       timestamp: results.completedAt || new Date().toISOString(),
       durationMs: results.durationMs
     });
@@ -425,6 +485,8 @@ class ExtractionPipeline {
     const total = this.processingHistory.length;
     const completed = this.processingHistory.filter(h => h.status === 'completed').length;
     const failed = this.processingHistory.filter(h => h.status === 'error' || h.status === 'validation_failed').length;
+    const cancelled = this.processingHistory.filter(h => h.status === 'cancelled').length;
+    const timedOut = this.processingHistory.filter(h => h.status === 'timed_out').length;
     const avgDuration = total > 0
       ? this.processingHistory.reduce((sum, h) => sum + (h.durationMs || 0), 0) / total
       : 0;
@@ -434,10 +496,27 @@ class ExtractionPipeline {
       totalProcessed: total,
       completed,
       failed,
+      cancelled,
+      timedOut,
       pendingApprovals: this.pendingApprovals.size,
       successRate: total > 0 ? (completed / total * 100).toFixed(1) + '%' : 'N/A',
       averageDurationMs: Math.round(avgDuration),
-      citationStats: this.citationTracker.getStats()
+      citationStats: this.citationTracker.getStats(),
+      usage: this._getUsageStats()
+    };
+  }
+
+  /**
+   * Token and cost totals across extractions run by this pipeline
+   */
+  _getUsageStats() {
+    const total = this.usageTotal;
+    return {
+      ...total,
+      averageTokensPerDocument: total.documents > 0 ? Math.round(total.totalTokens / total.documents) : 0,
+      averageCostPerDocument: total.cost != null && total.documents > 0
+        ? Math.round(total.cost / total.documents * 1e6) / 1e6
+        : null
     };
   }
 
@@ -476,10 +555,18 @@ class ExtractionPipeline {
       `  Total Processed: ${report.statistics.totalProcessed}`,
       `  Completed: ${report.statistics.completed}`,
       `  Failed: ${report.statistics.failed}`,
+      `  Cancelled: ${report.statistics.cancelled}`,
+      `  Timed Out: ${report.statistics.timedOut}`,
       `  Success Rate: ${report.statistics.successRate}`,
       `  Avg Duration: ${report.statistics.averageDurationMs}ms`,
       `  Pending Approvals: ${report.statistics.pendingApprovals}`,
       '',
+      'USAGE',
+      `  LLM Calls: ${report.statistics.usage.calls}`,
+      `  Tokens: ${report.statistics.usage.totalTokens} (${report.statistics.usage.promptTokens} prompt, ${report.statistics.usage.completionTokens} completion)${report.statistics.usage.estimated ? ' [estimated]' : ''}`,
+      `  Avg Tokens/Document: ${report.statistics.usage.averageTokensPerDocument}`,
+      `  Cost: ${report.statistics.usage.cost != null ? `${report.statistics.usage.cost} ${report.statistics.usage.currency}` : 'N/A'}`,
+      '',
       'CONFIGURATION',
       `  Auto Validate: ${report.configuration.autoValidate}`,
       `  Auto Register: ${report.configuration.autoRegister}`,
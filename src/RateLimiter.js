@@ -0,0 +1,139 @@
+/**
+ * RateLimiter - Token-bucket limiter for LLM requests and tokens
+ *
+ * Holds separate buckets for requests per minute and tokens per minute,
+ * each refilling continuously. Callers wait in arrival order until both
+ * buckets can cover their request, so one limiter shared between
+ * extractors (or the documents of a batch) keeps all of them under the
+ * provider's limits.
+ */
+
+const { AbortScope } = require('./AbortScope');
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestsPerMinute] - Request limit (null for none)
+   * @param {number} [options.tokensPerMinute] - Token limit (null for none)
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.buckets = {
+      requests: this._createBucket(options.requestsPerMinute),
+      tokens: this._createBucket(options.tokensPerMinute)
+    };
+    this.queue = Promise.resolve();
+    this.stats = { acquired: 0, waits: 0, waitedMs: 0 };
+  }
+
+  /**
+   * Wait until a request of `tokens` estimated tokens may be sent
+   *
+   * Returns a reservation to pass to settle() once the actual token
+   * count is known. Rejects if the signal aborts while waiting.
+   */
+  async acquire({ tokens = 0 } = {}, signal) {
+    const turn = this.queue.then(() => this._take(tokens, signal));
+    // A cancelled waiter must not hold up the ones behind it
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Correct the token bucket with the tokens a request actually used
+   */
+  settle(reservation, actualTokens) {
+    const bucket = this.buckets.tokens;
+    if (!bucket || actualTokens == null) return;
+
+    this._refill(bucket);
+    bucket.available -= actualTokens - reservation.tokens;
+  }
+
+  /**
+   * Limits, current capacity and time spent waiting
+   */
+  getStats() {
+    const describe = bucket => {
+      if (!bucket) return null;
+      this._refill(bucket);
+      return { perMinute: bucket.capacity, available: Math.floor(bucket.available) };
+    };
+
+    return {
+      ...this.stats,
+      requests: describe(this.buckets.requests),
+      tokens: describe(this.buckets.tokens)
+    };
+  }
+
+  /**
+   * Take one request and `tokens` tokens, waiting for the buckets to refill
+   */
+  async _take(tokens, signal) {
+    const started = this.now();
+    // A request larger than the whole bucket waits for a full bucket
+    const needed = this.buckets.tokens ? Math.min(tokens, this.buckets.tokens.capacity) : 0;
+    let waited = false;
+
+    while (true) {
+      AbortScope.throwIfAborted(signal);
+
+      const wait = Math.max(
+        this._waitTime(this.buckets.requests, 1),
+        this._waitTime(this.buckets.tokens, needed)
+      );
+      if (wait <= 0) break;
+
+      waited = true;
+      await AbortScope.sleep(wait, signal);
+    }
+
+    if (this.buckets.requests) this.buckets.requests.available -= 1;
+    if (this.buckets.tokens) this.buckets.tokens.available -= needed;
+
+    // A clock tick during the refill check alone is not a wait
+    const waitedMs = waited ? this.now() - started : 0;
+    this.stats.acquired++;
+    if (waited) {
+      this.stats.waits++;
+      this.stats.waitedMs += waitedMs;
+    }
+
+    return { tokens: needed, waitedMs };
+  }
+
+  /**
+   * Milliseconds until a bucket holds `amount`
+   */
+  _waitTime(bucket, amount) {
+    if (!bucket) return 0;
+    this._refill(bucket);
+    if (bucket.available >= amount) return 0;
+    return Math.ceil((amount - bucket.available) / bucket.refillPerMs);
+  }
+
+  /**
+   * Add the capacity accrued since the last refill
+   */
+  _refill(bucket) {
+    const now = this.now();
+    bucket.available = Math.min(bucket.capacity, bucket.available + (now - bucket.updatedAt) * bucket.refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * A full bucket for a per-minute limit (null when unlimited)
+   */
+  _createBucket(perMinute) {
+    if (!perMinute) return null;
+    return {
+      capacity: perMinute,
+      available: perMinute,
+      refillPerMs: perMinute / 60000,
+      updatedAt: this.now()
+    };
+  }
+}
+
+module.exports = { RateLimiter };
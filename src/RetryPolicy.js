@@ -0,0 +1,73 @@
+/**
+ * RetryPolicy - When and how long to wait before retrying an LLM call
+ *
+ * Classifies errors as retryable (rate limits, server and network errors)
+ * or not (auth failures, invalid requests, cancellation), and spaces
+ * attempts with capped exponential backoff plus jitter. A Retry-After
+ * delay reported by the provider takes precedence over the backoff.
+ */
+
+// Error codes worth another attempt when the error does not say itself
+const RETRYABLE_CODES = ['RATE_LIMITED', 'OVERLOADED', 'SERVER_ERROR', 'NETWORK_ERROR', 'INVALID_RESPONSE'];
+
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Total attempts, including the first
+   * @param {number} [options.baseDelayMs] - Delay before the first retry
+   * @param {number} [options.factor] - Backoff multiplier per attempt
+   * @param {number} [options.maxDelayMs] - Cap on the backoff delay
+   * @param {number} [options.jitter] - Fraction of the delay randomised (0 = none, 1 = full jitter)
+   * @param {number} [options.maxRetryAfterMs] - Longest Retry-After delay to honour
+   * @param {string[]} [options.retryableCodes] - Error codes to retry
+   * @param {boolean} [options.retryUnknownErrors] - Retry errors with no code, status or retryable flag
+   * @param {Function} [options.retryOn] - Custom classifier `(error) => boolean`
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.factor = options.factor ?? 2;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.jitter = options.jitter ?? 0.5;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;
+    this.retryableCodes = options.retryableCodes || RETRYABLE_CODES;
+    this.retryUnknownErrors = options.retryUnknownErrors ?? true;
+    this.retryOn = options.retryOn || null;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Classify an error as worth retrying
+   *
+   * An explicit `retryable` flag (set by provider adapters) wins, then the
+   * HTTP status, then the error code. Function providers that throw plain
+   * errors are retried unless `retryUnknownErrors` is false.
+   */
+  isRetryable(error) {
+    if (this.retryOn) return Boolean(this.retryOn(error));
+    if (error.code === 'CANCELLED' || error.code === 'TIMED_OUT') return false;
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (typeof error.status === 'number') {
+      return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    if (error.code) return this.retryableCodes.includes(error.code);
+    return this.retryUnknownErrors;
+  }
+
+  /**
+   * Delay before the next attempt
+   *
+   * @param {number} attempt - Number of attempts made so far (1-based)
+   * @param {Error} [error] - The error from the attempt (for Retry-After)
+   */
+  delayFor(attempt, error) {
+    if (error?.retryAfterMs != null) {
+      return Math.min(error.retryAfterMs, this.maxRetryAfterMs);
+    }
+
+    const backoff = Math.min(this.baseDelayMs * this.factor ** (attempt - 1), this.maxDelayMs);
+    return Math.round(backoff * (1 - this.jitter + this.jitter * this.random()));
+  }
+}
+
+module.exports = { RetryPolicy, RETRYABLE_CODES };
@@ -7,19 +7,104 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { CitationTracker } = require('./CitationTracker');
+const { ChunkRanker } = require('./retrieval/ChunkRanker');
+const { CitationGrounder } = require('./CitationGrounder');
+const { JsonSchemaGenerator } = require('./schemas/JsonSchemaGenerator');
+const { UsageTracker } = require('./UsageTracker');
+const { LLMResponseCache } = require('./cache/LLMResponseCache');
+const { EnsembleResolver } = require('./EnsembleResolver');
+const { SourceDocument } = require('./SourceDocument');
+const { ParagraphChunker } = require('./chunking/ParagraphChunker');
+const { FixedSizeChunker } = require('./chunking/FixedSizeChunker');
+const { SectionChunker } = require('./chunking/SectionChunker');
+const { PatternStrategy } = require('./strategies/PatternStrategy');
+const { LLMStrategy } = require('./strategies/LLMStrategy');
+const { LookupStrategy } = require('./strategies/LookupStrategy');
+const { SectionTitleStrategy } = require('./strategies/SectionTitleStrategy');
+const { KeyValueStrategy } = require('./strategies/KeyValueStrategy');
+const { TableCellStrategy } = require('./strategies/TableCellStrategy');
+const { FunctionStrategy } = require('./strategies/FunctionStrategy');
+const { AbortScope } = require('./AbortScope');
+const { RetryPolicy } = require('./RetryPolicy');
+const { RateLimiter } = require('./RateLimiter');
+const { WorkQueue } = require('./WorkQueue');
+const { ValueNormalizer } = require('./ValueNormalizer');
+const { ComputedFieldEvaluator } = require('./ComputedFieldEvaluator');
+const { CancellationError } = require('./errors');
+
+// Reply shapes described to the LLM
+const FIELD_RESPONSE_FORMAT = '{ "value": <extracted value>, "confidence": <0-1>, "sourceText": "<exact quoted text>", "reasoning": "<brief explanation>" }';
+const LIST_RESPONSE_FORMAT = '{ "items": [{ "value": <item value>, "sourceText": "<exact quoted text for this item>" }], "confidence": <0-1>, "reasoning": "<brief explanation>" }';
+
+// Event types yielded by extractStream()
+const ExtractionEvents = Object.freeze({
+  CHUNKING_COMPLETED: 'chunking.completed',
+  FIELD_STARTED: 'field.started',
+  FIELD_EXTRACTED: 'field.extracted',
+  FIELD_FAILED: 'field.failed',
+  CITATION_GROUNDED: 'citation.grounded',
+  FINISHED: 'extraction.finished'
+});
+
+// Built-in chunking strategies by name
+const CHUNKING_STRATEGIES = {
+  paragraph: ParagraphChunker,
+  fixed: FixedSizeChunker,
+  section: SectionChunker
+};
+
+// Built-in field extraction strategies by name
+const EXTRACTION_STRATEGIES = {
+  pattern: PatternStrategy,
+  llm: LLMStrategy,
+  lookup: LookupStrategy,
+  'section-title': SectionTitleStrategy,
+  'key-value': KeyValueStrategy,
+  'table-cell': TableCellStrategy
+};
 
 class SchemaExtractor {
   constructor(options = {}) {
     this.schema = options.schema || null;
     this.llmProvider = options.llmProvider || null;
     this.citationTracker = new CitationTracker(options.citations || {});
+    this.citationGrounder = new CitationGrounder(options.grounding || {});
+    this.jsonSchemaGenerator = new JsonSchemaGenerator();
+    this.valueNormalizer = new ValueNormalizer(options.normalization || {});
+    this.computedFields = new ComputedFieldEvaluator();
+    this.usageTracker = new UsageTracker({ pricing: options.pricing, charsPerToken: options.charsPerToken });
+    this.cache = this._createCache(options.cache);
+    this.retryPolicy = options.retryPolicy instanceof RetryPolicy
+      ? options.retryPolicy
+      : new RetryPolicy({ maxAttempts: options.maxRetries, ...options.retryPolicy });
+    this.rateLimiter = options.rateLimit instanceof RateLimiter
+      ? options.rateLimit
+      : options.rateLimit ? new RateLimiter(options.rateLimit) : null;
+    this.strategies = { ...EXTRACTION_STRATEGIES, ...options.strategies };
     this.extractionOptions = {
       preserveSourceLocation: options.preserveSourceLocation ?? true,
       confidenceThreshold: options.confidenceThreshold ?? 0.7,
-      maxRetries: options.maxRetries ?? 3,
+      maxRetries: options.maxRetries ?? this.retryPolicy.maxAttempts,
       includeRawText: options.includeRawText ?? false,
       chunkSize: options.chunkSize ?? 4000,
       chunkOverlap: options.chunkOverlap ?? 200,
+      chunkingStrategy: options.chunkingStrategy || 'paragraph',
+      llmExtractionMode: options.llmExtractionMode ?? 'per-field',
+      fieldGroupSize: options.fieldGroupSize ?? Infinity,
+      fieldGroups: options.fieldGroups || null,
+      retrievalTopK: options.retrievalTopK ?? null,
+      retrievalOptions: options.retrievalOptions || {},
+      groundCitations: options.groundCitations ?? true,
+      ungroundedConfidenceFactor: options.ungroundedConfidenceFactor ?? 0.5,
+      structuredOutput: options.structuredOutput ?? true,
+      maxRepairAttempts: options.maxRepairAttempts ?? 2,
+      tokenBudget: options.tokenBudget ?? null,
+      cacheMode: options.cacheMode || 'use',
+      ensemble: options.ensemble || null,
+      sectionFallback: options.sectionFallback || 'document',
+      timeoutMs: options.timeoutMs ?? null,
+      fieldTimeoutMs: options.fieldTimeoutMs ?? null,
+      defaultStrategies: options.defaultStrategies || null,
       ...options.extractionOptions
     };
     this.hooks = {
@@ -40,16 +125,112 @@ class SchemaExtractor {
 
   /**
    * Set the LLM provider for AI-based extraction
+   *
+   * Accepts either a function receiving { system, user } or a provider
+   * adapter exposing complete(prompt, options) (see providers/LLMProvider).
    */
   setLLMProvider(provider) {
     this.llmProvider = provider;
     return this;
   }
 
+  /**
+   * Register a field extraction strategy under a name
+   *
+   * Accepts an ExtractionStrategy class or instance, or a function
+   * `(field, chunks, run) => result | value`. Fields name it in
+   * extractWith().
+   */
+  registerStrategy(name, strategy) {
+    this.strategies[name] = strategy;
+    return this;
+  }
+
+  /**
+   * Remove cached LLM replies (by key, or by `{ field, provider }` filter)
+   */
+  async invalidateCache(filter = {}) {
+    return this.cache ? this.cache.invalidate(filter) : 0;
+  }
+
   /**
    * Extract structured data from a document
    */
   async extract(document, options = {}) {
+    return this._extract(document, options, () => {});
+  }
+
+  /**
+   * Extract structured data, yielding progress events as they happen
+   *
+   * Returns an async iterator of `{ type, extractionId, timestamp, ... }`
+   * events (see ExtractionEvents). The last event is
+   * `extraction.finished`, carrying the same result extract() returns.
+   * Breaking out of the loop early cancels the extraction.
+   */
+  async *extractStream(document, options = {}) {
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+    const emit = event => {
+      queue.push(event);
+      notify();
+    };
+
+    const scope = new AbortScope(options.signal);
+    const run = this._extract(document, { ...options, signal: scope.signal }, emit)
+      .catch(error => { failure = error; })
+      .finally(() => {
+        finished = true;
+        notify();
+      });
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      // The consumer stopped early: cancel the run and let it settle
+      if (!finished) scope.abort(new CancellationError('Extraction stream closed before it finished'));
+      await run;
+      scope.dispose();
+    }
+
+    if (failure) throw failure;
+  }
+
+  /**
+   * Run an extraction within its document timeout
+   */
+  async _extract(document, options, emit) {
+    const timeoutMs = options.timeoutMs ?? this.extractionOptions.timeoutMs;
+    const scope = new AbortScope(options.signal, { timeoutMs, scope: 'document' });
+
+    try {
+      return await this._extractDocument(document, { ...options, signal: scope.signal }, emit);
+    } finally {
+      scope.dispose();
+    }
+  }
+
+  /**
+   * Extract a document, reporting progress through `emit`
+   */
+  async _extractDocument(document, options, emit) {
     const extractionId = uuidv4();
     const startTime = Date.now();
     const mergedOptions = { ...this.extractionOptions, ...options };
@@ -58,6 +239,12 @@ class SchemaExtractor {
     if (!schema) {
       throw new Error('No schema defined. Use setSchema() or pass schema in options.');
     }
+    AbortScope.throwIfAborted(mergedOptions.signal);
+
+    // Computed fields are derived after extraction; only those asking for
+    // a stated value to reconcile against are extracted
+    const computedFields = this.computedFields.order(schema.fields);
+    const fields = schema.fields.filter(field => !field.computed || field.computed.extractStated);
 
     // Pre-extraction hook
     if (this.hooks.beforeExtraction) {
@@ -65,28 +252,129 @@ class SchemaExtractor {
     }
 
     // Parse document into processable chunks
-    const chunks = this._chunkDocument(document, mergedOptions);
+    const source = SourceDocument.from(document);
+    const chunks = this._chunkDocument(source, mergedOptions);
+
+    // Register the text so CitationTracker.resolveText() works from a citation id
+    const sourceId = source.id || extractionId;
+    this.citationTracker.registerSource(sourceId, {
+      name: source.metadata.name,
+      type: 'text',
+      text: source.text,
+      metadata: source.metadata
+    });
+
+    const context = {
+      extractionId,
+      text: source.text,
+      source,
+      chunks,
+      llmCalls: 0,
+      retries: 0,
+      rateLimitWaitMs: 0,
+      repairAttempts: 0,
+      retrievedChunks: {},
+      usage: this.usageTracker.createLedger(),
+      schema,
+      cache: { hits: 0, misses: 0 },
+      sectionTargets: {},
+      strategies: {}
+    };
+    const event = (type, payload = {}) => emit({
+      type,
+      extractionId,
+      timestamp: new Date().toISOString(),
+      ...payload
+    });
+
+    event(ExtractionEvents.CHUNKING_COMPLETED, {
+      chunkCount: chunks.length,
+      pageCount: source.pageCount,
+      chunkingStrategy: this._getChunker(mergedOptions.chunkingStrategy).name,
+      fieldCount: schema.fields.length
+    });
+
+    // In multi-field mode, fetch grouped LLM results up front (ensembles
+    // always ask per field, and fields with a strategy chain run it)
+    const groupResults = this.llmProvider && mergedOptions.llmExtractionMode === 'multi-field' && !mergedOptions.ensemble
+      ? await this._extractFieldGroupsWithLLM(
+        fields.filter(field => !this._strategyChainFor(field, mergedOptions)),
+        chunks, schema, mergedOptions, context
+      )
+      : new Map();
     
     // Extract fields according to schema
     const extractedData = {};
     const citations = [];
     const fieldConfidences = {};
+    const ensembleResults = {};
+    const normalization = {};
+    const statedValues = {};
     const errors = [];
 
-    for (const field of schema.fields) {
+    for (const [fieldIndex, field] of fields.entries()) {
+      AbortScope.throwIfAborted(mergedOptions.signal);
+      event(ExtractionEvents.FIELD_STARTED, { field: field.name, fieldIndex, fieldCount: fields.length });
+
+      const fieldScope = new AbortScope(mergedOptions.signal, {
+        timeoutMs: mergedOptions.fieldTimeoutMs,
+        scope: 'field',
+        label: `Field "${field.name}"`
+      });
+
       try {
-        const result = await this._extractField(field, chunks, schema, mergedOptions);
-        extractedData[field.name] = result.value;
-        fieldConfidences[field.name] = result.confidence;
+        const result = groupResults.has(field.name)
+          ? this._unwrapGroupResult(groupResults.get(field.name))
+          : await this._extractField(
+            field,
+            this._scopeChunks([field], chunks, mergedOptions, context),
+            schema,
+            { ...mergedOptions, signal: fieldScope.signal },
+            context
+          );
+        if (!field.computed) {
+          extractedData[field.name] = result.value;
+          fieldConfidences[field.name] = result.confidence;
+        }
+        if (result.ensemble) {
+          ensembleResults[field.name] = result.ensemble;
+        }
+        if (result.normalization && !field.computed) {
+          normalization[field.name] = result.normalization;
+        }
         
-        if (result.citations?.length > 0) {
-          citations.push(...result.citations.map(c => ({
-            ...c,
-            fieldName: field.name,
-            extractionId
-          })));
+        const fieldCitations = (result.citations || []).map(c => ({
+          ...source.locate(c, chunks),
+          fieldName: field.name,
+          sourceDocument: sourceId,
+          extractionId
+        }));
+        if (field.computed) {
+          // Kept apart from the data: the computed value replaces it
+          statedValues[field.name] = {
+            value: result.value,
+            confidence: result.confidence,
+            citations: fieldCitations,
+            normalization: result.normalization
+          };
+        } else {
+          citations.push(...fieldCitations);
         }
 
+        for (const citation of fieldCitations.filter(c => c.grounded !== undefined)) {
+          event(ExtractionEvents.CITATION_GROUNDED, { field: field.name, citation });
+        }
+        event(ExtractionEvents.FIELD_EXTRACTED, {
+          field: field.name,
+          fieldIndex,
+          value: result.value,
+          confidence: result.confidence,
+          strategy: result.strategy,
+          stated: field.computed ? true : undefined,
+          normalization: result.normalization,
+          citations: fieldCitations
+        });
+
         // Field extraction hook
         if (this.hooks.onFieldExtracted) {
           await this.hooks.onFieldExtracted({
@@ -97,27 +385,82 @@ class SchemaExtractor {
           });
         }
       } catch (error) {
+        // A cancelled or timed out document stops here; a field timeout
+        // only fails its field
+        AbortScope.throwIfAborted(mergedOptions.signal);
+
         errors.push({
           field: field.name,
           error: error.message,
           code: error.code || 'EXTRACTION_ERROR'
         });
+        event(ExtractionEvents.FIELD_FAILED, {
+          field: field.name,
+          fieldIndex,
+          error: error.message,
+          code: error.code || 'EXTRACTION_ERROR'
+        });
 
         if (this.hooks.onValidationError) {
           await this.hooks.onValidationError({ field, error });
         }
 
         // Use default value if available
-        if (field.defaultValue !== undefined) {
+        if (field.defaultValue !== undefined && !field.computed) {
           extractedData[field.name] = field.defaultValue;
           fieldConfidences[field.name] = 0;
         }
+      } finally {
+        fieldScope.dispose();
+      }
+    }
+
+    // Derive computed fields from the extracted values; a function that
+    // throws leaves its field null with a warning
+    const computed = {};
+    const warnings = [];
+    for (const field of computedFields) {
+      let evaluation;
+      try {
+        evaluation = this.computedFields.evaluate(field, extractedData);
+      } catch (error) {
+        evaluation = { value: null, inputs: {}, error: error.message };
+        warnings.push({
+          code: 'COMPUTED_FIELD_ERROR',
+          message: `Computed field "${field.name}" could not be evaluated: ${error.message}`,
+          field: field.name
+        });
       }
+      const { value, inputs } = evaluation;
+      const sources = [...new Set(Object.keys(inputs).map(name => name.split('.')[0]))];
+      const sourceCitations = value === null ? [] : citations
+        .filter(c => sources.includes(c.fieldName))
+        .map(c => ({ ...c, fieldName: field.name, derivedFrom: c.fieldName }));
+
+      extractedData[field.name] = evaluation.error ? null : value ?? field.defaultValue;
+      fieldConfidences[field.name] = value === null
+        ? 0
+        : Math.min(1, ...sources.map(name => fieldConfidences[name] ?? 0));
+      citations.push(...sourceCitations);
+      computed[field.name] = {
+        expression: typeof field.computed.expression === 'string' ? field.computed.expression : undefined,
+        inputs,
+        value,
+        error: evaluation.error
+      };
+
+      event(ExtractionEvents.FIELD_EXTRACTED, {
+        field: field.name,
+        value: extractedData[field.name],
+        confidence: fieldConfidences[field.name],
+        computed: true,
+        citations: sourceCitations
+      });
     }
 
-    // Track citations
+    // Track citations, keeping the tracker's id on each
     for (const citation of citations) {
-      this.citationTracker.add(citation);
+      citation.id = this.citationTracker.add(citation);
     }
 
     const result = {
@@ -130,12 +473,43 @@ class SchemaExtractor {
       confidence: this._calculateOverallConfidence(fieldConfidences),
       fieldConfidences,
       citations,
+      normalization: Object.keys(normalization).length > 0 ? normalization : undefined,
+      computed: computedFields.length > 0 ? computed : undefined,
+      statedValues: Object.keys(statedValues).length > 0 ? statedValues : undefined,
       errors: errors.length > 0 ? errors : undefined,
+      warnings: warnings.length > 0 ? warnings : undefined,
+      ensemble: mergedOptions.ensemble ? ensembleResults : undefined,
       metadata: {
-        documentLength: typeof document === 'string' ? document.length : JSON.stringify(document).length,
+        documentLength: source.text.length,
+        pageCount: source.pageCount,
+        chunkingStrategy: this._getChunker(mergedOptions.chunkingStrategy).name,
         chunksProcessed: chunks.length,
         fieldsExtracted: Object.keys(extractedData).length,
-        fieldsWithErrors: errors.length
+        fieldsWithErrors: errors.length,
+        extractionMode: mergedOptions.ensemble
+          ? 'ensemble'
+          : this.llmProvider ? mergedOptions.llmExtractionMode : 'pattern',
+        disagreements: mergedOptions.ensemble
+          ? Object.keys(ensembleResults).filter(name => ensembleResults[name].disagreement)
+          : undefined,
+        llmCalls: context.llmCalls,
+        retries: context.retries,
+        rateLimitWaitMs: this.rateLimiter ? context.rateLimitWaitMs : undefined,
+        repairAttempts: context.repairAttempts,
+        retrievedChunks: Object.keys(context.retrievedChunks).length > 0
+          ? context.retrievedChunks
+          : undefined,
+        sectionTargets: Object.keys(context.sectionTargets).length > 0
+          ? context.sectionTargets
+          : undefined,
+        strategies: Object.keys(context.strategies).length > 0
+          ? context.strategies
+          : undefined,
+        ungroundedCitations: citations.filter(c => c.grounded === false).length,
+        usage: this.usageTracker.summarize(context.usage),
+        cache: this.cache
+          ? { mode: mergedOptions.cacheMode, ...context.cache }
+          : undefined
       }
     };
 
@@ -144,6 +518,7 @@ class SchemaExtractor {
       await this.hooks.afterExtraction(result);
     }
 
+    event(ExtractionEvents.FINISHED, { result });
     return result;
   }
 
@@ -165,28 +540,28 @@ class SchemaExtractor {
 
   /**
    * Batch extract from multiple documents
+   *
+   * Keeps `concurrency` documents in flight, starting higher `priority`
+   * documents first, and calls `onProgress` after each document. Results
+   * are in input order.
    */
   async extractBatch(documents, options = {}) {
-    const results = [];
     const batchId = uuidv4();
-    const concurrency = options.concurrency || 3;
-
-    // Process in batches for controlled concurrency
-    for (let i = 0; i < documents.length; i += concurrency) {
-      const batch = documents.slice(i, i + concurrency);
-      const batchResults = await Promise.all(
-        batch.map((doc, idx) => 
-          this.extract(doc, options)
-            .then(result => ({ ...result, batchIndex: i + idx }))
-            .catch(error => ({
-              batchIndex: i + idx,
-              error: error.message,
-              success: false
-            }))
-        )
-      );
-      results.push(...batchResults);
-    }
+    const { concurrency, priority, onProgress, ...extractOptions } = options;
+    const queue = new WorkQueue({ concurrency: concurrency || 3 });
+
+    const results = await queue.run(
+      documents,
+      (doc, index) => this.extract(doc, extractOptions)
+        .then(result => ({ ...result, batchIndex: index }))
+        .catch(error => ({
+          batchIndex: index,
+          error: error.message,
+          code: error.code,
+          success: false
+        })),
+      { priority, onProgress }
+    );
 
     return {
       batchId,
@@ -194,100 +569,686 @@ class SchemaExtractor {
       totalDocuments: documents.length,
       successful: results.filter(r => !r.error).length,
       failed: results.filter(r => r.error).length,
+      cancelled: results.filter(r => r.code === 'CANCELLED').length,
+      timedOut: results.filter(r => r.code === 'TIMED_OUT').length,
       averageConfidence: this._average(results.filter(r => r.confidence).map(r => r.confidence)),
       results
     };
   }
 
+  /**
+   * Get the plain text of a document input
+   */
+  _getDocumentText(document) {
+    if (typeof document === 'string') return document;
+    return SourceDocument.from(document).text;
+  }
+
   /**
    * Chunk document for processing
    */
   _chunkDocument(document, options) {
-    const text = typeof document === 'string' 
-      ? document 
-      : document.text || JSON.stringify(document);
-    
-    const chunks = [];
-    const { chunkSize, chunkOverlap } = options;
-    
-    // Split by paragraphs first to preserve semantic boundaries
-    const paragraphs = text.split(/\n\n+/);
-    let currentChunk = '';
-    let currentStart = 0;
-    let charIndex = 0;
-
-    for (const paragraph of paragraphs) {
-      if (currentChunk.length + paragraph.length > chunkSize && currentChunk.length > 0) {
-        chunks.push({
-          text: currentChunk.trim(),
-          startOffset: currentStart,
-          endOffset: charIndex - 1,
-          index: chunks.length
-        });
-        
-        // Start new chunk with overlap
-        const overlapText = currentChunk.slice(-chunkOverlap);
-        currentChunk = overlapText + '\n\n' + paragraph;
-        currentStart = charIndex - chunkOverlap;
-      } else {
-        currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
-      }
-      charIndex += paragraph.length + 2; // +2 for \n\n
-    }
+    const source = SourceDocument.from(document);
+    const chunks = this._getChunker(options.chunkingStrategy).chunk(source, options);
 
-    // Add final chunk
-    if (currentChunk.trim()) {
-      chunks.push({
-        text: currentChunk.trim(),
-        startOffset: currentStart,
-        endOffset: charIndex,
-        index: chunks.length
-      });
+    // Record the pages each chunk spans
+    for (const chunk of chunks) {
+      Object.assign(chunk, source.pageSpan(chunk.startOffset, chunk.endOffset));
     }
 
     return chunks;
   }
 
+  /**
+   * Resolve a chunking strategy name or instance
+   */
+  _getChunker(strategy) {
+    if (strategy && typeof strategy.chunk === 'function') return strategy;
+
+    const Chunker = CHUNKING_STRATEGIES[strategy];
+    if (!Chunker) {
+      throw new Error(`Unknown chunking strategy: ${strategy}. Available: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}`);
+    }
+    return new Chunker();
+  }
+
   /**
    * Extract a single field from chunks
    */
-  async _extractField(field, chunks, schema, options) {
+  async _extractField(field, chunks, schema, options, context) {
+    const chain = this._strategyChainFor(field, options);
+    if (chain) {
+      return this._extractFieldWithStrategies(field, chain, chunks, schema, options, context);
+    }
+    if (options.ensemble) {
+      return this._extractFieldWithEnsemble(field, chunks, schema, options, context);
+    }
     // Use LLM if available, otherwise fall back to pattern matching
     if (this.llmProvider) {
-      return this._extractFieldWithLLM(field, chunks, schema, options);
+      return this._extractFieldWithLLM(field, chunks, schema, options, context);
+    }
+    return this._extractFieldWithPatternStrategy(field, chunks, options);
+  }
+
+  /**
+   * Strategy chain of a field: its own extractWith() chain, else the
+   * `defaultStrategies` option (null when neither is set)
+   */
+  _strategyChainFor(field, options) {
+    if (field.strategies?.length) return field.strategies;
+    return options.defaultStrategies?.length ? options.defaultStrategies : null;
+  }
+
+  /**
+   * Extract field with a fallback chain of strategies
+   *
+   * Each strategy runs in turn until one returns a value above its
+   * `minConfidence` (0 by default). A strategy that throws is recorded and
+   * skipped; if every strategy threw, the last error is rethrown. The
+   * attempts are recorded on the context for the audit trail.
+   */
+  async _extractFieldWithStrategies(field, chain, chunks, schema, options, context) {
+    const attempts = [];
+    let lastError = null;
+    let failures = 0;
+
+    for (const entry of chain) {
+      const { name, strategy, strategyOptions } = this._resolveStrategy(entry);
+      try {
+        const result = await strategy.extract(field, chunks, {
+          extractor: this,
+          schema,
+          options,
+          context,
+          source: context.source,
+          strategyOptions
+        });
+
+        if (result && result.value != null && result.confidence > (strategyOptions.minConfidence ?? 0)) {
+          attempts.push({ strategy: name, found: true, confidence: result.confidence });
+          context.strategies[field.name] = { strategy: name, attempts };
+          return { ...result, strategy: name };
+        }
+        attempts.push({ strategy: name, found: false });
+      } catch (error) {
+        AbortScope.throwIfAborted(options.signal);
+        attempts.push({ strategy: name, found: false, error: error.message });
+        lastError = error;
+        failures++;
+      }
+    }
+
+    context.strategies[field.name] = { strategy: null, attempts };
+    if (failures === chain.length) throw lastError;
+
+    return { value: field.defaultValue, confidence: 0, citations: [] };
+  }
+
+  /**
+   * Resolve a strategy chain entry: a registered name, `{ name, ...options }`,
+   * a strategy instance or a function
+   */
+  _resolveStrategy(entry) {
+    if (typeof entry === 'function' && typeof entry.prototype?.extract !== 'function') {
+      return { name: entry.name || 'custom', strategy: new FunctionStrategy(entry), strategyOptions: {} };
+    }
+    if (entry && typeof entry.extract === 'function') {
+      return { name: entry.name, strategy: entry, strategyOptions: {} };
+    }
+
+    const { name, ...strategyOptions } = typeof entry === 'string' ? { name: entry } : entry;
+    const registered = this.strategies[name];
+    if (!registered) {
+      throw new Error(`Unknown extraction strategy: ${name}. Available: ${Object.keys(this.strategies).join(', ')}`);
+    }
+
+    let strategy;
+    if (typeof registered.extract === 'function') {
+      strategy = registered;
+    } else if (typeof registered.prototype?.extract === 'function') {
+      strategy = new registered();
+    } else {
+      strategy = new FunctionStrategy(registered);
+    }
+    return { name, strategy, strategyOptions };
+  }
+
+  /**
+   * Extract field by pattern matching (object fields by their properties)
+   */
+  _extractFieldWithPatternStrategy(field, chunks, options) {
+    if (field.type === 'array' && field.patterns?.length) {
+      return this._extractArrayWithPatterns(field, chunks, options);
+    }
+    if (field.properties && !field.patterns?.length) {
+      return this._extractObjectWithPatterns(field, chunks, options);
     }
     return this._extractFieldWithPatterns(field, chunks, options);
   }
 
   /**
-   * Extract field using LLM
+   * Extract field with several strategies and resolve by agreement
+   *
+   * Runs every ensemble provider `samples` times, plus pattern matching
+   * when the field has patterns, and lets EnsembleResolver pick the value.
    */
-  async _extractFieldWithLLM(field, chunks, schema, options) {
-    const prompt = this._buildExtractionPrompt(field, chunks, schema);
-    
-    let response;
-    let retries = 0;
-    
-    while (retries < options.maxRetries) {
+  async _extractFieldWithEnsemble(field, chunks, schema, options, context) {
+    const ensemble = options.ensemble;
+    const providers = ensemble.providers?.length
+      ? ensemble.providers
+      : [this.llmProvider].filter(Boolean);
+    const samples = ensemble.samples ?? 1;
+    const candidates = [];
+
+    for (const provider of providers) {
+      for (let sample = 0; sample < samples; sample++) {
+        const candidate = { strategy: 'llm', provider: this._getProviderId(provider) ?? 'custom', sample };
+        const candidateOptions = {
+          ...options,
+          llmProvider: provider,
+          sample: samples > 1 ? sample : undefined,
+          temperature: samples > 1 ? ensemble.sampleTemperature ?? 0.7 : undefined
+        };
+
+        try {
+          const result = await this._extractFieldWithLLM(field, chunks, schema, candidateOptions, context);
+          candidates.push({ ...candidate, ...result });
+        } catch (error) {
+          AbortScope.throwIfAborted(options.signal);
+          candidates.push({ ...candidate, error });
+        }
+      }
+    }
+
+    const hasPatterns = field.patterns?.length > 0 || field.properties?.length > 0;
+    if ((ensemble.patterns ?? true) && hasPatterns) {
+      const candidate = { strategy: 'pattern', provider: 'pattern' };
       try {
-        response = await this.llmProvider(prompt);
-        break;
+        candidates.push({ ...candidate, ...this._extractFieldWithPatternStrategy(field, chunks, options) });
       } catch (error) {
-        retries++;
-        if (retries >= options.maxRetries) throw error;
-        await this._sleep(1000 * retries); // Exponential backoff
+        candidates.push({ ...candidate, error });
       }
     }
 
-    // Parse LLM response
-    const parsed = this._parseLLMResponse(response, field);
+    const resolver = new EnsembleResolver({
+      numericTolerance: ensemble.numericTolerance,
+      agreementThreshold: ensemble.agreementThreshold
+    });
+    return resolver.resolve(candidates);
+  }
+
+  /**
+   * Extract field using LLM
+   */
+  async _extractFieldWithLLM(field, chunks, schema, options, context) {
+    const selectedChunks = this._selectChunks([field], chunks, options, context);
+    const prompt = this._buildExtractionPrompt(field, selectedChunks, schema, options);
+
+    // Parse LLM response, re-asking the model if it does not conform
+    const { response, parsed } = await this._completeWithRepair(
+      prompt,
+      reply => this._parseLLMResponse(reply, field),
+      options,
+      context
+    );
     
-    return {
+    return this._groundResult({
       value: parsed.value,
-      confidence: parsed.confidence || 0.8,
+      confidence: parsed.confidence ?? 0.8,
       citations: parsed.citations || [],
+      normalization: parsed.normalization,
       rawResponse: options.includeRawText ? response : undefined
+    }, options, context);
+  }
+
+  /**
+   * Verify LLM citations against the document and adjust confidence
+   *
+   * Grounded citations gain offsets and a chunk index. If no citation can
+   * be grounded the field confidence is scaled by ungroundedConfidenceFactor;
+   * fuzzy matches scale it by their match score.
+   */
+  _groundResult(result, options, context) {
+    if (!options.groundCitations || !context?.text || result.citations.length === 0) {
+      return result;
+    }
+
+    const citations = result.citations.map(citation =>
+      this.citationGrounder.ground(citation, context.text, context.chunks)
+    );
+    const grounded = citations.filter(c => c.grounded);
+
+    let confidence = result.confidence;
+    if (grounded.length === 0) {
+      confidence *= options.ungroundedConfidenceFactor;
+    } else {
+      confidence *= Math.max(...grounded.map(c => c.matchScore));
+    }
+
+    return { ...result, confidence, citations };
+  }
+
+  /**
+   * Extract groups of fields with one LLM call per group
+   *
+   * Returns a Map of field name -> { result } or { error } so failures stay
+   * attributed to individual fields.
+   */
+  async _extractFieldGroupsWithLLM(fields, chunks, schema, options, context) {
+    const results = new Map();
+
+    const groups = this._groupFields(fields, options)
+      .flatMap(group => this._splitByScope(group, options, context));
+    for (const group of groups) {
+      const scopedChunks = this._scopeChunks(group, chunks, options, context);
+      const selectedChunks = this._selectChunks(group, scopedChunks, options, context);
+      const prompt = this._buildMultiFieldPrompt(group, selectedChunks, schema, options);
+      const groupScope = new AbortScope(options.signal, {
+        timeoutMs: options.fieldTimeoutMs,
+        scope: 'group',
+        label: `Field group (${group.map(f => f.name).join(', ')})`
+      });
+
+      let parsedFields;
+      try {
+        ({ parsed: parsedFields } = await this._completeWithRepair(
+          prompt,
+          reply => this._parseFieldGroupResponse(reply, group),
+          { ...options, signal: groupScope.signal },
+          context
+        ));
+      } catch (error) {
+        AbortScope.throwIfAborted(options.signal);
+
+        // Keep the fields that did parse once repair attempts run out
+        parsedFields = error.partial;
+        if (!parsedFields) {
+          for (const field of group) {
+            results.set(field.name, { error });
+          }
+          continue;
+        }
+      } finally {
+        groupScope.dispose();
+      }
+
+      for (const field of group) {
+        const entry = parsedFields.get(field.name);
+        if (entry.error) {
+          results.set(field.name, { error: entry.error });
+          continue;
+        }
+
+        results.set(field.name, {
+          result: this._groundResult({
+            value: entry.parsed.value,
+            confidence: entry.parsed.confidence ?? 0.8,
+            citations: entry.parsed.citations || [],
+            normalization: entry.parsed.normalization
+          }, options, context)
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse a multi-field reply into a Map of field name -> { parsed } or { error }
+   *
+   * Throws INVALID_LLM_RESPONSE (carrying the partial Map) if any field
+   * does not conform, so the whole group can be re-asked.
+   */
+  _parseFieldGroupResponse(response, fields) {
+    const parsed = this._parseMultiFieldResponse(response);
+    const entries = new Map();
+    const problems = [];
+
+    for (const field of fields) {
+      if (parsed[field.name] === undefined) {
+        const error = new Error(`LLM response did not include field "${field.name}"`);
+        error.code = 'FIELD_NOT_RETURNED';
+        entries.set(field.name, { error });
+        problems.push(error.message);
+        continue;
+      }
+
+      try {
+        entries.set(field.name, { parsed: this._parseLLMResponse(parsed[field.name], field) });
+      } catch (error) {
+        entries.set(field.name, { error });
+        problems.push(`${field.name}: ${error.message}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = this._invalidResponseError(problems.join('; '));
+      error.partial = entries;
+      throw error;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Call the LLM and parse its reply, re-prompting with the parse or
+   * validation error when the reply does not conform
+   *
+   * Only replies that parse are cached; a cached reply that does not is
+   * evicted.
+   */
+  async _completeWithRepair(prompt, parse, options, context) {
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const reply = await this._callLLM(currentPrompt, options, context);
+      let parsed;
+      try {
+        parsed = parse(reply.content);
+      } catch (error) {
+        if (reply.cacheKey && reply.cached) await this.cache.invalidate(reply.cacheKey);
+        if (error.code !== 'INVALID_LLM_RESPONSE' || attempt >= options.maxRepairAttempts) {
+          throw error;
+        }
+        context.repairAttempts++;
+        currentPrompt = this._buildRepairPrompt(prompt, reply.content, error);
+        continue;
+      }
+
+      if (reply.cacheKey && !reply.cached) {
+        await this.cache.set(reply.cacheKey, {
+          content: reply.content,
+          usage: reply.usage,
+          providerId: this._getProviderId(options.llmProvider),
+          fields: currentPrompt.fields || []
+        });
+      }
+      return { response: reply.content, parsed };
+    }
+  }
+
+  /**
+   * Build a follow-up prompt asking the model to fix a non-conforming reply
+   */
+  _buildRepairPrompt(prompt, response, error) {
+    const previous = typeof response === 'string' ? response : JSON.stringify(response);
+    const schemaText = prompt.responseSchema
+      ? `\nThe reply must conform to this JSON Schema:\n${JSON.stringify(prompt.responseSchema.schema)}`
+      : '';
+
+    return {
+      ...prompt,
+      user: `${prompt.user}
+
+Your previous reply could not be used: ${error.message}
+Previous reply:
+"""
+${previous.slice(0, 2000)}
+"""
+Reply again with only valid JSON.${schemaText}`
+    };
+  }
+
+  /**
+   * Create an error for a reply that is not valid JSON or does not conform
+   */
+  _invalidResponseError(message) {
+    const error = new Error(`Invalid LLM response: ${message}`);
+    error.code = 'INVALID_LLM_RESPONSE';
+    return error;
+  }
+
+  /**
+   * Split fields into LLM extraction groups
+   */
+  _groupFields(fields, options) {
+    const groups = [];
+    const assigned = new Set();
+
+    // Explicit groups (arrays of field names) first
+    for (const names of options.fieldGroups || []) {
+      const group = fields.filter(f => names.includes(f.name) && !assigned.has(f.name));
+      group.forEach(f => assigned.add(f.name));
+      if (group.length > 0) groups.push(group);
+    }
+
+    // Remaining fields in groups of fieldGroupSize
+    const remaining = fields.filter(f => !assigned.has(f.name));
+    const size = Math.max(1, options.fieldGroupSize || Infinity);
+    for (let i = 0; i < remaining.length; i += size) {
+      groups.push(remaining.slice(i, i + size));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Select the most relevant chunks for a set of fields
+   *
+   * With retrievalTopK set, chunks are ranked per field with BM25 and the
+   * union of each field's top-k is kept, in document order. The chosen
+   * chunk indexes are recorded on the context for the audit trail.
+   */
+  _selectChunks(fields, chunks, options, context) {
+    const topK = options.retrievalTopK;
+    if (!topK || chunks.length <= topK) return chunks;
+
+    if (!context.ranker || context.ranker.chunks !== chunks) {
+      context.ranker = new ChunkRanker(chunks, options.retrievalOptions);
+    }
+
+    const selected = new Set();
+    for (const field of fields) {
+      const ranked = context.ranker.topK(ChunkRanker.fieldQueryTerms(field), topK);
+      const indexes = ranked.map(r => r.chunk.index);
+      context.retrievedChunks[field.name] = indexes;
+      indexes.forEach(index => selected.add(index));
+    }
+
+    return chunks.filter(chunk => selected.has(chunk.index));
+  }
+
+  /**
+   * Restrict chunks to the sections targeted by the fields
+   *
+   * Chunks are clipped to the matching section ranges (offsets stay
+   * exact); a chunk touching several ranges is clipped once, from the
+   * first to the last, so chunk indexes stay unique. If any field
+   * searches the whole document (it has no targets, or none match and
+   * `sectionFallback` is `'document'`), every chunk is returned. With
+   * `sectionFallback: 'none'` a field without matches searches nothing.
+   */
+  _scopeChunks(fields, chunks, options, context) {
+    let wholeDocument = false;
+    const ranges = [];
+    for (const field of fields) {
+      const matches = this._findFieldSections(field, options, context);
+      if (matches === null) {
+        wholeDocument = true;
+      } else {
+        ranges.push(...matches);
+      }
+    }
+    if (wholeDocument) return chunks;
+
+    // Merge overlapping ranges so no text is searched twice
+    const merged = [];
+    for (const range of ranges.sort((a, b) => a.startOffset - b.startOffset)) {
+      const last = merged[merged.length - 1];
+      if (last && range.startOffset <= last.endOffset) {
+        last.endOffset = Math.max(last.endOffset, range.endOffset);
+      } else {
+        merged.push({ startOffset: range.startOffset, endOffset: range.endOffset });
+      }
+    }
+
+    const scoped = [];
+    for (const chunk of chunks) {
+      const overlapping = merged.filter(range =>
+        range.startOffset < chunk.endOffset && range.endOffset > chunk.startOffset);
+      if (overlapping.length === 0) continue;
+
+      const start = Math.max(chunk.startOffset, overlapping[0].startOffset);
+      const end = Math.min(chunk.endOffset, overlapping[overlapping.length - 1].endOffset);
+      scoped.push({
+        ...chunk,
+        text: context.text.slice(start, end),
+        startOffset: start,
+        endOffset: end
+      });
+    }
+
+    return scoped;
+  }
+
+  /**
+   * Find the sections a field targets and record them on the context
+   *
+   * Returns the matching ranges, or null when the field searches the
+   * whole document.
+   */
+  _findFieldSections(field, options, context) {
+    if (!field.sections?.length) return null;
+
+    const matches = context.source.findSections(field.sections);
+    const fallback = matches.length === 0 ? options.sectionFallback : undefined;
+    context.sectionTargets[field.name] = {
+      sections: matches.map(m => m.section.id),
+      fallback
     };
+    return fallback === 'document' ? null : matches;
+  }
+
+  /**
+   * Split a field group into the fields scoped to sections and those
+   * searching the whole document, so one field's fallback does not
+   * widen the others' search
+   */
+  _splitByScope(group, options, context) {
+    const scoped = group.filter(field => this._findFieldSections(field, options, context) !== null);
+    const whole = group.filter(field => !scoped.includes(field));
+    return [scoped, whole].filter(fields => fields.length > 0);
+  }
+
+  /**
+   * Unwrap a grouped result, rethrowing its error
+   */
+  _unwrapGroupResult(entry) {
+    if (entry.error) throw entry.error;
+    return entry.result;
+  }
+
+  /**
+   * Call the LLM provider, waiting on the rate limiter and retrying
+   * per the retry policy
+   *
+   * Returns `{ content, usage, cacheKey, cached }`; the caller stores the
+   * reply under `cacheKey` once it has parsed.
+   */
+  async _callLLM(prompt, options, context) {
+    AbortScope.throwIfAborted(options.signal);
+
+    const cacheKey = this._getCacheKey(prompt, options, context);
+    if (cacheKey && options.cacheMode === 'use') {
+      const cached = await this.cache.get(cacheKey);
+      context.cache[cached ? 'hits' : 'misses']++;
+      if (cached) return { content: cached.content, usage: cached.usage, cacheKey, cached: true };
+    }
+
+    if (context) this._checkTokenBudget(prompt, options, context);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const reservation = this.rateLimiter
+          ? await this.rateLimiter.acquire({ tokens: this.usageTracker.estimatePrompt(prompt) }, options.signal)
+          : null;
+        if (reservation && context) context.rateLimitWaitMs += reservation.waitedMs;
+
+        const response = await this._invokeProvider(prompt, options.llmProvider || this.llmProvider, options.signal);
+        if (reservation) {
+          this.rateLimiter.settle(reservation, response.usage?.totalTokens
+            ?? this.usageTracker.estimatePrompt(prompt) + this.usageTracker.estimateTokens(response.content));
+        }
+        if (context) {
+          context.llmCalls++;
+          this.usageTracker.record(context.usage, { prompt, content: response.content, usage: response.usage });
+        }
+        return { content: response.content, usage: response.usage, cacheKey, cached: false };
+      } catch (error) {
+        AbortScope.throwIfAborted(options.signal);
+        // Auth failures, invalid requests and budget errors are not retried
+        if (attempt >= options.maxRetries || !this.retryPolicy.isRetryable(error)) throw error;
+        if (context) context.retries++;
+        await this._sleep(this.retryPolicy.delayFor(attempt, error), options.signal);
+      }
+    }
+  }
+
+  /**
+   * Wrap a cache option (LLMResponseCache or storage adapter)
+   */
+  _createCache(cache) {
+    if (!cache) return null;
+    return cache instanceof LLMResponseCache ? cache : new LLMResponseCache({ storage: cache });
+  }
+
+  /**
+   * Cache key for a prompt, or null when caching does not apply
+   */
+  _getCacheKey(prompt, options, context) {
+    if (!this.cache || !context || options.cacheMode === 'bypass') return null;
+
+    // Replies from a provider without an identity could be served to another
+    const providerId = this._getProviderId(options.llmProvider);
+    if (!providerId) return null;
+
+    const fields = (prompt.fields || [])
+      .map(name => context.schema.fields.find(f => f.name === name))
+      .filter(Boolean);
+    return this.cache.key({ prompt, providerId, fields });
+  }
+
+  /**
+   * Identity of a provider (name and model for adapters), or null when
+   * it has none; a function's own name does not identify it
+   */
+  _getProviderId(provider = this.llmProvider) {
+    provider = provider || this.llmProvider;
+    if (provider.id) return provider.id;
+    return typeof provider === 'function' ? null : provider.name || null;
+  }
+
+  /**
+   * Refuse a call whose estimated prompt would take the document over
+   * its token budget
+   */
+  _checkTokenBudget(prompt, options, context) {
+    if (options.tokenBudget == null) return;
+
+    const estimate = this.usageTracker.estimatePrompt(prompt);
+    if (context.usage.totalTokens + estimate > options.tokenBudget) {
+      const error = new Error(
+        `Token budget of ${options.tokenBudget} exceeded (${context.usage.totalTokens} used, ~${estimate} needed)`
+      );
+      error.code = 'TOKEN_BUDGET_EXCEEDED';
+      error.retryable = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Invoke the provider, normalising function and adapter providers
+   * to the adapter completion shape ({ content, usage, model, provider })
+   *
+   * The signal is passed to the provider, and the call is abandoned when
+   * it aborts even if the provider ignores it.
+   */
+  async _invokeProvider(prompt, provider = this.llmProvider, signal) {
+    const completion = typeof provider.complete === 'function'
+      ? provider.complete(prompt, { signal })
+      : Promise.resolve(provider(prompt, { signal })).then(content => ({ content, usage: null }));
+
+    return AbortScope.race(completion, signal);
   }
 
   /**
@@ -297,17 +1258,25 @@ class SchemaExtractor {
     const patterns = field.patterns || [];
     const citations = [];
     let bestMatch = null;
+    let bestNormalization;
     let bestConfidence = 0;
 
     for (const chunk of chunks) {
       for (const pattern of patterns) {
-        const regex = typeof pattern === 'string' ? new RegExp(pattern, 'gi') : pattern;
-        const matches = chunk.text.matchAll(regex);
+        const matches = chunk.text.matchAll(this._toGlobalRegExp(pattern));
         
         for (const match of matches) {
           const confidence = this._calculatePatternConfidence(match, field);
           if (confidence > bestConfidence) {
-            bestMatch = this._extractValueFromMatch(match, field);
+            // Skip matches that cannot be read as the field type
+            let normalized;
+            try {
+              normalized = this._normalizeFieldValue((match[1] || match[0]).trim(), field, match[0]);
+            } catch {
+              continue;
+            }
+            bestMatch = normalized.value;
+            bestNormalization = normalized.normalization;
             bestConfidence = confidence;
             citations.push({
               text: match[0],
@@ -324,25 +1293,178 @@ class SchemaExtractor {
     return {
       value: bestMatch ?? field.defaultValue,
       confidence: bestConfidence,
+      citations,
+      normalization: bestMatch != null ? bestNormalization : undefined
+    };
+  }
+
+  /**
+   * Extract every pattern match for an array field
+   *
+   * Matches from all chunks and patterns are collected, de-duplicated
+   * (by position, since chunks overlap, and by value) and ordered by
+   * position, each item with its own citation. For arrays of objects,
+   * named capture groups (or capture groups in property order) fill the
+   * item properties, so one pattern can capture a table row.
+   */
+  _extractArrayWithPatterns(field, chunks, options) {
+    const itemField = field.items || { type: 'string' };
+    const matches = [];
+    const seenOffsets = new Set();
+
+    for (const chunk of chunks) {
+      for (const pattern of field.patterns) {
+        for (const match of chunk.text.matchAll(this._toGlobalRegExp(pattern))) {
+          if (match[0].length === 0) continue;
+          const startOffset = chunk.startOffset + match.index;
+          if (seenOffsets.has(startOffset)) continue;
+          seenOffsets.add(startOffset);
+
+          let value;
+          try {
+            value = this._extractItemFromMatch(match, itemField);
+          } catch {
+            continue;
+          }
+          if (value === null || value === undefined || value === '') continue;
+
+          matches.push({
+            value,
+            citation: {
+              text: match[0],
+              startOffset,
+              endOffset: startOffset + match[0].length,
+              chunkIndex: chunk.index,
+              confidence: this._calculatePatternConfidence(match, itemField)
+            }
+          });
+        }
+      }
+    }
+
+    matches.sort((a, b) => a.citation.startOffset - b.citation.startOffset);
+
+    const items = [];
+    const seenValues = new Set();
+    for (const match of matches) {
+      const key = JSON.stringify(match.value);
+      if (seenValues.has(key)) continue;
+      seenValues.add(key);
+      items.push(match);
+    }
+
+    const limited = field.maxItems !== undefined ? items.slice(0, field.maxItems) : items;
+    if (limited.length === 0) {
+      return { value: field.defaultValue, confidence: 0, citations: [] };
+    }
+
+    return {
+      value: limited.map(item => item.value),
+      confidence: this._average(limited.map(item => item.citation.confidence)),
+      citations: limited.map((item, itemIndex) => ({ ...item.citation, itemIndex }))
+    };
+  }
+
+  /**
+   * Build one array item from a regex match
+   */
+  _extractItemFromMatch(match, itemField) {
+    if (!itemField.properties?.length) {
+      return this._extractValueFromMatch(match, itemField);
+    }
+
+    const item = {};
+    itemField.properties.forEach((property, i) => {
+      const raw = match.groups?.[property.name] ?? (match.groups ? undefined : match[i + 1]);
+      if (raw !== undefined && raw.trim() !== '') {
+        item[property.name] = this._coerceValue(raw.trim(), property);
+      }
+    });
+    return Object.keys(item).length > 0 ? item : null;
+  }
+
+  /**
+   * Compile a pattern as a global RegExp (matchAll requires the g flag)
+   */
+  _toGlobalRegExp(pattern) {
+    if (typeof pattern === 'string') return new RegExp(pattern, 'gi');
+    return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+  }
+
+  /**
+   * Extract an object field property by property using their patterns
+   */
+  _extractObjectWithPatterns(field, chunks, options) {
+    const value = {};
+    const citations = [];
+    const confidences = [];
+
+    for (const property of field.properties) {
+      const result = this._extractFieldWithPatternStrategy(property, chunks, options);
+
+      if (result.value !== undefined && result.value !== null) {
+        value[property.name] = result.value;
+        confidences.push(result.confidence);
+      }
+      citations.push(...result.citations.map(c => ({
+        ...c,
+        propertyPath: c.propertyPath ? `${property.name}.${c.propertyPath}` : property.name
+      })));
+    }
+
+    if (confidences.length === 0) {
+      return { value: field.defaultValue, confidence: 0, citations };
+    }
+
+    return {
+      value,
+      // Scale by coverage so a partially populated object scores lower
+      confidence: this._average(confidences) * (confidences.length / field.properties.length),
       citations
     };
   }
 
+  /**
+   * Describe a field's type for the LLM, including nested structure
+   */
+  _describeFieldType(field) {
+    if (field.properties?.length) {
+      const properties = field.properties
+        .map(p => `${p.name}${p.required ? '' : '?'}: ${this._describeFieldType(p)}`)
+        .join(', ');
+      return `{ ${properties} }`;
+    }
+    if (field.items) {
+      return `array of ${this._describeFieldType(field.items)}`;
+    }
+    if (field.enum) {
+      return `${field.type} (one of: ${field.enum.join(', ')})`;
+    }
+    return field.format ? `${field.type} (${field.format})` : field.type;
+  }
+
   /**
    * Build extraction prompt for LLM
    */
-  _buildExtractionPrompt(field, chunks, schema) {
-    const contextText = chunks.map(c => c.text).join('\n\n---\n\n');
+  _buildExtractionPrompt(field, chunks, schema, options = {}) {
+    const contextText = this._formatChunks(chunks);
     
     return {
+      mode: 'field',
+      fields: [field.name],
+      responseSchema: options.structuredOutput
+        ? this._responseSchemaFor(field.name, this.jsonSchemaGenerator.fieldResponse(field))
+        : undefined,
+      sample: options.sample,
+      temperature: options.temperature,
       system: `You are a document extraction assistant specializing in extracting structured data from regulatory and legal documents. 
 Extract the requested field with precision. Always cite the exact source text.
-Return JSON with: { "value": <extracted value>, "confidence": <0-1>, "sourceText": "<exact quoted text>", "reasoning": "<brief explanation>" }`,
+Return JSON with: ${field.type === 'array' ? LIST_RESPONSE_FORMAT : FIELD_RESPONSE_FORMAT}`,
       
       user: `Schema: ${schema.name} (v${schema.version})
 Field to extract: ${field.name}
 Description: ${field.description || 'No description'}
-Type: ${field.type}
+Type: ${this._describeFieldType(field)}
 ${field.enum ? `Valid values: ${field.enum.join(', ')}` : ''}
 ${field.format ? `Format: ${field.format}` : ''}
 
@@ -351,65 +1473,228 @@ Document text:
 ${contextText}
 """
 
-Extract the "${field.name}" field. If not found, return null for value.`
+${field.type === 'array'
+    ? `Extract every item of the "${field.name}" list, in document order, each with its own quote. If none are found, return an empty items list.`
+    : `Extract the "${field.name}" field. If not found, return null for value.`}`
+    };
+  }
+
+  /**
+   * Join chunks for a prompt, labelling each with its heading path
+   */
+  _formatChunks(chunks) {
+    return chunks
+      .map(c => c.headingPath?.length ? `[${c.headingPath.join(' > ')}]\n${c.text}` : c.text)
+      .join('\n\n---\n\n');
+  }
+
+  /**
+   * Build a single prompt covering several fields
+   */
+  _buildMultiFieldPrompt(fields, chunks, schema, options = {}) {
+    const contextText = this._formatChunks(chunks);
+    const fieldList = fields.map(field => [
+      `- ${field.name}: ${this._describeFieldType(field)}`,
+      field.description ? `  Description: ${field.description}` : '',
+      field.extractionHints?.length ? `  Hints: ${field.extractionHints.join('; ')}` : ''
+    ].filter(Boolean).join('\n')).join('\n');
+
+    return {
+      mode: 'multi-field',
+      fields: fields.map(f => f.name),
+      responseSchema: options.structuredOutput
+        ? this._responseSchemaFor(schema.name, this.jsonSchemaGenerator.multiFieldResponse(fields))
+        : undefined,
+      system: `You are a document extraction assistant specializing in extracting structured data from regulatory and legal documents. 
+Extract every requested field with precision. Always cite the exact source text.
+Return JSON with one entry per field: { "fields": { "<fieldName>": ${FIELD_RESPONSE_FORMAT} } }${fields.some(f => f.type === 'array')
+    ? `\nFor list (array) fields use: ${LIST_RESPONSE_FORMAT}`
+    : ''}`,
+
+      user: `Schema: ${schema.name} (v${schema.version})
+Fields to extract:
+${fieldList}
+
+Document text:
+"""
+${contextText}
+"""
+
+Extract all ${fields.length} fields listed above. For any field not found, return null for its value.`
+    };
+  }
+
+  /**
+   * Structured output descriptor passed to providers that support it
+   */
+  _responseSchemaFor(name, schema) {
+    return {
+      name: `${String(name).replace(/[^a-zA-Z0-9_-]/g, '_')}_extraction`.slice(0, 64),
+      schema
     };
   }
 
+  /**
+   * Parse a multi-field LLM response into a map of per-field responses
+   */
+  _parseMultiFieldResponse(response) {
+    const parsed = this._parseJSONReply(response);
+    return parsed.fields && typeof parsed.fields === 'object' ? parsed.fields : parsed;
+  }
+
+  /**
+   * Parse a reply as a JSON object, tolerating markdown code fences
+   */
+  _parseJSONReply(response) {
+    let parsed = response;
+    if (typeof response === 'string') {
+      const text = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw this._invalidResponseError(`reply is not valid JSON (${error.message})`);
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw this._invalidResponseError('reply is not a JSON object');
+    }
+    return parsed;
+  }
+
   /**
    * Parse LLM response into structured format
+   *
+   * Throws INVALID_LLM_RESPONSE when the reply is not JSON or its value
+   * does not conform to the field's JSON Schema after type coercion.
    */
   _parseLLMResponse(response, field) {
-    try {
-      // Handle both string and object responses
-      const parsed = typeof response === 'string' 
-        ? JSON.parse(response) 
-        : response;
-      
-      // Type coercion based on field type
-      let value = parsed.value;
-      if (value !== null && value !== undefined) {
-        value = this._coerceType(value, field.type);
+    const parsed = this._parseJSONReply(response);
+    if (field.type === 'array') {
+      return this._parseListResponse(parsed, field);
+    }
+
+    // Type coercion based on field type
+    let value = parsed.value;
+    let normalization;
+    if (value !== null && value !== undefined) {
+      try {
+        ({ value, normalization } = this._normalizeFieldValue(value, field, parsed.sourceText));
+      } catch (error) {
+        throw this._invalidResponseError(`value could not be converted to ${field.type} (${error.message})`);
       }
+    }
 
-      return {
-        value,
-        confidence: parsed.confidence || 0.8,
-        citations: parsed.sourceText ? [{
-          text: parsed.sourceText,
-          reasoning: parsed.reasoning
-        }] : []
-      };
-    } catch {
-      // If JSON parse fails, try to extract value directly
-      return {
-        value: this._coerceType(response, field.type),
-        confidence: 0.5,
-        citations: []
-      };
+    const problems = this.jsonSchemaGenerator.validate(
+      { ...parsed, value: value === undefined ? null : value },
+      this.jsonSchemaGenerator.fieldResponse(field)
+    );
+    if (problems.length > 0) {
+      throw this._invalidResponseError(problems.join('; '));
+    }
+
+    return {
+      value,
+      confidence: parsed.confidence ?? 0.8,
+      normalization,
+      citations: parsed.sourceText ? [{
+        text: parsed.sourceText,
+        reasoning: parsed.reasoning
+      }] : []
+    };
+  }
+
+  /**
+   * Coerce a top-level field value, describing the conversion
+   *
+   * Returns `{ value, normalization }`; `normalization` ({ raw, value,
+   * kind, currency }) is set for scalar fields whose value was converted
+   * or carries a currency. An amount given without its currency takes
+   * the currency stated in the quoted source text.
+   */
+  _normalizeFieldValue(raw, field, sourceText) {
+    if (raw === null || raw === undefined || field.properties || field.items ||
+        field.type === 'array' || field.type === 'object') {
+      return { value: this._coerceValue(raw, field) };
+    }
+
+    const normalized = this.valueNormalizer.normalize(raw, field);
+    if (normalized.kind === 'currency' && !normalized.currency) {
+      normalized.currency = this.valueNormalizer.detectCurrency(sourceText);
+    }
+    return {
+      value: normalized.value,
+      normalization: normalized.value !== raw || normalized.currency ? normalized : undefined
+    };
+  }
+
+  /**
+   * Coerce value to a field definition, recursing into properties and items
+   */
+  _coerceValue(value, field) {
+    if (value === null || value === undefined) return value;
+
+    const coerced = this.valueNormalizer.normalize(value, field).value;
+
+    if (field.properties && typeof coerced === 'object' && !Array.isArray(coerced)) {
+      const result = { ...coerced };
+      for (const property of field.properties) {
+        if (result[property.name] !== undefined) {
+          result[property.name] = this._coerceValue(result[property.name], property);
+        }
+      }
+      return result;
     }
+
+    if (field.items && Array.isArray(coerced)) {
+      return coerced.map(item => this._coerceValue(item, field.items));
+    }
+
+    return coerced;
   }
 
   /**
-   * Coerce value to expected type
+   * Parse a list reply ({ items: [{ value, sourceText }] }) for an array
+   * field into a value array with one citation per item
+   *
+   * A plain { value: [...] } reply is accepted, without item citations.
    */
-  _coerceType(value, type) {
-    switch (type) {
-      case 'string':
-        return String(value);
-      case 'number':
-      case 'integer':
-        return Number(value);
-      case 'boolean':
-        return Boolean(value);
-      case 'date':
-        return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
-      case 'array':
-        return Array.isArray(value) ? value : [value];
-      case 'object':
-        return typeof value === 'object' ? value : { value };
-      default:
-        return value;
+  _parseListResponse(parsed, field) {
+    const reply = Array.isArray(parsed.items)
+      ? parsed
+      : { ...parsed, items: Array.isArray(parsed.value) ? parsed.value.map(value => ({ value })) : [] };
+    delete reply.value;
+
+    const itemField = field.items || { type: 'any' };
+    const items = reply.items.map(item => {
+      const entry = item && typeof item === 'object' && 'value' in item ? item : { value: item };
+      try {
+        return { ...entry, value: this._coerceValue(entry.value, itemField) };
+      } catch (error) {
+        throw this._invalidResponseError(`list item could not be converted to ${itemField.type} (${error.message})`);
+      }
+    });
+
+    const problems = this.jsonSchemaGenerator.validate(
+      { ...reply, items },
+      this.jsonSchemaGenerator.fieldResponse(field)
+    );
+    if (problems.length > 0) {
+      throw this._invalidResponseError(problems.join('; '));
     }
+
+    const present = items.filter(item => item.value !== null && item.value !== undefined);
+    return {
+      value: present.length > 0 ? present.map(item => item.value) : null,
+      confidence: reply.confidence ?? 0.8,
+      citations: present
+        .map((item, itemIndex) => item.sourceText ? {
+          text: item.sourceText,
+          reasoning: reply.reasoning,
+          itemIndex
+        } : null)
+        .filter(Boolean)
+    };
   }
 
   /**
@@ -438,7 +1723,7 @@ Extract the "${field.name}" field. If not found, return null for value.`
   _extractValueFromMatch(match, field) {
     // Use first capture group if available, otherwise full match
     const rawValue = match[1] || match[0];
-    return this._coerceType(rawValue.trim(), field.type);
+    return this._coerceValue(rawValue.trim(), field);
   }
 
   /**
@@ -473,11 +1758,11 @@ Extract the "${field.name}" field. If not found, return null for value.`
   }
 
   /**
-   * Sleep utility
+   * Sleep utility (rejects early if the signal aborts)
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal) {
+    return AbortScope.sleep(ms, signal);
   }
 }
 
-module.exports = { SchemaExtractor };
+module.exports = { SchemaExtractor, ExtractionEvents };
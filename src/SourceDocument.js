@@ -0,0 +1,189 @@
+/**
+ * SourceDocument - Page- and section-aware document input
+ *
+ * Wraps the text handed to SchemaExtractor with its page boundaries and
+ * detected sections, so any character offset can be mapped back to the
+ * page and section it falls in. Text input is kept as given, with form
+ * feeds marking page breaks, so offsets index the caller's string. Pages
+ * given separately are joined with a form feed on a line of its own, so
+ * patterns and chunkers see the page break as a line and paragraph break.
+ */
+
+const { TextParser } = require('./parsers/TextParser');
+
+const PAGE_SEPARATOR = '\n\f\n';
+
+class SourceDocument {
+  /**
+   * @param {Object} options
+   * @param {string} [options.text] - Full text (form feeds mark page breaks)
+   * @param {Array<string|Object>} [options.pages] - Page texts, or { text, pageNumber }
+   * @param {string} [options.id] - Document identifier
+   * @param {Object} [options.metadata] - Caller metadata
+   */
+  constructor(options = {}) {
+    this.id = options.id || null;
+    this.metadata = options.metadata || {};
+
+    const pages = options.pages
+      ? options.pages.map((page, i) => typeof page === 'string'
+        ? { text: page, pageNumber: i + 1 }
+        : { text: page.text || '', pageNumber: page.pageNumber ?? i + 1 })
+      : (options.text || '').split('\f').map((text, i) => ({ text, pageNumber: i + 1 }));
+    const separator = options.pages ? PAGE_SEPARATOR : '\f';
+
+    this.text = pages.map(p => p.text).join(separator);
+    this.pages = [];
+
+    let offset = 0;
+    for (const page of pages) {
+      this.pages.push({
+        pageNumber: page.pageNumber,
+        startOffset: offset,
+        endOffset: offset + page.text.length
+      });
+      offset += page.text.length + separator.length;
+    }
+
+    this.sections = new TextParser()._detectSections(this.text);
+  }
+
+  /**
+   * Wrap any supported document input
+   *
+   * Accepts a SourceDocument, a string, `{ pages: [...] }` or `{ text }`.
+   * Other objects are serialised as JSON text.
+   */
+  static from(input) {
+    if (input instanceof SourceDocument) return input;
+    if (typeof input === 'string') return new SourceDocument({ text: input });
+    if (input && Array.isArray(input.pages)) return new SourceDocument(input);
+    if (input && typeof input.text === 'string') return new SourceDocument(input);
+    return new SourceDocument({ text: JSON.stringify(input) });
+  }
+
+  /**
+   * Number of pages
+   */
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Page number containing a character offset
+   */
+  pageAt(offset) {
+    const page = this._find(this.pages, offset);
+    return page ? page.pageNumber : undefined;
+  }
+
+  /**
+   * First and last page touched by an offset range
+   */
+  pageSpan(startOffset, endOffset) {
+    return {
+      startPage: this.pageAt(startOffset),
+      endPage: this.pageAt(Math.max(startOffset, endOffset - 1))
+    };
+  }
+
+  /**
+   * Section containing a character offset
+   */
+  sectionAt(offset) {
+    let found;
+    for (const section of this.sections) {
+      if (section.startOffset > offset) break;
+      if (offset < section.endOffset) found = section;
+    }
+    return found;
+  }
+
+  /**
+   * Find the sections matching any of a field's section targets
+   *
+   * A target is a RegExp tested against the heading, a section number
+   * string ('12' also matches '12.3'), any other string (a
+   * case-insensitive heading substring), or `{ heading, number }`.
+   * Each match returns the section with the offset range covering its
+   * sub-sections.
+   */
+  findSections(targets = []) {
+    const matches = [];
+
+    this.sections.forEach((section, i) => {
+      if (!targets.some(target => this._matchesTarget(section, target))) return;
+
+      // Extend over following sections nested below this one
+      let end = section.endOffset;
+      for (let j = i + 1; j < this.sections.length && this.sections[j].level > section.level; j++) {
+        end = this.sections[j].endOffset;
+      }
+      matches.push({ section, startOffset: section.startOffset, endOffset: end });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Check a section against one section target
+   */
+  _matchesTarget(section, target) {
+    if (target instanceof RegExp) {
+      target.lastIndex = 0;
+      return target.test(section.title);
+    }
+    if (typeof target === 'string') {
+      if (/^\d+(?:\.\d+)*$/.test(target)) {
+        return section.number === target || Boolean(section.number?.startsWith(`${target}.`));
+      }
+      return section.title.toLowerCase().includes(target.toLowerCase());
+    }
+    if (target && typeof target === 'object') {
+      return (target.heading === undefined || this._matchesTarget(section, target.heading))
+        && (target.number === undefined || this._matchesTarget(section, String(target.number)));
+    }
+    return false;
+  }
+
+  /**
+   * Add page and section to a citation that has offsets (or a chunk)
+   */
+  locate(citation, chunks = []) {
+    if (typeof citation.startOffset !== 'number') {
+      const chunk = chunks.find(c => c.index === citation.chunkIndex);
+      return chunk ? { ...citation, pageNumber: citation.pageNumber ?? chunk.startPage } : citation;
+    }
+
+    const section = this.sectionAt(citation.startOffset);
+    return {
+      ...citation,
+      pageNumber: citation.pageNumber ?? this.pageAt(citation.startOffset),
+      sectionId: citation.sectionId ?? section?.id,
+      sectionTitle: citation.sectionTitle ?? section?.title
+    };
+  }
+
+  /**
+   * Binary search for the range containing an offset (the end of the
+   * last page counts as inside it)
+   */
+  _find(ranges, offset) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const range = ranges[mid];
+      if (offset < range.startOffset) {
+        high = mid - 1;
+      } else if (offset > range.endOffset) {
+        low = mid + 1;
+      } else {
+        return range;
+      }
+    }
+    return undefined;
+  }
+}
+
+module.exports = { SourceDocument, PAGE_SEPARATOR };
@@ -0,0 +1,180 @@
+/**
+ * UsageTracker - Token and cost accounting for LLM extraction
+ *
+ * Records provider-reported token usage (or an estimate when the provider
+ * does not report it) per LLM call, attributes it to fields, and prices
+ * it from a per-1K-token price table.
+ */
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.pricing = options.pricing || null;
+    this.charsPerToken = options.charsPerToken ?? 4;
+  }
+
+  /**
+   * Estimate the token count of a piece of text
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    return Math.ceil(value.length / this.charsPerToken);
+  }
+
+  /**
+   * Estimate the prompt tokens of an extraction prompt
+   */
+  estimatePrompt(prompt) {
+    if (typeof prompt === 'string') return this.estimateTokens(prompt);
+    return this.estimateTokens(prompt.system) + this.estimateTokens(prompt.user);
+  }
+
+  /**
+   * Create an empty usage ledger
+   */
+  createLedger() {
+    return {
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimated: false,
+      fields: {}
+    };
+  }
+
+  /**
+   * Record one LLM call in a ledger
+   *
+   * Usage reported by the provider is used when present; otherwise the
+   * prompt and completion are estimated. Tokens for a multi-field call
+   * are split evenly across the fields it covered.
+   */
+  record(ledger, { prompt, content, usage }) {
+    const reported = usage && (usage.promptTokens != null || usage.completionTokens != null);
+    const entry = {
+      promptTokens: reported ? usage.promptTokens || 0 : this.estimatePrompt(prompt),
+      completionTokens: reported ? usage.completionTokens || 0 : this.estimateTokens(content),
+      estimated: !reported
+    };
+    entry.totalTokens = entry.promptTokens + entry.completionTokens;
+
+    this._add(ledger, entry);
+    ledger.calls++;
+
+    const fields = prompt?.fields?.length ? prompt.fields : ['_unattributed'];
+    for (const name of fields) {
+      if (!ledger.fields[name]) {
+        ledger.fields[name] = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+      }
+      const fieldLedger = ledger.fields[name];
+      fieldLedger.calls++;
+      fieldLedger.promptTokens += entry.promptTokens / fields.length;
+      fieldLedger.completionTokens += entry.completionTokens / fields.length;
+      fieldLedger.totalTokens += entry.totalTokens / fields.length;
+      fieldLedger.estimated = fieldLedger.estimated || entry.estimated;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Price a token count ({ promptTokens, completionTokens })
+   *
+   * Returns null when no pricing is configured.
+   */
+  cost(usage) {
+    if (!this.pricing) return null;
+    const promptCost = (usage.promptTokens / 1000) * (this.pricing.promptPer1K || 0);
+    const completionCost = (usage.completionTokens / 1000) * (this.pricing.completionPer1K || 0);
+    return this._round(promptCost + completionCost);
+  }
+
+  /**
+   * Summarise a ledger for extraction metadata
+   */
+  summarize(ledger) {
+    const byField = {};
+    for (const [name, fieldLedger] of Object.entries(ledger.fields)) {
+      const rounded = {
+        calls: fieldLedger.calls,
+        promptTokens: Math.round(fieldLedger.promptTokens),
+        completionTokens: Math.round(fieldLedger.completionTokens),
+        totalTokens: Math.round(fieldLedger.totalTokens),
+        estimated: fieldLedger.estimated
+      };
+      byField[name] = { ...rounded, cost: this.cost(fieldLedger) };
+    }
+
+    return {
+      calls: ledger.calls,
+      promptTokens: ledger.promptTokens,
+      completionTokens: ledger.completionTokens,
+      totalTokens: ledger.totalTokens,
+      estimated: ledger.estimated,
+      cost: this.cost(ledger),
+      currency: this.pricing ? this.pricing.currency || 'USD' : undefined,
+      byField
+    };
+  }
+
+  /**
+   * Combine usage summaries (e.g. across the documents of a batch)
+   */
+  static combine(summaries) {
+    const total = {
+      documents: 0,
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimated: false,
+      cost: null,
+      currency: undefined
+    };
+
+    for (const summary of summaries) {
+      UsageTracker.accumulate(total, summary);
+    }
+
+    return total;
+  }
+
+  /**
+   * Add one document's usage summary to a running total from combine(),
+   * in place
+   */
+  static accumulate(total, summary) {
+    if (!summary) return total;
+    total.documents++;
+    total.calls += summary.calls || 0;
+    total.promptTokens += summary.promptTokens || 0;
+    total.completionTokens += summary.completionTokens || 0;
+    total.totalTokens += summary.totalTokens || 0;
+    total.estimated = total.estimated || Boolean(summary.estimated);
+    if (summary.cost != null) {
+      total.cost = Math.round(((total.cost || 0) + summary.cost) * 1e6) / 1e6;
+      total.currency = total.currency || summary.currency;
+    }
+    return total;
+  }
+
+  /**
+   * Add token counts from one entry to a ledger
+   */
+  _add(ledger, entry) {
+    ledger.promptTokens += entry.promptTokens;
+    ledger.completionTokens += entry.completionTokens;
+    ledger.totalTokens += entry.totalTokens;
+    ledger.estimated = ledger.estimated || entry.estimated;
+  }
+
+  /**
+   * Round a cost to a millionth of the currency unit
+   */
+  _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+module.exports = { UsageTracker };
@@ -5,12 +5,17 @@
  * for regulated industries requiring high accuracy.
  */
 
+const { ComputedFieldEvaluator } = require('./ComputedFieldEvaluator');
+const { ValueNormalizer } = require('./ValueNormalizer');
+
 class ValidationEngine {
   constructor(options = {}) {
     this.rules = new Map();
     this.validators = new Map();
     this.strictMode = options.strictMode ?? false;
     this.customValidators = options.validators || {};
+    this.computedFields = new ComputedFieldEvaluator();
+    this.valueNormalizer = new ValueNormalizer();
     
     // Register built-in validators
     this._registerBuiltInValidators();
@@ -18,6 +23,10 @@ class ValidationEngine {
 
   /**
    * Validate extracted data against a schema
+   *
+   * Computed fields are checked against their inputs and, when
+   * `options.statedValues` holds a value the document stated directly
+   * (an extraction result's `statedValues`), reconciled with it.
    */
   validate(data, schema, options = {}) {
     const errors = [];
@@ -27,6 +36,10 @@ class ValidationEngine {
     for (const field of schema.fields) {
       const value = data[field.name];
       const result = this._validateField(value, field, data, options);
+      if (field.computed) {
+        result.errors.push(...this._reconcileComputedField(field, data, options.statedValues));
+        result.valid = result.errors.length === 0;
+      }
       
       fieldResults[field.name] = {
         valid: result.valid,
@@ -35,8 +48,8 @@ class ValidationEngine {
         warnings: result.warnings
       };
 
-      errors.push(...result.errors.map(e => ({ ...e, field: field.name })));
-      warnings.push(...result.warnings.map(w => ({ ...w, field: field.name })));
+      errors.push(...result.errors.map(e => ({ path: field.name, ...e, field: field.name })));
+      warnings.push(...result.warnings.map(w => ({ path: field.name, ...w, field: field.name })));
     }
 
     // Cross-field validations
@@ -84,8 +97,11 @@ class ValidationEngine {
 
   /**
    * Validate a single field
+   *
+   * `path` qualifies nested values (e.g. `tiers[2].rate`); nested errors
+   * carry it so they can be traced back to the exact element.
    */
-  _validateField(value, field, allData, options) {
+  _validateField(value, field, allData, options, path = field.name) {
     const errors = [];
     const warnings = [];
 
@@ -93,7 +109,7 @@ class ValidationEngine {
     if (field.required && (value === undefined || value === null || value === '')) {
       errors.push({
         code: 'REQUIRED',
-        message: `Field "${field.name}" is required`
+        message: `Field "${path}" is required`
       });
       return { valid: false, errors, warnings };
     }
@@ -207,6 +223,27 @@ class ValidationEngine {
       }
     }
 
+    // Nested object properties
+    if (field.properties?.length && typeof value === 'object' && !Array.isArray(value)) {
+      for (const property of field.properties) {
+        const propertyPath = `${path}.${property.name}`;
+        const result = this._validateField(value[property.name], property, allData, options, propertyPath);
+        errors.push(...result.errors.map(e => ({ path: propertyPath, ...e })));
+        warnings.push(...result.warnings.map(w => ({ path: propertyPath, ...w })));
+      }
+    }
+
+    // Array items
+    if (field.items && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const itemField = { name: itemPath, ...field.items };
+        const result = this._validateField(item, itemField, allData, options, itemPath);
+        errors.push(...result.errors.map(e => ({ path: itemPath, ...e })));
+        warnings.push(...result.warnings.map(w => ({ path: itemPath, ...w })));
+      });
+    }
+
     // Custom validators
     if (field.validators?.length) {
       for (const validatorName of field.validators) {
@@ -238,6 +275,50 @@ class ValidationEngine {
     };
   }
 
+  /**
+   * Check a computed field against its inputs and any stated value
+   */
+  _reconcileComputedField(field, data, statedValues = {}) {
+    const errors = [];
+    const actual = data[field.name];
+    const tolerance = field.computed.tolerance;
+    if (typeof actual !== 'number') return errors;
+
+    let expected;
+    try {
+      expected = this.computedFields.evaluate(field, data).value;
+    } catch (error) {
+      return [{ code: error.code || 'INVALID_COMPUTED_FIELD', message: error.message }];
+    }
+
+    if (expected !== null && !this.computedFields.reconcile(actual, expected, tolerance).matches) {
+      errors.push({
+        code: 'COMPUTED_MISMATCH',
+        message: `Value ${actual} does not match ${expected} computed from its inputs`,
+        expected,
+        actual
+      });
+    }
+
+    const stated = statedValues[field.name];
+    const statedValue = stated && typeof stated === 'object' ? stated.value : stated;
+    if (typeof statedValue === 'number') {
+      const result = this.computedFields.reconcile(actual, statedValue, tolerance);
+      if (!result.matches) {
+        errors.push({
+          code: 'STATED_VALUE_MISMATCH',
+          message: `Computed value ${actual} differs from the stated value ${statedValue} by ${+result.difference.toFixed(6)}`,
+          computed: actual,
+          stated: statedValue,
+          difference: result.difference,
+          allowed: result.allowed
+        });
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * Validate value type
    */
@@ -288,6 +369,21 @@ class ValidationEngine {
       'ipv6': /^([0-9a-f]{1,4}:){7}[0-9a-f]{1,4}$/i
     };
 
+    // Normalised amounts and percentages are numbers
+    if (typeof value === 'number' && (format === 'currency' || format === 'percentage')) {
+      return { valid: Number.isFinite(value), format };
+    }
+
+    // Currency text as written ("£1,250,000") is valid when it states an amount
+    if (format === 'currency' && typeof value === 'string') {
+      try {
+        this.valueNormalizer.parseAmount(value);
+        return { valid: true, format };
+      } catch {
+        return { valid: false, format };
+      }
+    }
+
     const regex = formats[format];
     if (!regex) {
       // Unknown format - assume valid
@@ -522,7 +618,7 @@ class ValidationEngine {
       lines.push('ALL ERRORS');
       lines.push('----------');
       for (const error of validationResult.errors) {
-        lines.push(`[${error.code}] ${error.field || 'schema'}: ${error.message}`);
+        lines.push(`[${error.code}] ${error.path || error.field || 'schema'}: ${error.message}`);
       }
     }
 
@@ -0,0 +1,378 @@
+/**
+ * ValueNormalizer - Convert extracted text into typed field values
+ *
+ * Documents state values the way people write them: "£1,250,000",
+ * "1.2 million", "No", "12.5 per cent", "1st April 2024". This turns
+ * them into the number, boolean or ISO date the field declares, keeping
+ * the raw text and any currency alongside, and fails loudly rather than
+ * producing NaN or a guessed value.
+ */
+
+// Currency symbols and prefixes, longest first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'],
+  ['£', 'GBP'], ['€', 'EUR'], ['$', 'USD'], ['¥', 'JPY'], ['₹', 'INR'], ['₣', 'CHF']
+];
+
+const CURRENCY_CODES = [
+  'GBP', 'USD', 'EUR', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD',
+  'INR', 'CNY', 'SEK', 'NOK', 'DKK', 'ZAR'
+];
+
+const CURRENCY_WORDS = {
+  pound: 'GBP', pounds: 'GBP', sterling: 'GBP',
+  dollar: 'USD', dollars: 'USD',
+  euro: 'EUR', euros: 'EUR'
+};
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  tn: 1e12, trillion: 1e12
+};
+
+const BOOLEAN_WORDS = {
+  yes: true, y: true, true: true, t: true, on: true, '1': true,
+  no: false, n: false, false: false, f: false, off: false, '0': false
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+class ValueNormalizer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dateOrder] - 'DMY' (UK) or 'MDY' (US) for ambiguous numeric dates
+   * @param {string} [options.defaultCurrency] - Currency code when none is stated
+   * @param {string} [options.decimalMark] - '.' (default) or ',' for numbers like "1,250" or "1.250"
+   */
+  constructor(options = {}) {
+    this.dateOrder = options.dateOrder || 'DMY';
+    this.defaultCurrency = options.defaultCurrency || null;
+    this.decimalMark = options.decimalMark === ',' ? ',' : '.';
+  }
+
+  /**
+   * Normalise a value for a field
+   *
+   * Returns `{ value, raw, kind }`, plus `currency` for amounts. Throws
+   * NORMALIZATION_FAILED when the value cannot be read as the field type.
+   */
+  normalize(raw, field) {
+    if (raw === null || raw === undefined) return { value: raw, raw, kind: field.type };
+
+    if (field.format === 'currency' && field.type === 'string') {
+      return this._currencyText(raw, field);
+    }
+    if (field.format === 'currency') {
+      const { amount, currency } = this.parseAmount(raw);
+      return { value: amount, raw, kind: 'currency', currency: currency || field.currency || this.defaultCurrency };
+    }
+    if (field.format === 'percentage') {
+      return { value: this.parsePercentage(raw), raw, kind: 'percentage' };
+    }
+
+    switch (field.type) {
+      case 'number':
+      case 'integer': {
+        const { amount, currency } = this.parseAmount(raw);
+        if (field.type === 'integer' && !Number.isInteger(amount)) this._fail(raw, 'an integer');
+        return { value: amount, raw, kind: field.type, ...(currency ? { currency } : {}) };
+      }
+      case 'boolean':
+        return { value: this.parseBoolean(raw), raw, kind: 'boolean' };
+      case 'date':
+        return { value: this.parseDate(raw, field.format), raw, kind: 'date' };
+      case 'string':
+        return { value: typeof raw === 'string' ? raw : String(raw), raw, kind: 'string' };
+      case 'array':
+        return { value: Array.isArray(raw) ? raw : [raw], raw, kind: 'array' };
+      case 'object':
+        return { value: typeof raw === 'object' ? raw : { value: raw }, raw, kind: 'object' };
+      default:
+        return { value: raw, raw, kind: field.type };
+    }
+  }
+
+  /**
+   * Parse an amount with optional currency symbol or code, thousands
+   * separators, accounting negatives and scale words ("£1.2m")
+   */
+  parseAmount(raw) {
+    if (typeof raw === 'number') {
+      if (!Number.isFinite(raw)) this._fail(raw, 'a number');
+      return { amount: raw, currency: null };
+    }
+
+    let text = String(raw).trim();
+    let negative = false;
+    let currency = null;
+
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1).trim();
+    }
+
+    for (const [symbol, code] of CURRENCY_SYMBOLS) {
+      const index = text.indexOf(symbol);
+      if (index !== -1) {
+        currency = code;
+        text = `${text.slice(0, index)} ${text.slice(index + symbol.length)}`;
+        break;
+      }
+    }
+    text = text.replace(/\b[A-Za-z]{3,8}\b/g, word => {
+      const upper = word.toUpperCase();
+      if (CURRENCY_CODES.includes(upper)) {
+        currency = currency || upper;
+        return ' ';
+      }
+      if (CURRENCY_WORDS[word.toLowerCase()]) {
+        currency = currency || CURRENCY_WORDS[word.toLowerCase()];
+        return ' ';
+      }
+      return word;
+    }).trim();
+
+    if (/^[-−–]/.test(text)) {
+      negative = !negative;
+      text = text.slice(1).trim();
+    }
+
+    let multiplier = 1;
+    const scaled = text.match(/^(.*\d)\s*([a-z]+)\.?$/i);
+    if (scaled && MULTIPLIERS[scaled[2].toLowerCase()]) {
+      multiplier = MULTIPLIERS[scaled[2].toLowerCase()];
+      text = scaled[1];
+    }
+
+    const amount = this._parseDecimal(text.replace(/[\s']/g, ''));
+    if (amount === null) this._fail(raw, 'a number');
+
+    const value = negative ? -amount : amount;
+    return { amount: multiplier === 1 ? value : this._round(value * multiplier), currency };
+  }
+
+  /**
+   * A currency field kept as text: the value is the text as written, with
+   * the amount and currency reported alongside when it can be read
+   */
+  _currencyText(raw, field) {
+    const value = typeof raw === 'string' ? raw.trim() : String(raw);
+    try {
+      const { amount, currency } = this.parseAmount(raw);
+      return { value, raw, kind: 'currency', amount, currency: currency || field.currency || this.defaultCurrency };
+    } catch {
+      return { value, raw, kind: 'string' };
+    }
+  }
+
+  /**
+   * Find the currency stated in a piece of text (symbol, ISO code or
+   * word), or null
+   */
+  detectCurrency(text) {
+    if (typeof text !== 'string') return null;
+
+    for (const [symbol, code] of CURRENCY_SYMBOLS) {
+      if (text.includes(symbol)) return code;
+    }
+    for (const word of text.match(/\b[A-Za-z]{3,8}\b/g) || []) {
+      if (CURRENCY_CODES.includes(word)) return word;
+      if (CURRENCY_WORDS[word.toLowerCase()]) return CURRENCY_WORDS[word.toLowerCase()];
+    }
+    return null;
+  }
+
+  /**
+   * Parse a percentage ("12.5%", "12.5 per cent") as a number of percent
+   */
+  parsePercentage(raw) {
+    if (typeof raw === 'number') return raw;
+
+    const text = String(raw).trim().replace(/\s*(%|per\s*cent|percent|pct)\.?$/i, '');
+    const { amount } = this.parseAmount(text);
+    return amount;
+  }
+
+  /**
+   * Parse yes/no, true/false and similar words as a boolean
+   */
+  parseBoolean(raw) {
+    if (typeof raw === 'boolean') return raw;
+    if (raw === 1 || raw === 0) return raw === 1;
+
+    const word = String(raw).trim().toLowerCase().replace(/[.!]$/, '');
+    if (word in BOOLEAN_WORDS) return BOOLEAN_WORDS[word];
+    return this._fail(raw, 'yes/no');
+  }
+
+  /**
+   * Parse ISO, natural-language ("1st April 2024", "April 1, 2024") and
+   * numeric ("01/04/2024") dates
+   *
+   * Returns YYYY-MM-DD, or a full ISO timestamp for `date-time` fields.
+   * Ambiguous numeric dates follow `dateOrder`.
+   */
+  parseDate(raw, format = 'date') {
+    const dateTime = format === 'date-time';
+
+    if (raw instanceof Date) {
+      if (isNaN(raw)) this._fail(raw, 'a date');
+      return dateTime ? raw.toISOString() : raw.toISOString().slice(0, 10);
+    }
+
+    const text = String(raw).trim();
+
+    // ISO dates and timestamps
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+    if (iso) {
+      const date = this._isoDate(+iso[1], +iso[2], +iso[3], raw);
+      if (!iso[4]) return dateTime ? `${date}T00:00:00.000Z` : date;
+      const parsed = Date.parse(text);
+      if (isNaN(parsed)) this._fail(raw, 'a date');
+      return dateTime ? new Date(parsed).toISOString() : date;
+    }
+
+    const date = this._parseNaturalDate(text) || this._parseNumericDate(text);
+    if (!date) this._fail(raw, 'a date');
+
+    const value = this._isoDate(date.year, date.month, date.day, raw);
+    return dateTime ? `${value}T00:00:00.000Z` : value;
+  }
+
+  /**
+   * Dates with a month name: "1st April 2024", "April 1, 2024", "Mon 1 Apr 2024"
+   */
+  _parseNaturalDate(text) {
+    const cleaned = text
+      .toLowerCase()
+      .replace(/\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+/g, '')
+      .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+      .replace(/\b(the|of)\b/g, ' ')
+      .replace(/[,.]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const month = name => MONTHS[name.slice(0, 4)] || MONTHS[name.slice(0, 3)];
+
+    let match = cleaned.match(/^(\d{1,2}) ([a-z]+) (\d{2}|\d{4})$/);
+    if (match && month(match[2])) {
+      return { day: +match[1], month: month(match[2]), year: this._fullYear(match[3]) };
+    }
+
+    match = cleaned.match(/^([a-z]+) (\d{1,2}) (\d{2}|\d{4})$/);
+    if (match && month(match[1])) {
+      return { day: +match[2], month: month(match[1]), year: this._fullYear(match[3]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Numeric dates: "01/04/2024", "1.4.24", "2024/04/01"
+   */
+  _parseNumericDate(text) {
+    let match = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/);
+    if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (!match) return null;
+
+    const first = +match[1];
+    const second = +match[2];
+    const year = this._fullYear(match[3]);
+
+    // A part over 12 can only be the day; otherwise use the configured order
+    const dayFirst = first > 12 || (second <= 12 && this.dateOrder !== 'MDY');
+    return dayFirst
+      ? { day: first, month: second, year }
+      : { day: second, month: first, year };
+  }
+
+  /**
+   * Expand a two-digit year (00-49 as 20xx, 50-99 as 19xx)
+   */
+  _fullYear(text) {
+    const year = +text;
+    if (text.length !== 2) return year;
+    return year + (year < 50 ? 2000 : 1900);
+  }
+
+  /**
+   * Format a calendar date as YYYY-MM-DD, rejecting impossible dates
+   */
+  _isoDate(year, month, day, raw) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      this._fail(raw, 'a date');
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse digits with thousands separators and a decimal point or comma
+   *
+   * With both separators present the last one is the decimal mark, and a
+   * separator used twice ("1.250.000") or not followed by a group of three
+   * digits ("12,5") can only be one reading. The ambiguous case, one
+   * separator followed by three digits ("1,250", "1.250"), follows
+   * `decimalMark`.
+   */
+  _parseDecimal(text) {
+    if (!/^\d[\d.,]*$/.test(text) && !/^[.,]\d+$/.test(text)) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    let decimal = '.';
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      decimal = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1) {
+      decimal = this._isGrouped(text, ',') ? null : ',';
+    } else if (lastDot !== -1) {
+      decimal = this._isGrouped(text, '.') ? null : '.';
+    }
+
+    const thousands = decimal === ',' ? '.' : ',';
+    let normalized = text.split(thousands).join('');
+    if (decimal === null) normalized = normalized.replace(/[.,]/g, '');
+    else if (decimal === ',') normalized = normalized.replace(',', '.');
+
+    if (!/^\d*\.?\d+$/.test(normalized)) return null;
+    return Number(normalized);
+  }
+
+  /**
+   * Whether a separator in digits-only text groups thousands rather than
+   * marking decimals
+   */
+  _isGrouped(text, separator) {
+    const groups = text.split(separator);
+    if (!/^\d{1,3}$/.test(groups[0]) || !groups.slice(1).every(group => /^\d{3}$/.test(group))) {
+      return false;
+    }
+    return groups.length > 2 || separator !== this.decimalMark;
+  }
+
+  /**
+   * Round away floating point noise from scaling ("1.1m")
+   */
+  _round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  /**
+   * Throw a normalisation error
+   */
+  _fail(raw, expected) {
+    const error = new Error(`Cannot read "${raw}" as ${expected}`);
+    error.code = 'NORMALIZATION_FAILED';
+    throw error;
+  }
+}
+
+module.exports = { ValueNormalizer };
@@ -0,0 +1,77 @@
+/**
+ * WorkQueue - Bounded-concurrency worker pool for batch processing
+ *
+ * Keeps up to `concurrency` items in flight, starting the next item as
+ * soon as any finishes, so one slow document never holds up the rest.
+ * Items start in priority order (highest first, then input order) and
+ * results come back in input order.
+ */
+
+class WorkQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Items processed at once
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency ?? 3);
+  }
+
+  /**
+   * Run a worker over every item
+   *
+   * The worker is called as `worker(item, index)` and should handle its
+   * own errors; a thrown error rejects the run. `onProgress` is called
+   * after every item with `{ processed, total, percentage, index, result }`.
+   *
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function processing one item
+   * @param {Object} [options]
+   * @param {Function|number[]} [options.priority] - `(item, index) => number`, or a priority per item
+   * @param {Function} [options.onProgress] - Progress callback
+   * @returns {Promise<Array>} Worker results, in input order
+   */
+  async run(items, worker, options = {}) {
+    const total = items.length;
+    const results = new Array(total);
+    const pending = items
+      .map((item, index) => ({ item, index, priority: this._priorityOf(item, index, options.priority) }))
+      .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+    let next = 0;
+    let processed = 0;
+
+    const runWorker = async () => {
+      while (next < pending.length) {
+        const { item, index } = pending[next++];
+        results[index] = await worker(item, index);
+        processed++;
+
+        if (options.onProgress) {
+          options.onProgress({
+            processed,
+            total,
+            percentage: Math.round((processed / total) * 100),
+            index,
+            result: results[index]
+          });
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, total) }, runWorker);
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Priority of one item (0 when none is given)
+   */
+  _priorityOf(item, index, priority) {
+    if (typeof priority === 'function') return priority(item, index) ?? 0;
+    if (Array.isArray(priority)) return priority[index] ?? 0;
+    return 0;
+  }
+}
+
+module.exports = { WorkQueue };
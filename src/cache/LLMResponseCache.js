@@ -0,0 +1,139 @@
+/**
+ * LLMResponseCache - Cache of LLM replies for extraction prompts
+ *
+ * Replies are keyed by a hash of the prompt, the provider/model identity
+ * and the schema definitions of the fields the prompt asks for, so a
+ * change to any of them is a cache miss. Any storage adapter
+ * (MemoryStorage, FileStorage) can back the cache.
+ */
+
+const crypto = require('crypto');
+const { MemoryStorage } = require('../storage/MemoryStorage');
+
+class LLMResponseCache {
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.namespace = options.namespace || 'llm-cache';
+    this.ttlMs = options.ttlMs ?? null;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Cache key for a prompt sent to a provider for the given fields
+   */
+  key({ prompt, providerId, fields = [] }) {
+    const material = this._stableStringify({
+      system: prompt.system,
+      user: prompt.user,
+      responseSchema: prompt.responseSchema,
+      sample: prompt.sample,
+      temperature: prompt.temperature,
+      provider: providerId,
+      fields
+    });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * Look up a cached reply; returns null on a miss or an expired entry
+   */
+  async get(key) {
+    const entry = await this.storage.read(this._storageKey(key));
+
+    if (!entry || (this.ttlMs != null && Date.now() - Date.parse(entry.createdAt) > this.ttlMs)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a reply
+   */
+  async set(key, { content, usage, providerId, fields = [] }) {
+    const entry = {
+      key,
+      namespace: this.namespace,
+      content,
+      usage: usage || null,
+      providerId,
+      fields,
+      createdAt: new Date().toISOString()
+    };
+    await this.storage.write(this._storageKey(key), entry);
+    this.stats.writes++;
+    return entry;
+  }
+
+  /**
+   * Remove cached replies
+   *
+   * Pass a key to remove one entry, or a filter `{ field, provider }` to
+   * remove every entry for a field and/or provider. Returns the number
+   * of entries removed.
+   */
+  async invalidate(filter) {
+    if (typeof filter === 'string') {
+      return (await this.storage.delete(this._storageKey(filter))) ? 1 : 0;
+    }
+
+    const entries = await this.storage.list();
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry || !entry.key || entry.namespace !== this.namespace) continue;
+      if (filter?.field && !entry.fields.includes(filter.field)) continue;
+      if (filter?.provider && entry.providerId !== filter.provider) continue;
+
+      if (await this.storage.delete(this._storageKey(entry.key))) removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every cached reply
+   */
+  async clear() {
+    return this.invalidate({});
+  }
+
+  /**
+   * Hit/miss counts since the cache was created
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Storage key for a cache key
+   */
+  _storageKey(key) {
+    return `${this.namespace}-${key}`;
+  }
+
+  /**
+   * JSON with sorted object keys, so equal definitions hash equally
+   */
+  _stableStringify(value) {
+    if (value instanceof RegExp) return JSON.stringify(value.toString());
+    if (typeof value === 'function') return JSON.stringify(value.toString());
+    if (Array.isArray(value)) return `[${value.map(v => this._stableStringify(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(k => value[k] !== undefined)
+        .sort()
+        .map(k => `${JSON.stringify(k)}:${this._stableStringify(value[k])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+}
+
+module.exports = { LLMResponseCache };
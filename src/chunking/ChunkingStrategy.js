@@ -0,0 +1,59 @@
+/**
+ * ChunkingStrategy - Base class for document chunking strategies
+ *
+ * A strategy splits a SourceDocument into chunks:
+ *
+ *   { text, startOffset, endOffset, index, ...extra }
+ *
+ * Any object with a `name` and a `chunk(document, options)` method can be
+ * passed to SchemaExtractor as `chunkingStrategy`.
+ */
+
+class ChunkingStrategy {
+  constructor(options = {}) {
+    this.name = options.name || 'custom';
+  }
+
+  /**
+   * Split a document into chunks. Must be implemented by strategies.
+   *
+   * @param {SourceDocument} document
+   * @param {Object} options - Extraction options (chunkSize, chunkOverlap)
+   */
+  chunk(document, options = {}) {
+    throw new Error(`${this.constructor.name} must implement chunk()`);
+  }
+
+  /**
+   * Build a chunk from a range of the text, trimming surrounding
+   * whitespace and keeping offsets exact. Returns null for blank ranges.
+   */
+  _slice(text, start, end, extra = {}) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (start >= end) return null;
+
+    return { text: text.slice(start, end), startOffset: start, endOffset: end, ...extra };
+  }
+
+  /**
+   * Start of the first whole word at or after `position` (before `ceiling`),
+   * so overlaps never begin mid-word
+   */
+  _wordBoundaryAfter(text, position, ceiling) {
+    if (position <= 0 || /\s/.test(text[position - 1])) return Math.max(position, 0);
+    for (let i = position; i < ceiling; i++) {
+      if (/\s/.test(text[i])) return i + 1;
+    }
+    return ceiling;
+  }
+
+  /**
+   * Number chunks in order
+   */
+  _index(chunks) {
+    return chunks.filter(Boolean).map((chunk, index) => ({ ...chunk, index }));
+  }
+}
+
+module.exports = { ChunkingStrategy };
@@ -0,0 +1,53 @@
+/**
+ * FixedSizeChunker - Fixed-size windows over the text
+ *
+ * Cuts the text into windows of about chunkSize characters overlapping
+ * by chunkOverlap, moving each cut back to the nearest whitespace so
+ * neither a chunk nor its overlap starts or ends mid-word.
+ */
+
+const { ChunkingStrategy } = require('./ChunkingStrategy');
+
+class FixedSizeChunker extends ChunkingStrategy {
+  constructor(options = {}) {
+    super({ name: 'fixed', ...options });
+  }
+
+  /**
+   * Split a document into overlapping fixed-size windows
+   */
+  chunk(document, options = {}) {
+    const text = document.text;
+    const chunkSize = Math.max(1, options.chunkSize);
+    const chunkOverlap = Math.min(options.chunkOverlap || 0, Math.floor(chunkSize / 2));
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+      if (end < text.length) {
+        end = this._wordBoundaryBefore(text, end, start);
+      }
+
+      chunks.push(this._slice(text, start, end));
+      if (end >= text.length) break;
+
+      const next = this._wordBoundaryAfter(text, end - chunkOverlap, end);
+      start = next > start ? next : end;
+    }
+
+    return this._index(chunks);
+  }
+
+  /**
+   * Last whitespace position at or before `position` (but after `floor`)
+   */
+  _wordBoundaryBefore(text, position, floor) {
+    for (let i = position; i > floor; i--) {
+      if (/\s/.test(text[i])) return i;
+    }
+    return position;
+  }
+}
+
+module.exports = { FixedSizeChunker };
@@ -0,0 +1,64 @@
+/**
+ * ParagraphChunker - Pack paragraphs into chunks of up to chunkSize
+ *
+ * The default strategy: splits on blank lines and packs whole
+ * paragraphs into each chunk, carrying up to chunkOverlap characters
+ * (whole words) of the previous chunk into the next.
+ */
+
+const { ChunkingStrategy } = require('./ChunkingStrategy');
+
+class ParagraphChunker extends ChunkingStrategy {
+  constructor(options = {}) {
+    super({ name: 'paragraph', ...options });
+  }
+
+  /**
+   * Split a document into paragraph-packed chunks
+   *
+   * Chunk text is always an exact slice of the document, so
+   * `chunk.startOffset + index` addresses the original input however
+   * many blank lines separate paragraphs.
+   */
+  chunk(document, options = {}) {
+    const text = document.text;
+    const { chunkSize, chunkOverlap } = options;
+    const chunks = [];
+
+    // Split by paragraphs first to preserve semantic boundaries (a page
+    // break always ends a paragraph)
+    const paragraphs = [];
+    let paragraphStart = 0;
+    for (const separator of text.matchAll(/(?:\n*\f\n*)+|\n\n+/g)) {
+      paragraphs.push({ start: paragraphStart, end: separator.index });
+      paragraphStart = separator.index + separator[0].length;
+    }
+    paragraphs.push({ start: paragraphStart, end: text.length });
+
+    let chunkStart = null;
+    let chunkEnd = null;
+
+    for (const paragraph of paragraphs) {
+      if (chunkStart === null) {
+        chunkStart = paragraph.start;
+      } else if (paragraph.end - chunkStart > chunkSize) {
+        chunks.push(this._slice(text, chunkStart, chunkEnd));
+
+        // Start new chunk with overlap, beginning on a word boundary
+        chunkStart = chunkOverlap > 0
+          ? this._wordBoundaryAfter(text, Math.max(chunkStart, chunkEnd - chunkOverlap), paragraph.start)
+          : paragraph.start;
+      }
+      chunkEnd = paragraph.end;
+    }
+
+    // Add final chunk
+    if (chunkStart !== null) {
+      chunks.push(this._slice(text, chunkStart, chunkEnd));
+    }
+
+    return this._index(chunks);
+  }
+}
+
+module.exports = { ParagraphChunker };
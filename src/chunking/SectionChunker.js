@@ -0,0 +1,80 @@
+/**
+ * SectionChunker - One chunk per detected section
+ *
+ * Uses the sections TextParser detects (clauses, articles, numbered and
+ * markdown headings) so chunks start at a heading and never split a
+ * clause across chunks unless it is longer than chunkSize. Each chunk
+ * carries its section id and heading path (e.g. ['Part 3', '12 Benefits',
+ * '12.3 Retirement']).
+ */
+
+const { ChunkingStrategy } = require('./ChunkingStrategy');
+
+class SectionChunker extends ChunkingStrategy {
+  constructor(options = {}) {
+    super({ name: 'section', ...options });
+  }
+
+  /**
+   * Split a document at section boundaries
+   */
+  chunk(document, options = {}) {
+    const text = document.text;
+    const sections = document.sections || [];
+    const chunks = [];
+
+    // Text before the first heading
+    const preambleEnd = sections.length > 0 ? sections[0].startOffset : text.length;
+    chunks.push(...this._split(text, 0, preambleEnd, options, { headingPath: [] }));
+
+    const stack = [];
+    for (const section of sections) {
+      while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+        stack.pop();
+      }
+      stack.push(section);
+
+      chunks.push(...this._split(text, section.startOffset, section.endOffset, options, {
+        sectionId: section.id,
+        headingPath: stack.map(s => s.title)
+      }));
+    }
+
+    return this._index(chunks);
+  }
+
+  /**
+   * Chunk one section, splitting at paragraph or page breaks if it is
+   * too long
+   */
+  _split(text, start, end, options, extra) {
+    if (end - start <= options.chunkSize) {
+      return [this._slice(text, start, end, extra)];
+    }
+
+    const chunks = [];
+    const breaks = /\n[ \t]*\n|\f/g;
+    breaks.lastIndex = start;
+    let chunkStart = start;
+    let lastBreak = null;
+    let match;
+
+    while ((match = breaks.exec(text)) !== null && match.index < end) {
+      if (match.index - chunkStart > options.chunkSize && lastBreak !== null && lastBreak > chunkStart) {
+        chunks.push(this._slice(text, chunkStart, lastBreak, extra));
+        chunkStart = lastBreak;
+      }
+      lastBreak = match.index;
+    }
+
+    if (end - chunkStart > options.chunkSize && lastBreak !== null && lastBreak > chunkStart) {
+      chunks.push(this._slice(text, chunkStart, lastBreak, extra));
+      chunkStart = lastBreak;
+    }
+    chunks.push(this._slice(text, chunkStart, end, extra));
+
+    return chunks;
+  }
+}
+
+module.exports = { SectionChunker };
@@ -0,0 +1,78 @@
+/**
+ * Error classes
+ *
+ * Specific error types so callers can distinguish provider failures
+ * from extraction and validation problems.
+ */
+
+/**
+ * Error raised by an LLM provider adapter
+ */
+class ProviderError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = options.code || 'PROVIDER_ERROR';
+    this.provider = options.provider;
+    this.status = options.status;
+    this.retryable = options.retryable ?? false;
+    this.retryAfterMs = options.retryAfterMs;
+    this.cause = options.cause;
+  }
+
+  /**
+   * Classify an HTTP error status into a ProviderError
+   */
+  static fromStatus(status, message, options = {}) {
+    let code = 'PROVIDER_ERROR';
+    let retryable = false;
+
+    if (status === 401 || status === 403) {
+      code = 'AUTH_ERROR';
+    } else if (status === 429) {
+      code = 'RATE_LIMITED';
+      retryable = true;
+    } else if (status === 529) {
+      // Anthropic's "overloaded" status
+      code = 'OVERLOADED';
+      retryable = true;
+    } else if (status === 408 || status >= 500) {
+      code = 'SERVER_ERROR';
+      retryable = true;
+    } else if (status === 400 || status === 404 || status === 422) {
+      code = 'INVALID_REQUEST';
+    }
+
+    return new ProviderError(message, { ...options, code, status, retryable });
+  }
+}
+
+/**
+ * Error raised when an extraction or pipeline run is cancelled through
+ * its AbortSignal
+ */
+class CancellationError extends Error {
+  constructor(message = 'Extraction cancelled', options = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.code = 'CANCELLED';
+    this.retryable = false;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * Error raised when a document, field or field group runs past its timeout
+ */
+class TimeoutError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.code = 'TIMED_OUT';
+    this.scope = options.scope;
+    this.timeoutMs = options.timeoutMs;
+    this.retryable = false;
+  }
+}
+
+module.exports = { ProviderError, CancellationError, TimeoutError };
@@ -5,16 +5,30 @@
  * with citation tracking and audit trails for regulated industries.
  */
 
-const { SchemaExtractor } = require('./SchemaExtractor');
+const { SchemaExtractor, ExtractionEvents } = require('./SchemaExtractor');
 const { DocumentRegister } = require('./DocumentRegister');
 const { DocumentComparator } = require('./DocumentComparator');
 const { CitationTracker } = require('./CitationTracker');
+const { CitationGrounder } = require('./CitationGrounder');
+const { UsageTracker } = require('./UsageTracker');
+const { RetryPolicy } = require('./RetryPolicy');
+const { RateLimiter } = require('./RateLimiter');
+const { WorkQueue } = require('./WorkQueue');
+const { BatchJob, DocumentStatus } = require('./BatchJob');
+const { EnsembleResolver } = require('./EnsembleResolver');
+const { ValueNormalizer } = require('./ValueNormalizer');
+const { ComputedFieldEvaluator } = require('./ComputedFieldEvaluator');
 const { ValidationEngine } = require('./ValidationEngine');
 const { ExtractionPipeline } = require('./ExtractionPipeline');
+const { SourceDocument } = require('./SourceDocument');
 
 // Schema definitions
 const { SchemaBuilder, FieldTypes } = require('./schemas/SchemaBuilder');
+const { JsonSchemaGenerator } = require('./schemas/JsonSchemaGenerator');
+const { SchemaMigrator } = require('./schemas/SchemaMigrator');
+const { SchemaCompatibilityChecker } = require('./schemas/SchemaCompatibilityChecker');
 const builtInSchemas = require('./schemas/built-in');
+const { builtInMigrations } = require('./schemas/built-in-migrations');
 
 // Parsers
 const { TextParser } = require('./parsers/TextParser');
@@ -24,19 +38,65 @@ const { StructuredParser } = require('./parsers/StructuredParser');
 const { MemoryStorage } = require('./storage/MemoryStorage');
 const { FileStorage } = require('./storage/FileStorage');
 
+// Chunking strategies
+const { ChunkingStrategy } = require('./chunking/ChunkingStrategy');
+const { ParagraphChunker } = require('./chunking/ParagraphChunker');
+const { FixedSizeChunker } = require('./chunking/FixedSizeChunker');
+const { SectionChunker } = require('./chunking/SectionChunker');
+
+// Extraction strategies
+const { ExtractionStrategy } = require('./strategies/ExtractionStrategy');
+const { PatternStrategy } = require('./strategies/PatternStrategy');
+const { LLMStrategy } = require('./strategies/LLMStrategy');
+const { LookupStrategy } = require('./strategies/LookupStrategy');
+const { SectionTitleStrategy } = require('./strategies/SectionTitleStrategy');
+const { KeyValueStrategy } = require('./strategies/KeyValueStrategy');
+const { TableCellStrategy } = require('./strategies/TableCellStrategy');
+const { FunctionStrategy } = require('./strategies/FunctionStrategy');
+
+// LLM response cache
+const { LLMResponseCache } = require('./cache/LLMResponseCache');
+
+// LLM provider adapters
+const { LLMProvider } = require('./providers/LLMProvider');
+const { OpenAIProvider } = require('./providers/OpenAIProvider');
+const { AzureOpenAIProvider } = require('./providers/AzureOpenAIProvider');
+const { AnthropicProvider } = require('./providers/AnthropicProvider');
+const { LocalModelProvider } = require('./providers/LocalModelProvider');
+const { MockProvider } = require('./providers/MockProvider');
+
+// Errors
+const { ProviderError, CancellationError, TimeoutError } = require('./errors');
+
 module.exports = {
   // Core classes
   SchemaExtractor,
+  ExtractionEvents,
   DocumentRegister,
   DocumentComparator,
   CitationTracker,
+  CitationGrounder,
+  UsageTracker,
+  RetryPolicy,
+  RateLimiter,
+  WorkQueue,
+  BatchJob,
+  DocumentStatus,
+  EnsembleResolver,
+  ValueNormalizer,
+  ComputedFieldEvaluator,
   ValidationEngine,
   ExtractionPipeline,
+  SourceDocument,
   
   // Schema building
   SchemaBuilder,
   FieldTypes,
+  JsonSchemaGenerator,
+  SchemaMigrator,
+  SchemaCompatibilityChecker,
   builtInSchemas,
+  builtInMigrations,
   
   // Parsers
   TextParser,
@@ -46,6 +106,38 @@ module.exports = {
   MemoryStorage,
   FileStorage,
   
+  // Chunking
+  ChunkingStrategy,
+  ParagraphChunker,
+  FixedSizeChunker,
+  SectionChunker,
+  
+  // Extraction strategies
+  ExtractionStrategy,
+  PatternStrategy,
+  LLMStrategy,
+  LookupStrategy,
+  SectionTitleStrategy,
+  KeyValueStrategy,
+  TableCellStrategy,
+  FunctionStrategy,
+  
+  // Caching
+  LLMResponseCache,
+  
+  // LLM providers
+  LLMProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  AnthropicProvider,
+  LocalModelProvider,
+  MockProvider,
+  
+  // Errors
+  ProviderError,
+  CancellationError,
+  TimeoutError,
+  
   // Convenience factory
   createExtractor: (options = {}) => new SchemaExtractor(options),
   createRegister: (options = {}) => new DocumentRegister(options),
@@ -81,6 +81,10 @@ class TextParser {
 
   /**
    * Detect sections in the document
+   *
+   * Sections carry line numbers and character offsets into `text`, an
+   * `id` unique within the document and, for numbered headings, the
+   * section `number` (e.g. '12.3').
    */
   _detectSections(text) {
     const sections = [];
@@ -88,6 +92,7 @@ class TextParser {
     let currentSection = null;
     let sectionContent = [];
     let lineIndex = 0;
+    let offset = 0;
 
     // Patterns for section headings
     const headingPatterns = [
@@ -99,12 +104,15 @@ class TextParser {
     ];
 
     for (const line of lines) {
+      // A form feed only marks a page break; a heading may follow it
+      const headingLine = line.replace(/\r$/, '').replace(/^\f+|\f+$/g, '');
       let isHeading = false;
       let headingLevel = 0;
       let headingText = '';
+      let headingNumber;
 
       for (const pattern of headingPatterns) {
-        const match = line.match(pattern);
+        const match = headingLine.match(pattern);
         if (match) {
           isHeading = true;
           if (match[1].startsWith('#')) {
@@ -113,9 +121,11 @@ class TextParser {
           } else if (/^\d/.test(match[1])) {
             headingLevel = match[1].split('.').length;
             headingText = match[2];
+            headingNumber = match[1];
           } else {
             headingLevel = 1;
             headingText = match[0].replace(/:$/, '');
+            headingNumber = match[3] ? match[2] : undefined;
           }
           break;
         }
@@ -126,21 +136,27 @@ class TextParser {
         if (currentSection) {
           currentSection.content = sectionContent.join('\n').trim();
           currentSection.endLine = lineIndex - 1;
+          currentSection.endOffset = offset > 0 ? offset - 1 : 0;
           sections.push(currentSection);
         }
 
         // Start new section
         currentSection = {
+          id: `section-${sections.length + 1}`,
           level: headingLevel,
+          number: headingNumber,
           title: headingText.trim(),
           startLine: lineIndex,
-          endLine: lineIndex
+          endLine: lineIndex,
+          startOffset: offset,
+          endOffset: offset + line.length
         };
         sectionContent = [];
       } else if (currentSection) {
         sectionContent.push(line);
       }
 
+      offset += line.length + 1;
       lineIndex++;
     }
 
@@ -148,6 +164,7 @@ class TextParser {
     if (currentSection) {
       currentSection.content = sectionContent.join('\n').trim();
       currentSection.endLine = lineIndex - 1;
+      currentSection.endOffset = text.length;
       sections.push(currentSection);
     }
 
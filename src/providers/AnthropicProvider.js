@@ -0,0 +1,104 @@
+/**
+ * AnthropicProvider - Adapter for the Anthropic Messages API
+ *
+ * Sends the extraction prompt to /v1/messages with the system prompt as
+ * the top-level `system` parameter. Structured output is requested by
+ * forcing a single tool whose input schema is the prompt's response
+ * schema; plain JSON mode prefills the reply with '{'.
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'anthropic', model: 'claude-3-5-haiku-latest', ...options });
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY || null;
+    this.baseUrl = (options.baseUrl || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+    this.anthropicVersion = options.anthropicVersion || '2023-06-01';
+  }
+
+  /**
+   * Complete a prompt via the messages endpoint
+   */
+  async complete(prompt, options = {}) {
+    const body = this._buildBody(prompt);
+    const raw = await this._postJSON(`${this.baseUrl}/messages`, body, this._getHeaders(), options);
+
+    return this._result(
+      this._readContent(raw, body),
+      {
+        promptTokens: raw.usage?.input_tokens,
+        completionTokens: raw.usage?.output_tokens
+      },
+      raw
+    );
+  }
+
+  /**
+   * Build the request body
+   */
+  _buildBody(prompt) {
+    const messages = this._buildMessages(prompt);
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const body = {
+      model: this.model,
+      max_tokens: this.maxTokens || DEFAULT_MAX_TOKENS,
+      temperature: prompt.temperature ?? this.temperature,
+      messages: messages.filter(m => m.role !== 'system')
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    if (prompt.responseSchema && this.structuredOutput) {
+      const name = this._toolName(prompt.responseSchema.name);
+      body.tools = [{
+        name,
+        description: 'Record the extracted values',
+        input_schema: prompt.responseSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name };
+    } else if (this.jsonMode) {
+      body.messages.push({ role: 'assistant', content: '{' });
+    }
+
+    return body;
+  }
+
+  /**
+   * Reply text: the forced tool's input as JSON, or the text blocks
+   * (after the '{' prefill in JSON mode)
+   */
+  _readContent(raw, body) {
+    const blocks = raw.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input ?? {});
+    }
+
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const prefilled = body.messages[body.messages.length - 1]?.role === 'assistant';
+    return prefilled ? `{${text}` : text;
+  }
+
+  /**
+   * Tool names may only contain letters, digits, '_' and '-'
+   */
+  _toolName(name) {
+    return String(name || 'extraction').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+  }
+
+  /**
+   * Request headers
+   */
+  _getHeaders() {
+    const headers = { 'anthropic-version': this.anthropicVersion };
+    if (this.apiKey) headers['x-api-key'] = this.apiKey;
+    return headers;
+  }
+}
+
+module.exports = { AnthropicProvider };
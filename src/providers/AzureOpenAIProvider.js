@@ -0,0 +1,56 @@
+/**
+ * AzureOpenAIProvider - Adapter for Azure OpenAI deployments
+ *
+ * Same request/response contract as OpenAI, addressed by resource
+ * endpoint, deployment name and API version.
+ */
+
+const { OpenAIProvider } = require('./OpenAIProvider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'azure-openai',
+      model: options.deployment,
+      ...options,
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY || null
+    });
+
+    if (!options.endpoint || !options.deployment) {
+      throw new Error('AzureOpenAIProvider requires endpoint and deployment options');
+    }
+
+    this.endpoint = options.endpoint.replace(/\/$/, '');
+    this.deployment = options.deployment;
+    this.apiVersion = options.apiVersion || '2024-10-21';
+    this.azureAdToken = options.azureAdToken || null;
+  }
+
+  /**
+   * Request URL
+   */
+  _getUrl() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  /**
+   * Request headers (API key or Entra ID token)
+   */
+  _getHeaders() {
+    if (this.azureAdToken) {
+      return { Authorization: `Bearer ${this.azureAdToken}` };
+    }
+    return this.apiKey ? { 'api-key': this.apiKey } : {};
+  }
+
+  /**
+   * Build the request body (the deployment selects the model)
+   */
+  _buildBody(prompt) {
+    const body = super._buildBody(prompt);
+    delete body.model;
+    return body;
+  }
+}
+
+module.exports = { AzureOpenAIProvider };
@@ -0,0 +1,144 @@
+/**
+ * LLMProvider - Base class for LLM provider adapters
+ *
+ * Adapters turn an extraction prompt ({ system, user }) into a request for
+ * a specific model API and return a normalised completion:
+ *
+ *   { content, usage: { promptTokens, completionTokens, totalTokens }, model, provider, raw }
+ *
+ * Any object with a `complete(prompt, options)` method can be passed to
+ * SchemaExtractor.setLLMProvider() or ExtractionPipeline.setLLMProvider().
+ */
+
+const { ProviderError } = require('../errors');
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'llm';
+    this.model = options.model || null;
+    this.temperature = options.temperature ?? 0;
+    this.maxTokens = options.maxTokens ?? null;
+    this.jsonMode = options.jsonMode ?? true;
+    this.structuredOutput = options.structuredOutput ?? true;
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Identity of this provider/model, used for caching and reporting
+   */
+  get id() {
+    return this.model ? `${this.name}:${this.model}` : this.name;
+  }
+
+  /**
+   * Complete a prompt. Must be implemented by adapters.
+   */
+  async complete(prompt, options = {}) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * Build chat messages from an extraction prompt
+   */
+  _buildMessages(prompt) {
+    if (typeof prompt === 'string') {
+      return [{ role: 'user', content: prompt }];
+    }
+    return [
+      prompt.system ? { role: 'system', content: prompt.system } : null,
+      { role: 'user', content: prompt.user }
+    ].filter(Boolean);
+  }
+
+  /**
+   * POST a JSON body and return the parsed response, classifying failures
+   */
+  async _postJSON(url, body, headers = {}, options = {}) {
+    if (typeof this.fetch !== 'function') {
+      throw new ProviderError('No fetch implementation available; pass options.fetch', {
+        code: 'CONFIGURATION_ERROR',
+        provider: this.name
+      });
+    }
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers,
+          ...headers
+        },
+        body: JSON.stringify(body),
+        signal: options.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ProviderError(`${this.name} request failed: ${error.message}`, {
+        code: 'NETWORK_ERROR',
+        provider: this.name,
+        retryable: true,
+        cause: error
+      });
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw ProviderError.fromStatus(
+        response.status,
+        `${this.name} request failed with status ${response.status}: ${text.slice(0, 500)}`,
+        {
+          provider: this.name,
+          retryAfterMs: this._parseRetryAfter(response.headers?.get?.('retry-after'))
+        }
+      );
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new ProviderError(`${this.name} returned invalid JSON: ${error.message}`, {
+        code: 'INVALID_RESPONSE',
+        provider: this.name,
+        retryable: true,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  _parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Build a normalised completion result
+   */
+  _result(content, usage, raw) {
+    const promptTokens = usage?.promptTokens ?? null;
+    const completionTokens = usage?.completionTokens ?? null;
+
+    return {
+      content,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage?.totalTokens ??
+          (promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null)
+      },
+      model: raw?.model || this.model,
+      provider: this.name,
+      raw
+    };
+  }
+}
+
+module.exports = { LLMProvider };
@@ -0,0 +1,52 @@
+/**
+ * LocalModelProvider - Adapter for a local HTTP model server
+ *
+ * Speaks the Ollama /api/chat protocol by default. Local servers that
+ * expose an OpenAI-compatible API can use OpenAIProvider with `baseUrl`.
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+class LocalModelProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'local', ...options });
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+    this.path = options.path || '/api/chat';
+    this.modelOptions = options.modelOptions || {};
+  }
+
+  /**
+   * Complete a prompt via the local server
+   */
+  async complete(prompt, options = {}) {
+    const body = {
+      model: this.model,
+      messages: this._buildMessages(prompt),
+      stream: false,
+      options: {
+        temperature: prompt.temperature ?? this.temperature,
+        ...(this.maxTokens ? { num_predict: this.maxTokens } : {}),
+        ...this.modelOptions
+      }
+    };
+
+    if (prompt.responseSchema && this.structuredOutput) {
+      body.format = prompt.responseSchema.schema;
+    } else if (this.jsonMode) {
+      body.format = 'json';
+    }
+
+    const raw = await this._postJSON(`${this.baseUrl}${this.path}`, body, {}, options);
+
+    return this._result(
+      raw.message?.content ?? raw.response ?? '',
+      {
+        promptTokens: raw.prompt_eval_count,
+        completionTokens: raw.eval_count
+      },
+      raw
+    );
+  }
+}
+
+module.exports = { LocalModelProvider };
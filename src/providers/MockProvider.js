@@ -0,0 +1,103 @@
+/**
+ * MockProvider - Deterministic provider for tests and examples
+ *
+ * Answers extraction prompts from a fixed table of per-field responses
+ * and records every call, without any network access.
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'mock', model: 'mock', ...options });
+    this.responses = options.responses || {};
+    this.handler = options.handler || null;
+    this.latencyMs = options.latencyMs ?? 0;
+    this.calls = [];
+  }
+
+  /**
+   * Complete a prompt from the configured responses
+   */
+  async complete(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const content = this.handler
+      ? await this.handler(prompt, options)
+      : this._respond(prompt);
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+
+    return this._result(text, {
+      promptTokens: this._countTokens(`${prompt.system || ''}${prompt.user || prompt}`),
+      completionTokens: this._countTokens(text)
+    }, { model: this.model });
+  }
+
+  /**
+   * Set or replace the response for a field
+   */
+  setResponse(fieldName, response) {
+    this.responses[fieldName] = response;
+    return this;
+  }
+
+  /**
+   * Clear recorded calls
+   */
+  reset() {
+    this.calls = [];
+    return this;
+  }
+
+  /**
+   * Build a reply for the fields named in the prompt
+   */
+  _respond(prompt) {
+    const fieldNames = prompt.fields || [];
+
+    if (prompt.mode === 'multi-field') {
+      const fields = {};
+      for (const name of fieldNames) {
+        fields[name] = this._fieldResponse(name, prompt);
+      }
+      return { fields };
+    }
+
+    return this._fieldResponse(fieldNames[0], prompt);
+  }
+
+  /**
+   * Response object for a single field
+   *
+   * Objects with a `value` (or, for list fields, an `items` array) are
+   * sent as given; anything else becomes the value.
+   */
+  _fieldResponse(fieldName, prompt) {
+    let response = this.responses[fieldName];
+    if (typeof response === 'function') {
+      response = response(prompt);
+    }
+
+    if (response === undefined || response === null) {
+      return { value: null, confidence: 0 };
+    }
+    if (typeof response === 'object' && !Array.isArray(response) &&
+        ('value' in response || Array.isArray(response.items))) {
+      return { confidence: 0.9, ...response };
+    }
+    return { value: response, confidence: 0.9 };
+  }
+
+  /**
+   * Deterministic token estimate (~4 characters per token)
+   */
+  _countTokens(text) {
+    return Math.ceil(String(text).length / 4);
+  }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,84 @@
+/**
+ * OpenAIProvider - Adapter for OpenAI-compatible chat completion APIs
+ *
+ * Works with api.openai.com and any server exposing the same
+ * /chat/completions contract (vLLM, llama.cpp server, LiteLLM, etc.).
+ */
+
+const { LLMProvider } = require('./LLMProvider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'openai', model: 'gpt-4o-mini', ...options });
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.organization = options.organization || null;
+  }
+
+  /**
+   * Complete a prompt via the chat completions endpoint
+   */
+  async complete(prompt, options = {}) {
+    const raw = await this._postJSON(
+      this._getUrl(),
+      this._buildBody(prompt),
+      this._getHeaders(),
+      options
+    );
+
+    return this._result(
+      raw.choices?.[0]?.message?.content ?? '',
+      {
+        promptTokens: raw.usage?.prompt_tokens,
+        completionTokens: raw.usage?.completion_tokens,
+        totalTokens: raw.usage?.total_tokens
+      },
+      raw
+    );
+  }
+
+  /**
+   * Build the request body
+   */
+  _buildBody(prompt) {
+    const body = {
+      model: this.model,
+      messages: this._buildMessages(prompt),
+      temperature: prompt.temperature ?? this.temperature
+    };
+
+    if (this.maxTokens) {
+      body.max_tokens = this.maxTokens;
+    }
+
+    if (prompt.responseSchema && this.structuredOutput) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: prompt.responseSchema.name, schema: prompt.responseSchema.schema, strict: false }
+      };
+    } else if (this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * Request URL
+   */
+  _getUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * Request headers
+   */
+  _getHeaders() {
+    const headers = {};
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    if (this.organization) headers['OpenAI-Organization'] = this.organization;
+    return headers;
+  }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,125 @@
+/**
+ * ChunkRanker - Rank document chunks by relevance to a field
+ *
+ * Scores chunks locally with BM25 so only the most relevant parts of
+ * a long document need to be sent to an LLM.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'if',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+class ChunkRanker {
+  constructor(chunks, options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.chunks = chunks;
+
+    // Build term statistics once per document
+    this.termFrequencies = chunks.map(chunk => this._countTerms(ChunkRanker.tokenize(chunk.text)));
+    this.lengths = this.termFrequencies.map(tf => {
+      let length = 0;
+      for (const count of tf.values()) length += count;
+      return length;
+    });
+    this.averageLength = this.lengths.length > 0
+      ? this.lengths.reduce((a, b) => a + b, 0) / this.lengths.length
+      : 0;
+    this.documentFrequencies = new Map();
+    for (const tf of this.termFrequencies) {
+      for (const term of tf.keys()) {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Score every chunk against a list of query terms
+   */
+  score(queryTerms) {
+    const terms = [...new Set(queryTerms)];
+    const total = this.chunks.length;
+
+    return this.chunks.map((chunk, i) => {
+      const tf = this.termFrequencies[i];
+      const lengthNorm = this.averageLength > 0 ? this.lengths[i] / this.averageLength : 1;
+      let score = 0;
+
+      for (const term of terms) {
+        const frequency = tf.get(term);
+        if (!frequency) continue;
+
+        const df = this.documentFrequencies.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * lengthNorm));
+      }
+
+      return { chunk, score };
+    });
+  }
+
+  /**
+   * Return the top-k chunks for a query, in document order
+   */
+  topK(queryTerms, k) {
+    return this.score(queryTerms)
+      .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+      .slice(0, k)
+      .sort((a, b) => a.chunk.index - b.chunk.index);
+  }
+
+  /**
+   * Build query terms from a field definition
+   */
+  static fieldQueryTerms(field) {
+    const parts = [
+      // Split camelCase / snake_case names into words
+      String(field.name || '').replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2').replace(/_/g, ' '),
+      field.description,
+      ...(field.extractionHints || []),
+      ...(field.enum || []).map(String),
+      // Keep the literal words from regex sources, dropping escapes and classes
+      ...(field.patterns || []).map(p => (typeof p === 'string' ? p : p.source)
+        .replace(/\\[a-zA-Z]/g, ' ')
+        .replace(/\[[^\]]*\]/g, ' '))
+    ];
+
+    for (const property of field.properties || []) {
+      parts.push(...ChunkRanker.fieldQueryTerms(property));
+    }
+    if (field.items) {
+      parts.push(...ChunkRanker.fieldQueryTerms(field.items));
+    }
+
+    return parts.filter(Boolean).flatMap(part => ChunkRanker.tokenize(part));
+  }
+
+  /**
+   * Tokenize text into lowercase terms of letters and digits in any
+   * script ('Überschussbeteiligung', 'prévoyance'), with accents kept
+   * whether precomposed or not
+   */
+  static tokenize(text) {
+    return String(text)
+      .normalize('NFC')
+      .toLowerCase()
+      .split(/[^\p{L}\p{M}\p{N}]+/u)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Count term occurrences
+   */
+  _countTerms(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  }
+}
+
+module.exports = { ChunkRanker };
@@ -0,0 +1,299 @@
+/**
+ * JsonSchemaGenerator - Derive JSON Schema from docschema schemas
+ *
+ * Produces JSON Schema (draft 2020-12) for whole schemas, single fields and
+ * the reply shapes SchemaExtractor expects from an LLM, so providers that
+ * support structured output can be constrained, and replies can be checked.
+ */
+
+const FORMAT_MAP = {
+  'date': 'date',
+  'date-time': 'date-time',
+  'email': 'email',
+  'url': 'uri',
+  'uri': 'uri',
+  'uuid': 'uuid'
+};
+
+class JsonSchemaGenerator {
+  constructor(options = {}) {
+    this.includeDescriptions = options.includeDescriptions ?? true;
+  }
+
+  /**
+   * JSON Schema for a whole docschema schema
+   */
+  fromSchema(schema) {
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: schema.name,
+      ...(this.includeDescriptions && schema.description ? { description: schema.description } : {}),
+      ...this._objectSchema(schema.fields)
+    };
+  }
+
+  /**
+   * JSON Schema for a single field definition
+   */
+  fromField(field) {
+    const result = {};
+
+    switch (field.type) {
+      case 'string':
+        result.type = 'string';
+        break;
+      case 'number':
+        result.type = 'number';
+        break;
+      case 'integer':
+        result.type = 'integer';
+        break;
+      case 'boolean':
+        result.type = 'boolean';
+        break;
+      case 'date':
+        result.type = 'string';
+        result.format = field.format === 'date-time' ? 'date-time' : 'date';
+        break;
+      case 'array':
+        result.type = 'array';
+        result.items = field.items ? this.fromField(field.items) : {};
+        break;
+      case 'object':
+        if (field.properties?.length) {
+          Object.assign(result, this._objectSchema(field.properties));
+        } else {
+          result.type = 'object';
+        }
+        break;
+      default:
+        // 'any' and unknown types are unconstrained
+        break;
+    }
+
+    if (this.includeDescriptions && field.description) {
+      result.description = field.description;
+    }
+    if (field.enum?.length) result.enum = [...field.enum];
+    if (field.type !== 'date' && FORMAT_MAP[field.format]) result.format = FORMAT_MAP[field.format];
+    if (field.minimum !== undefined) result.minimum = field.minimum;
+    if (field.maximum !== undefined) result.maximum = field.maximum;
+    if (field.minLength !== undefined) result.minLength = field.minLength;
+    if (field.maxLength !== undefined) result.maxLength = field.maxLength;
+    if (field.minItems !== undefined) result.minItems = field.minItems;
+    if (field.maxItems !== undefined) result.maxItems = field.maxItems;
+    if (field.uniqueItems) result.uniqueItems = true;
+
+    return result;
+  }
+
+  /**
+   * JSON Schema for a single-field extraction reply
+   */
+  fieldResponse(field) {
+    if (field.type === 'array') {
+      return this.listResponse(field);
+    }
+
+    return {
+      type: 'object',
+      properties: {
+        value: this._nullable(this.fromField(field)),
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        sourceText: { type: ['string', 'null'] },
+        reasoning: { type: 'string' }
+      },
+      required: ['value']
+    };
+  }
+
+  /**
+   * JSON Schema for an array field reply: one quoted source per item
+   */
+  listResponse(field) {
+    const itemSchema = field.items ? this.fromField(field.items) : {};
+
+    return {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              value: this._nullable(itemSchema),
+              sourceText: { type: ['string', 'null'] }
+            },
+            required: ['value']
+          },
+          ...(field.minItems !== undefined ? { minItems: field.minItems } : {}),
+          ...(field.maxItems !== undefined ? { maxItems: field.maxItems } : {})
+        },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string' }
+      },
+      required: ['items']
+    };
+  }
+
+  /**
+   * JSON Schema for a multi-field extraction reply
+   */
+  multiFieldResponse(fields) {
+    const properties = {};
+    for (const field of fields) {
+      properties[field.name] = this.fieldResponse(field);
+    }
+
+    return {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'object',
+          properties,
+          required: fields.map(f => f.name)
+        }
+      },
+      required: ['fields']
+    };
+  }
+
+  /**
+   * Validate a value against a (generated) JSON Schema
+   *
+   * Supports the subset of keywords this generator emits. Returns a list
+   * of error messages, empty when the value conforms.
+   */
+  validate(value, jsonSchema, path = '$') {
+    const errors = [];
+
+    if (jsonSchema.anyOf) {
+      const matches = jsonSchema.anyOf.some(s => this.validate(value, s, path).length === 0);
+      if (!matches) errors.push(`${path}: does not match any allowed schema`);
+      return errors;
+    }
+
+    if (jsonSchema.type) {
+      const types = Array.isArray(jsonSchema.type) ? jsonSchema.type : [jsonSchema.type];
+      if (!types.some(type => this._isType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${this._typeOf(value)}`);
+        return errors;
+      }
+    }
+
+    if (jsonSchema.enum && !jsonSchema.enum.some(e => e === value)) {
+      errors.push(`${path}: must be one of ${jsonSchema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (jsonSchema.minimum !== undefined && value < jsonSchema.minimum) {
+        errors.push(`${path}: must be >= ${jsonSchema.minimum}`);
+      }
+      if (jsonSchema.maximum !== undefined && value > jsonSchema.maximum) {
+        errors.push(`${path}: must be <= ${jsonSchema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (jsonSchema.minLength !== undefined && value.length < jsonSchema.minLength) {
+        errors.push(`${path}: must be at least ${jsonSchema.minLength} characters`);
+      }
+      if (jsonSchema.maxLength !== undefined && value.length > jsonSchema.maxLength) {
+        errors.push(`${path}: must be at most ${jsonSchema.maxLength} characters`);
+      }
+      if (jsonSchema.pattern && !new RegExp(jsonSchema.pattern).test(value)) {
+        errors.push(`${path}: must match pattern ${jsonSchema.pattern}`);
+      }
+      if (jsonSchema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        errors.push(`${path}: must be a date (YYYY-MM-DD)`);
+      }
+      if (jsonSchema.format === 'date-time' && isNaN(Date.parse(value))) {
+        errors.push(`${path}: must be an ISO 8601 date-time`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (jsonSchema.minItems !== undefined && value.length < jsonSchema.minItems) {
+        errors.push(`${path}: must have at least ${jsonSchema.minItems} items`);
+      }
+      if (jsonSchema.maxItems !== undefined && value.length > jsonSchema.maxItems) {
+        errors.push(`${path}: must have at most ${jsonSchema.maxItems} items`);
+      }
+      if (jsonSchema.items) {
+        value.forEach((item, i) => errors.push(...this.validate(item, jsonSchema.items, `${path}[${i}]`)));
+      }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const name of jsonSchema.required || []) {
+        if (value[name] === undefined) errors.push(`${path}.${name}: is required`);
+      }
+      for (const [name, propertySchema] of Object.entries(jsonSchema.properties || {})) {
+        if (value[name] !== undefined) {
+          errors.push(...this.validate(value[name], propertySchema, `${path}.${name}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Object schema from a list of field definitions
+   */
+  _objectSchema(fields) {
+    const properties = {};
+    const required = [];
+
+    for (const field of fields) {
+      properties[field.name] = this.fromField(field);
+      if (field.required) required.push(field.name);
+    }
+
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {})
+    };
+  }
+
+  /**
+   * Allow null alongside a schema (fields may be absent from a document)
+   */
+  _nullable(jsonSchema) {
+    if (!jsonSchema.type) return jsonSchema;
+
+    const types = Array.isArray(jsonSchema.type) ? jsonSchema.type : [jsonSchema.type];
+    const result = { ...jsonSchema, type: [...new Set([...types, 'null'])] };
+    if (result.enum) result.enum = [...result.enum, null];
+    return result;
+  }
+
+  /**
+   * Check a value against a JSON Schema type name
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && !isNaN(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: return true;
+    }
+  }
+
+  /**
+   * Describe a value's JSON type
+   */
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && isNaN(value)) return 'NaN';
+    return typeof value;
+  }
+}
+
+module.exports = { JsonSchemaGenerator };
@@ -6,6 +6,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { ComputedFieldEvaluator } = require('../ComputedFieldEvaluator');
 
 const FieldTypes = {
   STRING: 'string',
@@ -99,6 +100,10 @@ class SchemaBuilder {
 
   /**
    * Add an array field
+   *
+   * Pass `items` to describe each element: a type name ('number'), a field
+   * definition ({ type, ... }), or a sub-schema (SchemaBuilder, built schema
+   * or array of field definitions) for arrays of objects.
    */
   array(name, options = {}) {
     return this._addField(name, FieldTypes.ARRAY, options);
@@ -106,6 +111,9 @@ class SchemaBuilder {
 
   /**
    * Add an object field
+   *
+   * Pass `properties` as a sub-schema (SchemaBuilder, built schema or array
+   * of field definitions) to describe the object's own fields.
    */
   object(name, options = {}) {
     return this._addField(name, FieldTypes.OBJECT, options);
@@ -113,11 +121,17 @@ class SchemaBuilder {
 
   /**
    * Add a currency field
+   *
+   * Values are kept as written ("£1,250,000"), with the amount and
+   * currency reported in the extraction result's `normalization`. Pass
+   * `amount: true` to extract the amount as a number instead, and
+   * `currency` for the expected currency code.
    */
   currency(name, options = {}) {
-    return this._addField(name, FieldTypes.STRING, {
+    const { amount, ...rest } = options;
+    return this._addField(name, amount ? FieldTypes.NUMBER : FieldTypes.STRING, {
       format: 'currency',
-      ...options
+      ...rest
     });
   }
 
@@ -173,6 +187,33 @@ class SchemaBuilder {
     });
   }
 
+  /**
+   * Add a computed field, derived from other fields after extraction
+   *
+   * `expression` is arithmetic over field names
+   * ('currentAssets / currentLiabilities') or a function of the data
+   * with `options.dependsOn` listing the fields it reads. Options: `type`
+   * (default number), `decimals` to round to, `tolerance` for
+   * reconciliation, and `extractStated` to also extract any value the
+   * document states directly so ValidationEngine can reconcile the two.
+   */
+  computed(name, expression, options = {}) {
+    const { type = FieldTypes.NUMBER, dependsOn, decimals, tolerance, extractStated, ...fieldOptions } = options;
+    const computed = { expression };
+    if (dependsOn) computed.dependsOn = dependsOn;
+    if (decimals !== undefined) computed.decimals = decimals;
+    if (tolerance !== undefined) computed.tolerance = tolerance;
+    if (extractStated) {
+      computed.extractStated = true;
+      fieldOptions.extractionHints = [
+        ...(fieldOptions.extractionHints || []),
+        'Only report a value stated in the document; do not calculate it'
+      ];
+    }
+
+    return this._addField(name, type, { ...fieldOptions, computed });
+  }
+
   /**
    * Add a generic field
    */
@@ -184,7 +225,16 @@ class SchemaBuilder {
    * Internal: Add a field
    */
   _addField(name, type, options = {}) {
-    this._currentField = {
+    this._currentField = SchemaBuilder._createField(name, type, options);
+    this.schema.fields.push(this._currentField);
+    return this;
+  }
+
+  /**
+   * Internal: Create a field definition, normalising nested sub-schemas
+   */
+  static _createField(name, type, options = {}) {
+    const field = {
       name,
       type,
       description: options.description || '',
@@ -192,6 +242,7 @@ class SchemaBuilder {
       defaultValue: options.defaultValue,
       enum: options.enum,
       format: options.format,
+      currency: options.currency,
       pattern: options.pattern,
       patterns: options.patterns || [],
       minimum: options.minimum,
@@ -203,11 +254,56 @@ class SchemaBuilder {
       uniqueItems: options.uniqueItems,
       validators: options.validators || [],
       extractionHints: options.extractionHints || [],
+      sections: options.sections,
+      strategies: options.strategies,
+      computed: options.computed,
       metadata: options.metadata || {}
     };
-    
-    this.schema.fields.push(this._currentField);
-    return this;
+
+    if (options.properties) {
+      field.properties = SchemaBuilder._normalizeProperties(options.properties);
+    }
+    if (options.items) {
+      field.items = SchemaBuilder._normalizeItems(options.items);
+    }
+
+    return field;
+  }
+
+  /**
+   * Internal: Normalise a sub-schema into an array of field definitions
+   */
+  static _normalizeProperties(properties) {
+    let fields;
+    if (properties instanceof SchemaBuilder) {
+      fields = properties.build().fields;
+    } else if (Array.isArray(properties)) {
+      fields = properties;
+    } else if (Array.isArray(properties.fields)) {
+      fields = properties.fields;
+    } else {
+      // Plain map of name -> type or field options
+      fields = Object.entries(properties).map(([name, def]) =>
+        typeof def === 'string' ? { name, type: def } : { name, ...def }
+      );
+    }
+
+    return fields.map(f => SchemaBuilder._createField(f.name, f.type, f));
+  }
+
+  /**
+   * Internal: Normalise an array item definition
+   */
+  static _normalizeItems(items) {
+    if (typeof items === 'string') {
+      return SchemaBuilder._createField(undefined, items);
+    }
+    if (items instanceof SchemaBuilder || Array.isArray(items) || Array.isArray(items.fields)) {
+      return SchemaBuilder._createField(undefined, FieldTypes.OBJECT, {
+        properties: items
+      });
+    }
+    return SchemaBuilder._createField(items.name, items.type || FieldTypes.ANY, items);
   }
 
   // Field modifiers (chainable on current field)
@@ -276,11 +372,98 @@ class SchemaBuilder {
   }
 
   /**
-   * Add extraction hints for LLM
+   * Add extraction hints for LLM (an array or several strings)
    */
-  hints(hintsArray) {
+  hints(...hints) {
     if (this._currentField) {
-      this._currentField.extractionHints.push(...hintsArray);
+      this._currentField.extractionHints.push(...hints.flat());
+    }
+    return this;
+  }
+
+  /**
+   * Restrict current field to a set of allowed values (an array or
+   * several values)
+   *
+   * The modifier counterpart of enum(), which adds a new field.
+   */
+  oneOf(...values) {
+    if (this._currentField) {
+      this._currentField.enum = values.flat();
+    }
+    return this;
+  }
+
+  /**
+   * Set the format of current field ('email', 'url', 'date', 'currency', ...)
+   */
+  format(format) {
+    if (this._currentField) {
+      this._currentField.format = format;
+    }
+    return this;
+  }
+
+  /**
+   * Set the length bounds of current field: characters for strings,
+   * items for arrays. Pass null for an open bound.
+   */
+  length(min, max) {
+    if (this._currentField) {
+      const [minKey, maxKey] = this._currentField.type === FieldTypes.ARRAY
+        ? ['minItems', 'maxItems']
+        : ['minLength', 'maxLength'];
+      if (min != null) this._currentField[minKey] = min;
+      if (max != null) this._currentField[maxKey] = max;
+    }
+    return this;
+  }
+
+  /**
+   * Describe the items of current (array) field: a type name, a field
+   * definition or a sub-schema, as for array()'s `items` option
+   */
+  items(items) {
+    if (this._currentField) {
+      this._currentField.items = SchemaBuilder._normalizeItems(items);
+    }
+    return this;
+  }
+
+  /**
+   * Require the items of current (array) field to be unique
+   */
+  unique() {
+    if (this._currentField) {
+      this._currentField.uniqueItems = true;
+    }
+    return this;
+  }
+
+  /**
+   * Restrict extraction of current field to matching document sections
+   *
+   * Targets are heading regexes, section numbers ('12' also matches
+   * '12.3') or heading substrings.
+   */
+  inSection(...targets) {
+    if (this._currentField) {
+      this._currentField.sections = [...(this._currentField.sections || []), ...targets.flat()];
+    }
+    return this;
+  }
+
+  /**
+   * Set the extraction strategies for current field, tried in order
+   * until one finds a value
+   *
+   * Each entry is a strategy name ('pattern', 'llm', 'lookup',
+   * 'section-title', 'key-value', 'table-cell' or a registered one),
+   * `{ name, ...options }`, or a function.
+   */
+  extractWith(...strategies) {
+    if (this._currentField) {
+      this._currentField.strategies = strategies.flat();
     }
     return this;
   }
@@ -389,23 +572,37 @@ class SchemaBuilder {
    * Build and return the schema
    */
   build() {
-    // Clean up empty arrays
     for (const field of this.schema.fields) {
-      if (field.patterns?.length === 0) delete field.patterns;
-      if (field.extractionHints?.length === 0) delete field.extractionHints;
-      if (field.validators?.length === 0) delete field.validators;
-      
-      // Remove undefined/null values
-      Object.keys(field).forEach(key => {
-        if (field[key] === undefined || field[key] === null) {
-          delete field[key];
-        }
-      });
+      SchemaBuilder._cleanField(field);
     }
 
     return this.schema;
   }
 
+  /**
+   * Internal: Clean up a field definition and its nested fields
+   */
+  static _cleanField(field) {
+    // Clean up empty arrays
+    if (field.patterns?.length === 0) delete field.patterns;
+    if (field.extractionHints?.length === 0) delete field.extractionHints;
+    if (field.validators?.length === 0) delete field.validators;
+    
+    // Remove undefined/null values
+    Object.keys(field).forEach(key => {
+      if (field[key] === undefined || field[key] === null) {
+        delete field[key];
+      }
+    });
+
+    for (const property of field.properties || []) {
+      SchemaBuilder._cleanField(property);
+    }
+    if (field.items) {
+      SchemaBuilder._cleanField(field.items);
+    }
+  }
+
   /**
    * Create schema from JSON definition
    */
@@ -442,25 +639,107 @@ class SchemaBuilder {
       errors.push('Schema must have at least one field');
     }
 
+    SchemaBuilder._validateFields(schema.fields || [], '', errors);
+
+    // Computed fields must parse, depend on known fields and not form a cycle
+    try {
+      new ComputedFieldEvaluator().order(schema.fields || []);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Internal: Validate a list of field definitions, recursing into sub-schemas
+   */
+  static _validateFields(fields, prefix, errors) {
     const fieldNames = new Set();
-    for (const field of schema.fields || []) {
+    for (const field of fields) {
+      const path = `${prefix}${field.name}`;
+
       if (!field.name) {
-        errors.push('All fields must have a name');
+        errors.push(prefix ? `All properties of "${prefix.slice(0, -1)}" must have a name` : 'All fields must have a name');
+      } else if (typeof field.name !== 'string') {
+        // Usually a field-adding method used as a modifier, e.g. .enum([...]) for .oneOf([...])
+        errors.push(`Field names must be strings, got ${JSON.stringify(field.name)}` +
+          (Array.isArray(field.name) ? ' (use .oneOf() to set allowed values)' : ''));
       }
       if (fieldNames.has(field.name)) {
-        errors.push(`Duplicate field name: ${field.name}`);
+        errors.push(`Duplicate field name: ${path}`);
       }
       fieldNames.add(field.name);
 
-      if (!field.type) {
-        errors.push(`Field "${field.name}" must have a type`);
+      SchemaBuilder._validateConstraints(field, path, errors);
+      SchemaBuilder._validateNested(field, path, errors);
+    }
+  }
+
+  /**
+   * Internal: Validate the type and constraints of a single field definition
+   */
+  static _validateConstraints(field, path, errors) {
+    if (!field.type) {
+      errors.push(`Field "${path}" must have a type`);
+    } else if (!Object.values(FieldTypes).includes(field.type)) {
+      errors.push(`Field "${path}" has unknown type "${field.type}"`);
+    }
+
+    if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) {
+      errors.push(`Allowed values of "${path}" must be a non-empty array`);
+    }
+    if (field.format !== undefined && typeof field.format !== 'string') {
+      errors.push(`Format of "${path}" must be a string`);
+    }
+
+    for (const [minKey, maxKey] of [['minimum', 'maximum'], ['minLength', 'maxLength'], ['minItems', 'maxItems']]) {
+      for (const key of [minKey, maxKey]) {
+        if (field[key] !== undefined && (typeof field[key] !== 'number' || Number.isNaN(field[key]))) {
+          errors.push(`${key} of "${path}" must be a number`);
+        }
+      }
+      if (typeof field[minKey] === 'number' && typeof field[maxKey] === 'number' && field[minKey] > field[maxKey]) {
+        errors.push(`Field "${path}" has ${minKey} ${field[minKey]} above ${maxKey} ${field[maxKey]}`);
+      }
+    }
+
+    if (field.uniqueItems && field.type !== FieldTypes.ARRAY) {
+      errors.push(`Field "${path}" requires unique items but is not an array`);
+    }
+    if ((field.patterns || []).some(p => !(p instanceof RegExp) && typeof p !== 'string')) {
+      errors.push(`Patterns of "${path}" must be regular expressions or strings`);
+    }
+    if ((field.extractionHints || []).some(hint => typeof hint !== 'string')) {
+      errors.push(`Extraction hints of "${path}" must be strings`);
+    }
+  }
+
+  /**
+   * Internal: Validate the properties/items of a single field definition
+   */
+  static _validateNested(field, path, errors) {
+    if (field.properties) {
+      if (field.type !== FieldTypes.OBJECT) {
+        errors.push(`Field "${path}" declares properties but is not an object`);
       }
+      SchemaBuilder._validateFields(field.properties, `${path}.`, errors);
     }
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    if (field.items) {
+      if (field.type !== FieldTypes.ARRAY) {
+        errors.push(`Field "${path}" declares items but is not an array`);
+      }
+      if (!field.items.type) {
+        errors.push(`Items of "${path}" must have a type`);
+      } else {
+        SchemaBuilder._validateConstraints(field.items, `${path}[]`, errors);
+      }
+      SchemaBuilder._validateNested(field.items, `${path}[]`, errors);
+    }
   }
 }
 
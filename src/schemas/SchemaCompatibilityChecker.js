@@ -0,0 +1,328 @@
+/**
+ * SchemaCompatibilityChecker - Classify the changes between schema versions
+ *
+ * Compares two schema definitions field by field (recursing into object
+ * properties and array items) and classifies every change by the data
+ * it keeps valid:
+ *
+ *   'full'     - data valid under either version stays valid under the other
+ *   'backward' - data extracted under the old version is valid under the new
+ *   'forward'  - data extracted under the new version is valid under the old
+ *   'breaking' - neither
+ *
+ * It can also re-validate a DocumentRegister's current entries against
+ * the new version to count the records a release would affect.
+ */
+
+const { ValidationEngine } = require('../ValidationEngine');
+const { SchemaMigrator } = require('./SchemaMigrator');
+
+// Types each type can widen to without rejecting existing values
+const TYPE_WIDENINGS = {
+  integer: ['number'],
+  date: ['string']
+};
+
+// Constraints and whether a higher value is stricter
+const BOUNDS = {
+  minimum: true,
+  minLength: true,
+  minItems: true,
+  maximum: false,
+  maxLength: false,
+  maxItems: false
+};
+
+class SchemaCompatibilityChecker {
+  /**
+   * @param {Object} [options]
+   * @param {ValidationEngine} [options.validator] - Validator for checkRegister()
+   */
+  constructor(options = {}) {
+    this.validator = options.validator || new ValidationEngine();
+  }
+
+  /**
+   * Compare two versions of a schema
+   *
+   * Returns every change with its classification, the overall
+   * compatibility, and the version bump it calls for ('major' when old
+   * data may no longer validate, 'minor' for other changes).
+   */
+  compare(oldSchema, newSchema) {
+    const changes = [];
+    this._compareFields(oldSchema.fields || [], newSchema.fields || [], '', changes);
+
+    const backwardCompatible = changes.every(c => c.compatibility === 'full' || c.compatibility === 'backward');
+    const forwardCompatible = changes.every(c => c.compatibility === 'full' || c.compatibility === 'forward');
+    const requiredBump = !backwardCompatible ? 'major' : changes.length > 0 ? 'minor' : 'none';
+    const summary = { total: changes.length, full: 0, backward: 0, forward: 0, breaking: 0 };
+    changes.forEach(change => summary[change.compatibility]++);
+
+    return {
+      schemaId: newSchema.id,
+      fromVersion: oldSchema.version,
+      toVersion: newSchema.version,
+      compatibility: this._classify(backwardCompatible, forwardCompatible),
+      backwardCompatible,
+      forwardCompatible,
+      changes,
+      summary,
+      requiredBump,
+      versionBumpOk: this._bumpSatisfies(oldSchema.version, newSchema.version, requiredBump)
+    };
+  }
+
+  /**
+   * Validate a register's current entries against a new schema version
+   *
+   * @param {DocumentRegister} register
+   * @param {Object} newSchema
+   * @param {Object} [options]
+   * @param {string} [options.schemaId] - Only check entries of this schema (entries without one are always checked)
+   * @param {string} [options.status] - Only check entries with this status
+   * @param {SchemaMigrator} [options.migrator] - Migrate each entry to the new version before validating
+   * @returns {Promise<Object>} `{ total, valid, affected, byField, byCode, entries }`
+   */
+  async checkRegister(register, newSchema, options = {}) {
+    const { entries } = await register.list({ status: options.status, includeData: true, limit: Infinity });
+    const report = { schemaVersion: newSchema.version, total: 0, valid: 0, affected: 0, byField: {}, byCode: {}, entries: [] };
+
+    for (const entry of entries) {
+      const schemaId = entry.metadata?.schemaId;
+      if (options.schemaId && schemaId && schemaId !== options.schemaId) continue;
+      report.total++;
+
+      let errors;
+      try {
+        const data = options.migrator && entry.metadata?.schemaVersion !== newSchema.version
+          ? options.migrator.migrateData(entry.data, entry.metadata?.schemaVersion, newSchema.version).data
+          : entry.data;
+        errors = this.validator.validate(data || {}, newSchema).errors;
+      } catch (error) {
+        errors = [{ code: error.code || 'MIGRATION_FAILED', message: error.message }];
+      }
+
+      if (errors.length === 0) {
+        report.valid++;
+        continue;
+      }
+
+      report.affected++;
+      for (const error of errors) {
+        const field = error.field || error.path;
+        if (field) report.byField[field] = (report.byField[field] || 0) + 1;
+        report.byCode[error.code] = (report.byCode[error.code] || 0) + 1;
+      }
+      report.entries.push({
+        id: entry.id,
+        schemaVersion: entry.metadata?.schemaVersion,
+        errors: errors.map(({ code, path, field, message }) => ({ code, path: path || field, message }))
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Compare two lists of field definitions
+   */
+  _compareFields(oldFields, newFields, prefix, changes) {
+    const oldByName = new Map(oldFields.map(field => [field.name, field]));
+    const newByName = new Map(newFields.map(field => [field.name, field]));
+
+    for (const [name, field] of oldByName) {
+      if (!newByName.has(name)) {
+        // Old data may carry it (ignored); new data lacks it, which the old
+        // version only tolerates if it was optional
+        this._record(changes, 'field_removed', `${prefix}${name}`, true, !field.required, {
+          message: `Field "${prefix}${name}" was removed`
+        });
+      }
+    }
+
+    for (const [name, field] of newByName) {
+      const path = `${prefix}${name}`;
+      const previous = oldByName.get(name);
+      if (!previous) {
+        this._record(changes, 'field_added', path, !field.required, true, {
+          required: Boolean(field.required),
+          message: `${field.required ? 'Required' : 'Optional'} field "${path}" was added`
+        });
+        continue;
+      }
+      this._compareField(previous, field, path, changes);
+    }
+  }
+
+  /**
+   * Compare two versions of one field definition
+   */
+  _compareField(oldField, newField, path, changes) {
+    if (oldField.type !== newField.type) {
+      const widened = this._widens(oldField.type, newField.type);
+      const narrowed = this._widens(newField.type, oldField.type);
+      this._record(changes, 'type_changed', path, widened, narrowed, {
+        from: oldField.type,
+        to: newField.type,
+        message: `Type of "${path}" changed from ${oldField.type} to ${newField.type}` +
+          (widened ? ' (widened)' : narrowed ? ' (narrowed)' : '')
+      });
+    }
+
+    if (Boolean(oldField.required) !== Boolean(newField.required)) {
+      const nowRequired = Boolean(newField.required);
+      this._record(changes, nowRequired ? 'became_required' : 'became_optional', path, !nowRequired, nowRequired, {
+        message: `Field "${path}" became ${nowRequired ? 'required' : 'optional'}`
+      });
+    }
+
+    this._compareEnum(oldField.enum, newField.enum, path, changes);
+    this._compareConstraints(oldField, newField, path, changes);
+
+    if (oldField.properties || newField.properties) {
+      this._compareFields(oldField.properties || [], newField.properties || [], `${path}.`, changes);
+    }
+    if (oldField.items && newField.items) {
+      this._compareField(oldField.items, newField.items, `${path}[]`, changes);
+    } else if (oldField.items || newField.items) {
+      // Defining items restricts what the array may hold
+      this._constraintChange(changes, path, 'items', this._itemsLabel(oldField.items), this._itemsLabel(newField.items),
+        newField.items ? 'tightened' : 'loosened');
+    }
+  }
+
+  /**
+   * Compare allowed values
+   */
+  _compareEnum(oldValues, newValues, path, changes) {
+    if (!oldValues?.length && !newValues?.length) return;
+
+    if (!oldValues?.length) {
+      this._record(changes, 'enum_added', path, false, true, {
+        values: newValues,
+        message: `Field "${path}" was restricted to ${newValues.join(', ')}`
+      });
+      return;
+    }
+    if (!newValues?.length) {
+      this._record(changes, 'enum_removed', path, true, false, {
+        message: `Field "${path}" no longer restricts its values`
+      });
+      return;
+    }
+
+    const removed = oldValues.filter(value => !newValues.includes(value));
+    const added = newValues.filter(value => !oldValues.includes(value));
+    if (removed.length > 0) {
+      this._record(changes, 'enum_values_removed', path, false, true, {
+        values: removed,
+        message: `Allowed values removed from "${path}": ${removed.join(', ')}`
+      });
+    }
+    if (added.length > 0) {
+      this._record(changes, 'enum_values_added', path, true, false, {
+        values: added,
+        message: `Allowed values added to "${path}": ${added.join(', ')}`
+      });
+    }
+  }
+
+  /**
+   * Compare bounds, format, pattern and uniqueness
+   */
+  _compareConstraints(oldField, newField, path, changes) {
+    for (const [constraint, higherIsStricter] of Object.entries(BOUNDS)) {
+      const before = oldField[constraint];
+      const after = newField[constraint];
+      if (before === after) continue;
+
+      const tightened = before === undefined ||
+        (after !== undefined && (higherIsStricter ? after > before : after < before));
+      this._constraintChange(changes, path, constraint, before, after, tightened ? 'tightened' : 'loosened');
+    }
+
+    for (const constraint of ['format', 'pattern']) {
+      const before = oldField[constraint];
+      const after = newField[constraint];
+      if (before === after) continue;
+
+      const direction = before === undefined ? 'tightened' : after === undefined ? 'loosened' : 'changed';
+      this._constraintChange(changes, path, constraint, before, after, direction);
+    }
+
+    if (Boolean(oldField.uniqueItems) !== Boolean(newField.uniqueItems)) {
+      this._constraintChange(changes, path, 'uniqueItems', Boolean(oldField.uniqueItems), Boolean(newField.uniqueItems),
+        newField.uniqueItems ? 'tightened' : 'loosened');
+    }
+  }
+
+  /**
+   * Short description of an items definition for change messages
+   */
+  _itemsLabel(items) {
+    if (!items) return undefined;
+    return items.properties ? 'object' : items.type || 'any';
+  }
+
+  /**
+   * Record a constraint change
+   */
+  _constraintChange(changes, path, constraint, from, to, direction) {
+    this._record(changes, `constraint_${direction}`, path, direction === 'loosened', direction === 'tightened', {
+      constraint,
+      from,
+      to,
+      message: `${constraint} of "${path}" ${direction}: ${from ?? 'none'} -> ${to ?? 'none'}`
+    });
+  }
+
+  /**
+   * Add a change, classified by whether old data stays valid under the
+   * new version (backward) and new data under the old (forward)
+   */
+  _record(changes, type, path, backward, forward, details) {
+    changes.push({ type, path, compatibility: this._classify(backward, forward), ...details });
+  }
+
+  /**
+   * Compatibility class of a change or a whole comparison
+   */
+  _classify(backward, forward) {
+    if (backward && forward) return 'full';
+    if (backward) return 'backward';
+    if (forward) return 'forward';
+    return 'breaking';
+  }
+
+  /**
+   * Whether every value of one type is also a valid value of another
+   */
+  _widens(fromType, toType) {
+    return toType === 'any' || Boolean(TYPE_WIDENINGS[fromType]?.includes(toType));
+  }
+
+  /**
+   * Whether a version change is at least the required bump
+   *
+   * The new version must reach the next major (or minor) release, or one
+   * of its prereleases. A prerelease may still change as much as its own
+   * release allows: '2.0.0-beta' -> '2.0.0-rc' can break.
+   */
+  _bumpSatisfies(fromVersion, toVersion, requiredBump) {
+    if (requiredBump === 'none') return true;
+    if (SchemaMigrator.compareVersions(toVersion, fromVersion) <= 0) return false;
+
+    const [release, prerelease] = SchemaMigrator._splitVersion(fromVersion);
+    const [major, minor, patch] = [0, 1, 2].map(i => parseInt(release[i], 10) || 0);
+    let next;
+    if (requiredBump === 'major') {
+      next = prerelease && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+    } else {
+      next = prerelease && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+    }
+    return SchemaMigrator.compareVersions(toVersion, `${next}-0`) >= 0;
+  }
+}
+
+module.exports = { SchemaCompatibilityChecker };
@@ -0,0 +1,382 @@
+/**
+ * SchemaMigrator - Bring data forward between schema versions
+ *
+ * Holds declarative migrations between versions of one schema:
+ *
+ *   migrator.addMigration({
+ *     from: '1.0.0',
+ *     to: '1.1.0',
+ *     steps: [
+ *       { type: 'rename', from: 'ruleRef', to: 'ruleNumber' },
+ *       { type: 'split', from: 'period', to: ['periodStart', 'periodEnd'], separator: ' to ' },
+ *       { type: 'merge', from: ['firstName', 'lastName'], to: 'memberName' },
+ *       { type: 'default', field: 'currency', value: 'GBP' },
+ *       { type: 'transform', field: 'rate', transform: value => value * 100 },
+ *       { type: 'remove', field: 'legacyCode' }
+ *     ]
+ *   });
+ *
+ * and applies the chain of migrations from any registered version to a
+ * later one. Field names may be dotted paths into objects. Data is
+ * copied, never changed in place.
+ */
+
+// Step types and the properties each requires
+const STEP_TYPES = {
+  rename: ['from', 'to'],
+  split: ['from', 'to'],
+  merge: ['from', 'to'],
+  default: ['field'],
+  transform: ['field', 'transform'],
+  remove: ['field']
+};
+
+class SchemaMigrator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.schemaId] - Schema the migrations belong to (register entries of other schemas are left alone)
+   * @param {Object[]} [options.migrations] - Migrations to add
+   */
+  constructor(options = {}) {
+    this.schemaId = options.schemaId || null;
+    this.migrations = [];
+
+    for (const migration of options.migrations || []) {
+      this.addMigration(migration);
+    }
+  }
+
+  /**
+   * Add a migration `{ from, to, description?, steps }` between two versions
+   */
+  addMigration(migration) {
+    const { from, to, steps } = migration;
+    if (typeof from !== 'string' || typeof to !== 'string' || from === to) {
+      throw this._invalid('A migration needs different "from" and "to" versions');
+    }
+    if (this.migrations.some(m => m.from === from && m.to === to)) {
+      throw this._invalid(`A migration from ${from} to ${to} already exists`);
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw this._invalid(`Migration ${from} -> ${to} has no steps`);
+    }
+    steps.forEach((step, i) => this._checkStep(step, `Step ${i + 1} of migration ${from} -> ${to}`));
+
+    this.migrations.push({ from, to, description: migration.description || '', steps });
+    return this;
+  }
+
+  /**
+   * Latest version any migration leads to
+   */
+  latestVersion() {
+    return this.migrations
+      .map(m => m.to)
+      .sort(SchemaMigrator.compareVersions)
+      .pop() || null;
+  }
+
+  /**
+   * Chain of migrations leading from one version to another
+   *
+   * Prefers the chain with fewest steps. Throws NO_MIGRATION_PATH when
+   * the versions are not connected.
+   */
+  pathBetween(fromVersion, toVersion) {
+    if (fromVersion === toVersion) return [];
+
+    const queue = [{ version: fromVersion, path: [] }];
+    const seen = new Set([fromVersion]);
+    while (queue.length > 0) {
+      const { version, path } = queue.shift();
+      for (const migration of this.migrations.filter(m => m.from === version)) {
+        if (migration.to === toVersion) return [...path, migration];
+        if (!seen.has(migration.to)) {
+          seen.add(migration.to);
+          queue.push({ version: migration.to, path: [...path, migration] });
+        }
+      }
+    }
+
+    const error = new Error(`No migration path from schema version ${fromVersion} to ${toVersion}`);
+    error.code = 'NO_MIGRATION_PATH';
+    throw error;
+  }
+
+  /**
+   * Migrate extracted data from one version to another
+   *
+   * @returns {{ data: Object, fromVersion: string, toVersion: string, migrations: Object[] }}
+   *   The migrated copy and, per migration applied, the changes it made
+   */
+  migrateData(data, fromVersion, toVersion = this.latestVersion()) {
+    return this._migrate({ data }, fromVersion, toVersion);
+  }
+
+  /**
+   * Migrate an extraction result (or register entry) to another version
+   *
+   * Moves `data`, and follows renamed, split, merged and removed fields
+   * in `citations` and `fieldConfidences`. The source version is the
+   * result's `schemaVersion`.
+   */
+  migrateResult(result, toVersion = this.latestVersion()) {
+    const migrated = this._migrate(result, result.schemaVersion, toVersion);
+
+    return {
+      ...result,
+      schemaVersion: toVersion,
+      data: migrated.data,
+      citations: migrated.citations,
+      fieldConfidences: migrated.fieldConfidences,
+      migrations: migrated.migrations
+    };
+  }
+
+  /**
+   * Run the migrations between two versions over data, citations and
+   * field confidences
+   */
+  _migrate(record, fromVersion, toVersion) {
+    if (!fromVersion) {
+      const error = new Error('Cannot migrate data without a schema version');
+      error.code = 'NO_MIGRATION_PATH';
+      throw error;
+    }
+
+    let data = structuredClone(record.data || {});
+    let citations = record.citations;
+    let fieldConfidences = record.fieldConfidences;
+    const migrations = [];
+
+    for (const migration of this.pathBetween(fromVersion, toVersion)) {
+      const changes = [];
+      for (const step of migration.steps) {
+        const change = this._applyStep(step, data);
+        if (!change) continue;
+
+        changes.push(change);
+        if (citations) citations = this._moveCitations(citations, step);
+        if (fieldConfidences) fieldConfidences = this._moveConfidences(fieldConfidences, step);
+      }
+      migrations.push({ from: migration.from, to: migration.to, description: migration.description, changes });
+    }
+
+    return { data, citations, fieldConfidences, fromVersion, toVersion, migrations };
+  }
+
+  /**
+   * Apply one step to the data in place; returns a description of the
+   * change, or null when the step had nothing to do
+   */
+  _applyStep(step, data) {
+    switch (step.type) {
+      case 'rename': {
+        if (!this._has(data, step.from)) return null;
+        this._set(data, step.to, this._get(data, step.from));
+        this._delete(data, step.from);
+        return { type: 'rename', from: step.from, to: step.to };
+      }
+
+      case 'split': {
+        const value = this._get(data, step.from);
+        if (value == null) return null;
+
+        const parts = step.split
+          ? step.split(value, data)
+          : String(value).split(step.separator ?? ',').map(part => part.trim());
+        step.to.forEach((name, i) => {
+          const part = Array.isArray(parts) ? parts[i] : parts?.[name];
+          if (part !== undefined) this._set(data, name, part);
+        });
+        if (!step.to.includes(step.from)) this._delete(data, step.from);
+        return { type: 'split', from: step.from, to: step.to };
+      }
+
+      case 'merge': {
+        const values = step.from.map(name => this._get(data, name));
+        if (values.every(value => value == null)) return null;
+
+        const merged = step.merge
+          ? step.merge(values, data)
+          : values.filter(value => value != null).join(step.separator ?? ' ');
+        step.from.filter(name => name !== step.to).forEach(name => this._delete(data, name));
+        this._set(data, step.to, merged);
+        return { type: 'merge', from: step.from, to: step.to };
+      }
+
+      case 'default': {
+        if (this._get(data, step.field) != null) return null;
+        this._set(data, step.field, typeof step.value === 'function' ? step.value(data) : step.value);
+        return { type: 'default', field: step.field };
+      }
+
+      case 'transform': {
+        if (!this._has(data, step.field)) return null;
+        this._set(data, step.field, step.transform(this._get(data, step.field), data));
+        return { type: 'transform', field: step.field };
+      }
+
+      case 'remove': {
+        if (!this._has(data, step.field)) return null;
+        this._delete(data, step.field);
+        return { type: 'remove', field: step.field };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Names a field is known by after a step ([] when removed)
+   */
+  _namesAfter(step, name) {
+    switch (step.type) {
+      case 'rename':
+        return name === step.from ? [step.to] : [name];
+      case 'split':
+        return name === step.from ? step.to : [name];
+      case 'merge':
+        return step.from.includes(name) ? [step.to] : [name];
+      case 'remove':
+        return name === step.field ? [] : [name];
+      default:
+        return [name];
+    }
+  }
+
+  /**
+   * Follow a step in citation field names (split fields share the
+   * citations of their source)
+   */
+  _moveCitations(citations, step) {
+    return citations.flatMap(citation =>
+      this._namesAfter(step, citation.fieldName).map(fieldName => ({ ...citation, fieldName }))
+    );
+  }
+
+  /**
+   * Follow a step in field confidences (a merged field takes the lowest
+   * of its sources)
+   */
+  _moveConfidences(fieldConfidences, step) {
+    const moved = {};
+    for (const [name, confidence] of Object.entries(fieldConfidences)) {
+      for (const target of this._namesAfter(step, name)) {
+        moved[target] = target in moved ? Math.min(moved[target], confidence) : confidence;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Check a step has a known type and the properties it needs
+   */
+  _checkStep(step, label) {
+    const required = STEP_TYPES[step?.type];
+    if (!required) {
+      throw this._invalid(`${label} has unknown type "${step?.type}". Available: ${Object.keys(STEP_TYPES).join(', ')}`);
+    }
+    for (const key of required) {
+      if (step[key] === undefined) throw this._invalid(`${label} (${step.type}) needs "${key}"`);
+    }
+    if (step.type === 'split' && !Array.isArray(step.to)) {
+      throw this._invalid(`${label} (split) needs "to" to be an array of fields`);
+    }
+    if (step.type === 'merge' && !Array.isArray(step.from)) {
+      throw this._invalid(`${label} (merge) needs "from" to be an array of fields`);
+    }
+  }
+
+  /**
+   * Whether the data has a value at a path
+   */
+  _has(data, path) {
+    const keys = path.split('.');
+    const parent = this._get(data, keys.slice(0, -1).join('.'));
+    return parent != null && typeof parent === 'object' && keys[keys.length - 1] in parent;
+  }
+
+  /**
+   * Value at a path ('' is the data itself)
+   */
+  _get(data, path) {
+    if (!path) return data;
+    return path.split('.').reduce((value, key) => value?.[key], data);
+  }
+
+  /**
+   * Set the value at a path, creating intermediate objects
+   */
+  _set(data, path, value) {
+    const keys = path.split('.');
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Remove the value at a path
+   */
+  _delete(data, path) {
+    const keys = path.split('.');
+    const parent = this._get(data, keys.slice(0, -1).join('.'));
+    if (parent != null && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+  }
+
+  /**
+   * Build an INVALID_MIGRATION error
+   */
+  _invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MIGRATION';
+    return error;
+  }
+
+  /**
+   * Compare two dotted version strings numerically ('1.10.0' > '1.9.2')
+   *
+   * Prerelease suffixes follow semver precedence: '1.1.0-beta.2' comes
+   * after '1.1.0-beta.1' and '1.0.9' but before '1.1.0'. Build metadata
+   * ('+build.5') is ignored.
+   */
+  static compareVersions(a, b) {
+    const [releaseA, prereleaseA] = SchemaMigrator._splitVersion(a);
+    const [releaseB, prereleaseB] = SchemaMigrator._splitVersion(b);
+    for (let i = 0; i < Math.max(releaseA.length, releaseB.length); i++) {
+      const diff = (parseInt(releaseA[i], 10) || 0) - (parseInt(releaseB[i], 10) || 0);
+      if (diff !== 0) return diff;
+    }
+
+    // A release comes after its prereleases
+    if (!prereleaseA || !prereleaseB) return (prereleaseA ? -1 : 0) + (prereleaseB ? 1 : 0);
+
+    for (let i = 0; i < Math.max(prereleaseA.length, prereleaseB.length); i++) {
+      const partA = prereleaseA[i];
+      const partB = prereleaseB[i];
+      if (partA === undefined || partB === undefined) return partA === undefined ? -1 : 1;
+      if (partA === partB) continue;
+
+      const numericA = /^\d+$/.test(partA);
+      const numericB = /^\d+$/.test(partB);
+      if (numericA && numericB) return Number(partA) - Number(partB);
+      if (numericA !== numericB) return numericA ? -1 : 1;
+      return partA < partB ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Release parts and prerelease identifiers (or null) of a version
+   */
+  static _splitVersion(version) {
+    const [core] = String(version).split('+');
+    const dash = core.indexOf('-');
+    const release = dash === -1 ? core : core.slice(0, dash);
+    return [release.split('.'), dash === -1 ? null : core.slice(dash + 1).split('.')];
+  }
+}
+
+module.exports = { SchemaMigrator };
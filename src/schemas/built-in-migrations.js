@@ -0,0 +1,45 @@
+/**
+ * Migrations for the built-in schemas
+ *
+ * Version 2.0.0 of the financial statement schema stores its figures
+ * as numeric amounts rather than the text as written. The migrator is
+ * keyed on the schema's stable id, so it brings forward register
+ * entries extracted with 1.0.0 in any process:
+ *
+ *   await register.migrate(builtInMigrations.financialStatement);
+ */
+
+const { SchemaMigrator } = require('./SchemaMigrator');
+const { ValueNormalizer } = require('../ValueNormalizer');
+const { financialStatement } = require('./built-in');
+
+const normalizer = new ValueNormalizer();
+
+/**
+ * Read a stored figure as an amount, keeping it when it is empty or
+ * unreadable
+ */
+function toAmount(value) {
+  if (value == null) return value;
+  try {
+    return normalizer.parseAmount(value).amount;
+  } catch {
+    return value;
+  }
+}
+
+const builtInMigrations = {
+  financialStatement: new SchemaMigrator({
+    schemaId: financialStatement.id,
+    migrations: [{
+      from: '1.0.0',
+      to: '2.0.0',
+      description: 'Currency figures as numeric amounts',
+      steps: financialStatement.fields
+        .filter(field => field.format === 'currency' && field.type === 'number')
+        .map(field => ({ type: 'transform', field: field.name, transform: toAmount }))
+    }]
+  })
+};
+
+module.exports = { builtInMigrations };
@@ -11,6 +11,7 @@ const { SchemaBuilder } = require('./SchemaBuilder');
  * For extracting rules from pension scheme documents
  */
 const pensionSchemeRule = new SchemaBuilder('pension-scheme-rule', {
+  id: 'pension-scheme-rule',
   version: '1.0.0',
   description: 'Schema for pension scheme rules and provisions'
 })
@@ -20,13 +21,14 @@ const pensionSchemeRule = new SchemaBuilder('pension-scheme-rule', {
       /(?:Rule|Section|Clause)\s*(\d+(?:\.\d+)*)/i,
       /^(\d+(?:\.\d+)*)\s/
     ])
+    .extractWith('pattern', { name: 'section-title', part: 'number' })
   
   .string('ruleTitle').required()
     .withDescription('Title or heading of the rule')
   
   .string('ruleType')
     .withDescription('Category of rule')
-    .enum(['benefit', 'eligibility', 'contribution', 'payment', 'transfer', 'death', 'governance', 'other'])
+    .oneOf(['benefit', 'eligibility', 'contribution', 'payment', 'transfer', 'death', 'governance', 'other'])
   
   .string('ruleText').required()
     .withDescription('Full text of the rule provision')
@@ -48,6 +50,7 @@ const pensionSchemeRule = new SchemaBuilder('pension-scheme-rule', {
   
   .array('definitions')
     .withDescription('Key terms defined in this rule')
+    .inSection(/definitions|interpretation/i)
   
   .array('references')
     .withDescription('References to other rules or legislation')
@@ -71,11 +74,12 @@ const pensionSchemeRule = new SchemaBuilder('pension-scheme-rule', {
  * For extracting key information from investment DD documents
  */
 const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
+  id: 'due-diligence-document',
   version: '1.0.0',
   description: 'Schema for investment due diligence documents'
 })
   .string('documentType').required()
-    .enum(['information-memorandum', 'cim', 'teaser', 'financial-statements', 'legal-dd', 'commercial-dd', 'technical-dd'])
+    .oneOf(['information-memorandum', 'cim', 'teaser', 'financial-statements', 'legal-dd', 'commercial-dd', 'technical-dd'])
   
   .string('companyName').required()
     .withDescription('Name of the target company')
@@ -93,10 +97,12 @@ const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
   .currency('revenue')
     .withDescription('Annual revenue')
     .patterns([/revenue[:\s]+[\$£€]?([\d,]+)/i])
+    .extractWith('pattern', 'table-cell', 'llm')
   
   .currency('ebitda')
     .withDescription('EBITDA')
     .patterns([/ebitda[:\s]+[\$£€]?([\d,]+)/i])
+    .extractWith('pattern', 'table-cell', 'llm')
   
   .number('revenueGrowth')
     .withDescription('Revenue growth rate (%)')
@@ -112,7 +118,7 @@ const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
   
   // Deal structure
   .string('transactionType')
-    .enum(['acquisition', 'merger', 'buyout', 'growth-equity', 'refinancing', 'recapitalization'])
+    .oneOf(['acquisition', 'merger', 'buyout', 'growth-equity', 'refinancing', 'recapitalization'])
   
   .currency('considerationAmount')
     .withDescription('Deal consideration/price')
@@ -123,6 +129,7 @@ const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
   // Risk factors
   .array('keyRisks')
     .withDescription('Identified risk factors')
+    .inSection(/risk/i)
   
   .array('redFlags')
     .withDescription('Potential red flags or concerns')
@@ -137,6 +144,7 @@ const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
   // Management
   .array('keyManagement')
     .withDescription('Key management personnel')
+    .inSection(/management|leadership/i)
   
   .string('managementAssessment')
     .withDescription('Assessment of management team')
@@ -158,6 +166,7 @@ const dueDiligenceDocument = new SchemaBuilder('due-diligence-document', {
  * For extracting ESG data from corporate reports
  */
 const esgReport = new SchemaBuilder('esg-report', {
+  id: 'esg-report',
   version: '1.0.0',
   description: 'Schema for ESG/sustainability reports'
 })
@@ -247,6 +256,7 @@ const esgReport = new SchemaBuilder('esg-report', {
  * For extracting compliance requirements from regulatory documents
  */
 const regulatoryCompliance = new SchemaBuilder('regulatory-compliance', {
+  id: 'regulatory-compliance',
   version: '1.0.0',
   description: 'Schema for regulatory compliance requirements'
 })
@@ -260,16 +270,17 @@ const regulatoryCompliance = new SchemaBuilder('regulatory-compliance', {
       /Section\s+(\d+(?:\.\d+)?)/i,
       /Regulation\s+(\d+)/i
     ])
+    .extractWith('pattern', 'llm')
   
   .string('jurisdiction')
     .withDescription('Applicable jurisdiction')
-    .enum(['UK', 'EU', 'US', 'International'])
+    .oneOf(['UK', 'EU', 'US', 'International'])
   
   .string('regulator')
     .withDescription('Regulatory body (FCA, PRA, SEC, etc.)')
   
   .string('obligationType')
-    .enum(['requirement', 'prohibition', 'guidance', 'recommendation'])
+    .oneOf(['requirement', 'prohibition', 'guidance', 'recommendation'])
   
   .string('obligationText').required()
     .withDescription('Full text of the obligation')
@@ -288,9 +299,11 @@ const regulatoryCompliance = new SchemaBuilder('regulatory-compliance', {
   
   .array('exemptions')
     .withDescription('Exemptions or exceptions')
+    .inSection(/exemption|exception/i)
   
   .string('penaltyInfo')
     .withDescription('Penalties for non-compliance')
+    .inSection(/penalt|sanction|enforcement/i)
   
   .array('relatedRegulations')
     .withDescription('Related regulatory requirements')
@@ -308,6 +321,7 @@ const regulatoryCompliance = new SchemaBuilder('regulatory-compliance', {
  * For extracting clauses from legal contracts
  */
 const contractClause = new SchemaBuilder('contract-clause', {
+  id: 'contract-clause',
   version: '1.0.0',
   description: 'Schema for contract clauses and provisions'
 })
@@ -316,7 +330,7 @@ const contractClause = new SchemaBuilder('contract-clause', {
   .string('clauseTitle').required()
   
   .string('clauseType')
-    .enum([
+    .oneOf([
       'definitions', 'term', 'payment', 'liability', 'indemnity',
       'confidentiality', 'termination', 'intellectual-property',
       'warranties', 'representations', 'force-majeure', 'dispute-resolution',
@@ -339,12 +353,13 @@ const contractClause = new SchemaBuilder('contract-clause', {
   
   .array('definitions')
     .withDescription('Terms defined in this clause')
+    .inSection(/definitions|interpretation/i)
   
   .array('crossReferences')
     .withDescription('References to other clauses')
   
   .string('riskLevel')
-    .enum(['low', 'medium', 'high', 'critical'])
+    .oneOf(['low', 'medium', 'high', 'critical'])
   
   .string('negotiationNotes')
     .withDescription('Notes on typical negotiation points')
@@ -356,13 +371,14 @@ const contractClause = new SchemaBuilder('contract-clause', {
  * For extracting data from financial statements
  */
 const financialStatement = new SchemaBuilder('financial-statement', {
-  version: '1.0.0',
+  id: 'financial-statement',
+  version: '2.0.0',
   description: 'Schema for financial statement data'
 })
   .string('companyName').required()
   
   .string('statementType').required()
-    .enum(['income-statement', 'balance-sheet', 'cash-flow', 'notes'])
+    .oneOf(['income-statement', 'balance-sheet', 'cash-flow', 'notes'])
   
   .string('period').required()
     .withDescription('Reporting period (e.g., "Year ended 31 Dec 2024")')
@@ -372,44 +388,51 @@ const financialStatement = new SchemaBuilder('financial-statement', {
   
   .string('units')
     .withDescription('Units (thousands, millions, etc.)')
-    .enum(['units', 'thousands', 'millions', 'billions'])
+    .oneOf(['units', 'thousands', 'millions', 'billions'])
   
   .boolean('audited')
   
   .string('auditor')
   
   // Income statement
-  .currency('revenue')
-  .currency('costOfSales')
-  .currency('grossProfit')
-  .currency('operatingExpenses')
-  .currency('operatingProfit')
-  .currency('interestExpense')
-  .currency('profitBeforeTax')
-  .currency('taxExpense')
-  .currency('netProfit')
+  .currency('revenue', { amount: true })
+  .currency('costOfSales', { amount: true })
+  .currency('grossProfit', { amount: true })
+  .currency('operatingExpenses', { amount: true })
+  .currency('operatingProfit', { amount: true })
+  .currency('interestExpense', { amount: true })
+  .currency('profitBeforeTax', { amount: true })
+  .currency('taxExpense', { amount: true })
+  .currency('netProfit', { amount: true })
   
   // Balance sheet
-  .currency('totalAssets')
-  .currency('currentAssets')
-  .currency('nonCurrentAssets')
-  .currency('totalLiabilities')
-  .currency('currentLiabilities')
-  .currency('nonCurrentLiabilities')
-  .currency('shareholdersEquity')
+  .currency('totalAssets', { amount: true })
+  .currency('currentAssets', { amount: true })
+  .currency('nonCurrentAssets', { amount: true })
+  .currency('totalLiabilities', { amount: true })
+  .currency('currentLiabilities', { amount: true })
+  .currency('nonCurrentLiabilities', { amount: true })
+  .currency('shareholdersEquity', { amount: true })
   
   // Cash flow
-  .currency('operatingCashFlow')
-  .currency('investingCashFlow')
-  .currency('financingCashFlow')
-  .currency('netCashFlow')
-  
-  // Ratios
-  .number('currentRatio')
-  .number('debtToEquity')
-  .number('returnOnEquity')
-  .number('grossMargin')
-  .number('netMargin')
+  .currency('operatingCashFlow', { amount: true })
+  .currency('investingCashFlow', { amount: true })
+  .currency('financingCashFlow', { amount: true })
+  .currency('netCashFlow', { amount: true })
+  
+  // Ratios, computed from the figures above and reconciled with any
+  // ratio the statement states
+  .computed('currentRatio', 'currentAssets / currentLiabilities', { decimals: 2, extractStated: true })
+  .computed('debtToEquity', 'totalLiabilities / shareholdersEquity', { decimals: 2, extractStated: true })
+  .computed('returnOnEquity', 'netProfit / shareholdersEquity * 100', {
+    format: 'percentage', decimals: 1, tolerance: 0.1, extractStated: true
+  })
+  .computed('grossMargin', 'grossProfit / revenue * 100', {
+    format: 'percentage', decimals: 1, tolerance: 0.1, extractStated: true
+  })
+  .computed('netMargin', 'netProfit / revenue * 100', {
+    format: 'percentage', decimals: 1, tolerance: 0.1, extractStated: true
+  })
   
   .build();
 
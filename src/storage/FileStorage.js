@@ -45,9 +45,10 @@ class FileStorage {
     return false;
   }
 
-  async list() {
+  async list(prefix) {
+    const safePrefix = prefix ? prefix.replace(/[^a-zA-Z0-9-_]/g, '_') : '';
     const files = fs.readdirSync(this.basePath)
-      .filter(f => f.endsWith(this.extension));
+      .filter(f => f.endsWith(this.extension) && f.startsWith(safePrefix));
     
     return Promise.all(files.map(async f => {
       const content = fs.readFileSync(path.join(this.basePath, f), 'utf-8');
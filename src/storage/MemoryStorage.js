@@ -21,8 +21,10 @@ class MemoryStorage {
     return this.data.delete(key);
   }
 
-  async list() {
-    return Array.from(this.data.values());
+  async list(prefix) {
+    return Array.from(this.data.entries())
+      .filter(([key]) => !prefix || key.startsWith(prefix))
+      .map(([, value]) => value);
   }
 
   async clear() {
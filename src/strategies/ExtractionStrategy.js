@@ -0,0 +1,90 @@
+/**
+ * ExtractionStrategy - Base class for field extraction strategies
+ *
+ * A strategy reads one field's value out of a document's chunks and
+ * returns a field result:
+ *
+ *   { value, confidence, citations, normalization? }
+ *
+ * or a null value when it finds nothing, so the next strategy in the
+ * field's chain gets a turn. Any object with a `name` and an
+ * `extract(field, chunks, run)` method can be registered with
+ * SchemaExtractor.registerStrategy().
+ *
+ * `run` carries `{ extractor, schema, options, context, source,
+ * strategyOptions }`, where `strategyOptions` are the options given with
+ * the strategy in the field's chain.
+ */
+
+class ExtractionStrategy {
+  constructor(options = {}) {
+    this.name = options.name || 'custom';
+  }
+
+  /**
+   * Extract a field. Must be implemented by strategies.
+   *
+   * @param {Object} field - Field definition
+   * @param {Array} chunks - Chunks to search (already scoped to the field's sections)
+   * @param {Object} run - Extraction run (see above)
+   */
+  async extract(field, chunks, run) {
+    throw new Error(`${this.constructor.name} must implement extract()`);
+  }
+
+  /**
+   * Build a result from raw text found in a chunk, normalised to the
+   * field type. Returns null when the text cannot be read as the type.
+   */
+  _found(field, raw, location, confidence, run) {
+    let normalized;
+    try {
+      normalized = run.extractor._normalizeFieldValue(raw, field, location.text);
+    } catch {
+      return null;
+    }
+
+    return {
+      value: normalized.value,
+      confidence,
+      citations: [{ ...location, confidence }],
+      normalization: normalized.normalization
+    };
+  }
+
+  /**
+   * Citation location of `length` characters at `index` in a chunk
+   */
+  _locate(chunk, index, length) {
+    return {
+      text: chunk.text.slice(index, index + length),
+      startOffset: chunk.startOffset + index,
+      endOffset: chunk.startOffset + index + length,
+      chunkIndex: chunk.index
+    };
+  }
+
+  /**
+   * Human-readable label of a field name ('ruleNumber' -> 'rule number')
+   */
+  _labelOf(field) {
+    return String(field.name || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/[_-]+/g, ' ')
+      .toLowerCase();
+  }
+
+  /**
+   * Build a case-insensitive regex source for a label or RegExp, letting
+   * any run of whitespace match any other
+   */
+  _termSource(term) {
+    if (term instanceof RegExp) return term.source;
+    return String(term)
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s+');
+  }
+}
+
+module.exports = { ExtractionStrategy };
@@ -0,0 +1,38 @@
+/**
+ * FunctionStrategy - Custom extraction function
+ *
+ * Wraps `fn(field, chunks, run)` as a strategy. The function may return
+ * a full field result (`{ value, confidence, citations }`) or a bare
+ * value, which is normalised to the field type with full confidence.
+ * Returning null or undefined passes the field to the next strategy.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class FunctionStrategy extends ExtractionStrategy {
+  /**
+   * @param {Function} fn - `(field, chunks, run) => result | value`
+   * @param {Object} [options]
+   */
+  constructor(fn, options = {}) {
+    super({ name: fn.name || 'custom', ...options });
+    this.fn = fn;
+  }
+
+  /**
+   * Extract the field with the function
+   */
+  async extract(field, chunks, run) {
+    const result = await this.fn(field, chunks, run);
+    if (result === null || result === undefined) return null;
+
+    if (typeof result === 'object' && !Array.isArray(result) && 'value' in result) {
+      return { confidence: 1, citations: [], ...result };
+    }
+
+    const { value, normalization } = run.extractor._normalizeFieldValue(result, field, '');
+    return { value, confidence: 1, citations: [], normalization };
+  }
+}
+
+module.exports = { FunctionStrategy };
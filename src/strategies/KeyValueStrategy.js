@@ -0,0 +1,43 @@
+/**
+ * KeyValueStrategy - "Key: value" line matching
+ *
+ * Finds lines such as `Scheme name: Acme Pension Plan` or
+ * `Effective date - 1 April 2024` whose key matches the field, and
+ * returns the rest of the line. Keys default to the field name as words
+ * ('effectiveDate' -> 'effective date'); pass `keys` (strings or
+ * RegExps) to match other labels.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class KeyValueStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'key-value', ...options });
+  }
+
+  /**
+   * Extract the value of the first matching key line in the chunks
+   */
+  async extract(field, chunks, run) {
+    const { keys = [this._labelOf(field)], confidence = 0.9 } = run.strategyOptions;
+    const keySource = keys.map(key => this._termSource(key)).join('|');
+    // Optional bullet, the key, then ':' '=' or a spaced dash before the value
+    const regex = new RegExp(
+      `^[ \\t]*(?:[-*•][ \\t]*)?(?:${keySource})[ \\t]*(?::|=|[-–—](?=\\s))[ \\t]*(\\S[^\\r\\n]*?)[ \\t]*\\r?$`,
+      'gimd'
+    );
+
+    for (const chunk of chunks) {
+      for (const match of chunk.text.matchAll(regex)) {
+        const [start, end] = match.indices[0];
+        const location = this._locate(chunk, start, end - start);
+        const result = this._found(field, match[1], location, confidence, run);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = { KeyValueStrategy };
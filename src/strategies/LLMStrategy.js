@@ -0,0 +1,30 @@
+/**
+ * LLMStrategy - Extraction by the extractor's LLM provider
+ *
+ * Asks the provider for the field, with the usual structured output,
+ * repair, retries, caching and citation grounding. Suits narrative
+ * fields that patterns cannot capture.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class LLMStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'llm', ...options });
+  }
+
+  /**
+   * Extract the field with the LLM provider
+   */
+  async extract(field, chunks, run) {
+    if (!run.extractor.llmProvider) {
+      const error = new Error(`Field "${field.name}" uses the llm strategy but no LLM provider is set`);
+      error.code = 'NO_LLM_PROVIDER';
+      throw error;
+    }
+
+    return run.extractor._extractFieldWithLLM(field, chunks, run.schema, run.options, run.context);
+  }
+}
+
+module.exports = { LLMStrategy };
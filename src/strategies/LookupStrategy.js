@@ -0,0 +1,83 @@
+/**
+ * LookupStrategy - Lookup-table matching
+ *
+ * Finds the first term of a lookup table mentioned in the text and
+ * returns the value the table maps it to, so free-text mentions resolve
+ * to canonical values:
+ *
+ *   { name: 'lookup', table: { 'England and Wales': 'EW', 'Scotland': 'SC' } }
+ *
+ * `table` is an object of term -> value, an array of terms (each its own
+ * value), or an array of `{ match, value }` entries where `match` is a
+ * term, a RegExp or an array of either. Without a value, the matched
+ * text is returned.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class LookupStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'lookup', ...options });
+  }
+
+  /**
+   * Extract the value of the earliest table term found in the chunks
+   */
+  async extract(field, chunks, run) {
+    const { table, caseSensitive = false, confidence = 0.9 } = run.strategyOptions;
+    if (!table) {
+      throw new Error(`Field "${field.name}" uses the lookup strategy without a table`);
+    }
+
+    const entries = this._entriesOf(table, caseSensitive);
+
+    for (const chunk of chunks) {
+      let best = null;
+      for (const entry of entries) {
+        entry.regex.lastIndex = 0;
+        const match = entry.regex.exec(chunk.text);
+        if (!match) continue;
+        // Earliest mention wins; the longer term breaks a tie
+        if (!best || match.index < best.match.index ||
+            (match.index === best.match.index && match[0].length > best.match[0].length)) {
+          best = { entry, match };
+        }
+      }
+
+      if (best) {
+        const location = this._locate(chunk, best.match.index, best.match[0].length);
+        const result = this._found(field, best.entry.value ?? best.match[0], location, confidence, run);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalise a table into `{ regex, value }` entries
+   */
+  _entriesOf(table, caseSensitive) {
+    let entries;
+    if (Array.isArray(table)) {
+      entries = table.map(entry =>
+        entry && typeof entry === 'object' && !(entry instanceof RegExp)
+          ? entry
+          : { match: entry, value: entry instanceof RegExp ? undefined : entry }
+      );
+    } else {
+      entries = Object.entries(table).map(([match, value]) => ({ match, value }));
+    }
+
+    const flags = caseSensitive ? '' : 'i';
+    return entries.map(entry => {
+      const terms = Array.isArray(entry.match) ? entry.match : [entry.match];
+      const source = terms
+        .map(term => term instanceof RegExp ? `(?:${term.source})` : `\\b${this._termSource(term)}\\b`)
+        .join('|');
+      return { regex: new RegExp(source, flags), value: entry.value };
+    });
+  }
+}
+
+module.exports = { LookupStrategy };
@@ -0,0 +1,28 @@
+/**
+ * PatternStrategy - Regex pattern matching
+ *
+ * Runs the field's extraction patterns (or the `patterns` given with the
+ * strategy) over the chunks. Deterministic and free, so it suits fields
+ * with a fixed shape such as rule numbers and reference codes.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class PatternStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'pattern', ...options });
+  }
+
+  /**
+   * Extract the field by its patterns; a null value when none matches
+   */
+  async extract(field, chunks, run) {
+    const patterns = run.strategyOptions.patterns;
+    const target = patterns ? { ...field, patterns } : field;
+    const result = run.extractor._extractFieldWithPatternStrategy(target, chunks, run.options);
+
+    return result.confidence > 0 ? result : { ...result, value: null };
+  }
+}
+
+module.exports = { PatternStrategy };
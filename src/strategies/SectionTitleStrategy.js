@@ -0,0 +1,68 @@
+/**
+ * SectionTitleStrategy - Section heading matching
+ *
+ * Reads the value from the first section heading in the chunks,
+ * optionally limited to headings matching section `targets` (defaults to
+ * the field's inSection() targets):
+ *
+ *   { name: 'section-title', match: /^Rule\s+(\d+)/i }   // first capture group
+ *   { name: 'section-title', part: 'number' }            // '12.3' of '12.3 Transfers'
+ *
+ * Without `match`, `part` picks the heading 'title' (default) or its
+ * section 'number'.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class SectionTitleStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'section-title', ...options });
+  }
+
+  /**
+   * Extract the field from the first matching heading in the chunks
+   */
+  async extract(field, chunks, run) {
+    const { match, part = 'title', confidence = 0.9 } = run.strategyOptions;
+    const targets = run.strategyOptions.targets || field.sections;
+    const source = run.source;
+    const sections = targets?.length
+      ? source.findSections(targets).map(m => m.section)
+      : source.sections;
+
+    for (const section of sections) {
+      const chunk = chunks.find(c => c.startOffset <= section.startOffset && section.startOffset < c.endOffset);
+      if (!chunk) continue;
+
+      let raw;
+      if (match) {
+        match.lastIndex = 0;
+        const found = match.exec(section.title);
+        if (!found) continue;
+        raw = (found[1] ?? found[0]).trim();
+      } else {
+        raw = part === 'number' ? section.number : section.title;
+        if (!raw) continue;
+      }
+
+      const location = this._headingLocation(chunk, section, source.text);
+      const result = this._found(field, raw, location, confidence, run);
+      if (result) return result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Citation location of a section's heading line
+   */
+  _headingLocation(chunk, section, text) {
+    const rest = text.slice(section.startOffset, chunk.endOffset);
+    const lineEnd = rest.search(/[\r\n\f]/);
+    const line = (lineEnd === -1 ? rest : rest.slice(0, lineEnd)).trimEnd();
+
+    return this._locate(chunk, section.startOffset - chunk.startOffset, line.length);
+  }
+}
+
+module.exports = { SectionTitleStrategy };
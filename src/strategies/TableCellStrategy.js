@@ -0,0 +1,135 @@
+/**
+ * TableCellStrategy - Table cell lookup
+ *
+ * Finds plain-text tables in the chunks (pipe-delimited markdown rows,
+ * tab-separated rows, or two or more lines of columns aligned with
+ * runs of spaces) and reads the cell where a row meets a column:
+ *
+ *   { name: 'table-cell', row: 'Employer rate', column: '2024' }
+ *
+ * `row` matches the first cell of a row and defaults to the field name
+ * as words. `column` is a header cell label (or RegExp) or a 0-based
+ * column index, and defaults to the cell after the row label.
+ */
+
+const { ExtractionStrategy } = require('./ExtractionStrategy');
+
+class TableCellStrategy extends ExtractionStrategy {
+  constructor(options = {}) {
+    super({ name: 'table-cell', ...options });
+  }
+
+  /**
+   * Extract the first matching cell in the chunks
+   */
+  async extract(field, chunks, run) {
+    const { row = this._labelOf(field), column = 1, confidence = 0.85 } = run.strategyOptions;
+    const rowRegex = new RegExp(`^(?:${this._termSource(row)})\\s*:?$`, 'i');
+    const columnRegex = typeof column === 'number'
+      ? null
+      : new RegExp(`^(?:${this._termSource(column)})$`, 'i');
+
+    for (const chunk of chunks) {
+      for (const table of this._tablesOf(chunk.text)) {
+        const columnIndex = columnRegex
+          ? table[0].findIndex(cell => columnRegex.test(cell.text))
+          : column;
+        if (columnIndex < 0) continue;
+
+        for (const cells of columnRegex ? table.slice(1) : table) {
+          const cell = cells[columnIndex];
+          if (!cell?.text || !rowRegex.test(cells[0].text)) continue;
+
+          const location = this._locate(chunk, cell.index, cell.text.length);
+          const result = this._found(field, cell.text, location, confidence, run);
+          if (result) return result;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Tables in a text, as arrays of rows of `{ text, index }` cells
+   *
+   * Pipe- and tab-delimited rows form a table on their own; rows aligned
+   * with spaces only when two or more adjacent lines share a column
+   * layout, so prose with a double space is not read as a table.
+   */
+  _tablesOf(text) {
+    const tables = [];
+    let current = null;
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      const row = this._cellsOf(line, offset);
+      offset += line.length + 1;
+
+      // Header separators (|---|:--:| or ----  ----) belong to the table
+      if (row && current && row.cells.every(cell => /^:?-{2,}:?$/.test(cell.text))) continue;
+
+      const previous = current?.rows[current.rows.length - 1];
+      const continues = row && current && row.aligned === current.aligned &&
+        (!row.aligned || this._sameLayout(previous, row.cells));
+      if (!continues) {
+        current = row ? { aligned: row.aligned, rows: [] } : null;
+        if (current) tables.push(current);
+      }
+      if (row) current.rows.push(row.cells);
+    }
+
+    return tables
+      .filter(table => !table.aligned || table.rows.length >= 2)
+      .map(table => table.rows);
+  }
+
+  /**
+   * Cells of one line with their offsets in the text, or null when the
+   * line cannot be a table row
+   *
+   * Returns `{ cells, aligned }`; `aligned` rows are split on runs of two
+   * or more spaces and their cells carry their `column` in the line.
+   */
+  _cellsOf(line, offset) {
+    const row = line.replace(/\r$/, '');
+    const cells = [];
+    const aligned = !row.includes('|') && !row.includes('\t');
+
+    if (!aligned) {
+      const delimiter = row.includes('|') ? '|' : '\t';
+      const parts = row.split(delimiter);
+      let position = 0;
+      parts.forEach((part, i) => {
+        const start = position;
+        position += part.length + 1;
+        // Outer pipes of a markdown row delimit nothing
+        if (delimiter === '|' && part.trim() === '' && (i === 0 || i === parts.length - 1)) return;
+        const lead = part.length - part.trimStart().length;
+        cells.push({ text: part.trim(), index: offset + start + lead });
+      });
+    } else {
+      for (const match of row.matchAll(/\S+(?: \S+)*/g)) {
+        cells.push({ text: match[0], index: offset + match.index, column: match.index });
+      }
+    }
+
+    return cells.length >= 2 ? { cells, aligned } : null;
+  }
+
+  /**
+   * Whether two space-aligned rows have the same number of cells, each
+   * left-, right- or centre-aligned with the cell above
+   */
+  _sameLayout(above, cells) {
+    return above.length === cells.length && cells.every((cell, i) => {
+      const start = cell.column;
+      const end = cell.column + cell.text.length;
+      const aboveStart = above[i].column;
+      const aboveEnd = above[i].column + above[i].text.length;
+      return start === aboveStart || end === aboveEnd || Math.abs(start + end - aboveStart - aboveEnd) <= 2;
+    });
+  }
+}
+
+module.exports = { TableCellStrategy };
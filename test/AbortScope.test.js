@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { CancellationError, TimeoutError, SchemaExtractor, SchemaBuilder } = require('../src');
+const { AbortScope } = require('../src/AbortScope');
+
+describe('AbortScope', () => {
+  it('should abort when its parent aborts, with a CancellationError', () => {
+    const parent = new AbortController();
+    const scope = new AbortScope(parent.signal);
+    parent.abort();
+
+    assert.strictEqual(scope.signal.aborted, true);
+    assert.ok(scope.signal.reason instanceof CancellationError);
+    scope.dispose();
+  });
+
+  it('should start aborted under an aborted parent', () => {
+    const parent = new AbortController();
+    parent.abort(new Error('user left'));
+    const scope = new AbortScope(parent.signal);
+
+    assert.throws(() => AbortScope.throwIfAborted(scope.signal), { code: 'CANCELLED', message: 'Extraction cancelled: user left' });
+  });
+
+  it('should abort with a TimeoutError after timeoutMs', async () => {
+    const scope = new AbortScope(null, { timeoutMs: 10, scope: 'field', label: 'Field "age"' });
+    await AbortScope.sleep(50).then(() => assert.ok(scope.signal.aborted));
+
+    const reason = scope.signal.reason;
+    assert.ok(reason instanceof TimeoutError);
+    assert.strictEqual(reason.scope, 'field');
+    assert.strictEqual(reason.message, 'Field "age" timed out after 10ms');
+  });
+
+  it('should stop the timer and leave the parent alone once disposed', async () => {
+    const parent = new AbortController();
+    const scope = new AbortScope(parent.signal, { timeoutMs: 10 });
+    scope.dispose();
+    parent.abort();
+    await AbortScope.sleep(30);
+
+    assert.strictEqual(scope.signal.aborted, false);
+  });
+
+  it('should reject sleep and race as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const sleeping = AbortScope.sleep(10000, controller.signal);
+    const racing = AbortScope.race(new Promise(() => {}), controller.signal);
+    controller.abort();
+
+    await assert.rejects(sleeping, { code: 'CANCELLED' });
+    await assert.rejects(racing, { code: 'CANCELLED' });
+  });
+});
+
+describe('SchemaExtractor cancellation', () => {
+  const schema = new SchemaBuilder('cancel').integer('age').build();
+
+  it('should abandon a provider that ignores the signal', async () => {
+    const controller = new AbortController();
+    const extractor = new SchemaExtractor({ schema, llmProvider: () => new Promise(() => {}) });
+    const running = extractor.extract('Age 65', { mode: 'llm', signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(running, error => error instanceof CancellationError);
+  });
+
+  it('should time out a document', async () => {
+    const extractor = new SchemaExtractor({ schema, llmProvider: () => new Promise(() => {}) });
+    await assert.rejects(
+      extractor.extract('Age 65', { mode: 'llm', timeoutMs: 20 }),
+      { code: 'TIMED_OUT', scope: 'document' }
+    );
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { BatchJob, MemoryStorage } = require('../src');
+
+describe('BatchJob', () => {
+  it('should process every document and skip completed ones when resumed', async () => {
+    const storage = new MemoryStorage();
+    const seen = [];
+    const processor = async document => { seen.push(document.id); return { ok: true }; };
+    const documents = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    const first = await new BatchJob({ processor, storage, jobId: 'job-1' }).run(documents);
+    assert.strictEqual(first.state, 'completed');
+    assert.deepStrictEqual(first.counts, { pending: 0, processing: 0, completed: 3, failed: 0 });
+
+    const second = await new BatchJob({ processor, storage, jobId: 'job-1' }).run(documents);
+    assert.strictEqual(second.processed, 0);
+    assert.strictEqual(second.skipped, 3);
+    assert.strictEqual(second.runs, 2);
+    assert.deepStrictEqual(seen.sort(), ['a', 'b', 'c']);
+  });
+
+  it('should record failures and re-run only them with retryFailed()', async () => {
+    let failing = true;
+    const processor = async document => {
+      if (document.id === 'b' && failing) throw Object.assign(new Error('boom'), { code: 'BOOM' });
+      return document.id;
+    };
+    const job = new BatchJob({ processor, jobId: 'job-2' });
+    const documents = [{ id: 'a' }, { id: 'b' }];
+
+    const summary = await job.run(documents);
+    assert.strictEqual(summary.state, 'completed_with_errors');
+    const [failed] = await job.getDocuments({ status: 'failed' });
+    assert.strictEqual(failed.documentId, 'b');
+    assert.strictEqual(failed.errorCode, 'BOOM');
+
+    failing = false;
+    const retried = await job.retryFailed(documents);
+    assert.strictEqual(retried.processed, 1);
+    assert.strictEqual(retried.state, 'completed');
+    assert.deepStrictEqual((await job.getResults()).map(r => r.result), ['a', 'b']);
+  });
+
+  it('should identify documents without an id by their content, not their position', async () => {
+    const storage = new MemoryStorage();
+    const seen = [];
+    const processor = async text => { seen.push(text); return text.length; };
+
+    await new BatchJob({ processor, storage, jobId: 'job-3' }).run(['first', 'second']);
+    const resumed = await new BatchJob({ processor, storage, jobId: 'job-3' }).run(['third', 'second', 'first']);
+
+    assert.strictEqual(resumed.processed, 1);
+    assert.deepStrictEqual(seen, ['first', 'second', 'third']);
+    const ids = (await new BatchJob({ processor, storage, jobId: 'job-3' }).getDocuments()).map(d => d.documentId);
+    assert.ok(ids.every(id => /^[0-9a-f]{16}$/.test(id)));
+  });
+
+  it('should refuse duplicate ids before writing the job record', async () => {
+    const storage = new MemoryStorage();
+    const job = new BatchJob({ processor: async () => null, storage, jobId: 'job-4' });
+
+    await assert.rejects(job.run([{ id: 'x' }, { id: 'x' }]), /Duplicate document id/);
+    assert.strictEqual(await job.getStatus(), null);
+    assert.strictEqual(storage.size, 0);
+    assert.strictEqual(job.running, false);
+  });
+
+  it('should only read its own checkpoints from storage', async () => {
+    const storage = new MemoryStorage();
+    const job = new BatchJob({ processor: async () => null, storage, jobId: 'job-5' });
+    await job.run([{ id: 'a' }]);
+    await new BatchJob({ processor: async () => null, storage, jobId: 'job-6' }).run([{ id: 'b' }]);
+
+    const listed = [];
+    const list = storage.list.bind(storage);
+    storage.list = prefix => { listed.push(prefix); return list(prefix); };
+
+    assert.deepStrictEqual((await job.getDocuments()).map(d => d.documentId), ['a']);
+    assert.deepStrictEqual(listed, ['batch-job-job-5-doc-']);
+  });
+
+  it('should return the final update time', async () => {
+    const job = new BatchJob({ processor: async () => new Promise(resolve => setTimeout(resolve, 5)), jobId: 'job-7' });
+    const summary = await job.run([{ id: 'a' }]);
+    const status = await job.getStatus();
+
+    assert.strictEqual(summary.updatedAt, status.updatedAt);
+    assert.ok(summary.updatedAt > status.createdAt);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ChunkRanker } = require('../src/retrieval/ChunkRanker');
+
+const chunk = (index, text) => ({ index, text });
+
+describe('ChunkRanker', () => {
+  describe('tokenize()', () => {
+    it('should lower-case and drop stop words and single characters', () => {
+      assert.deepStrictEqual(ChunkRanker.tokenize('The Normal Pension Age is 65 a'), ['normal', 'pension', 'age', '65']);
+    });
+
+    it('should keep letters of any script as one term', () => {
+      assert.deepStrictEqual(
+        ChunkRanker.tokenize('Überschussbeteiligung, prévoyance; Пенсия 2024'),
+        ['überschussbeteiligung', 'prévoyance', 'пенсия', '2024']
+      );
+    });
+
+    it('should treat decomposed accents like precomposed ones', () => {
+      assert.deepStrictEqual(ChunkRanker.tokenize('pre\u0301voyance'), ChunkRanker.tokenize('pr\u00e9voyance'));
+    });
+  });
+
+  describe('fieldQueryTerms()', () => {
+    it('should split field names and read descriptions, hints and pattern words', () => {
+      const terms = ChunkRanker.fieldQueryTerms({
+        name: 'normalRetirementAge',
+        description: 'Age at retirement',
+        extractionHints: ['Pensionsalter'],
+        patterns: [/pension age is (\d+)/]
+      });
+      assert.deepStrictEqual(terms, ['normal', 'retirement', 'age', 'age', 'retirement', 'pensionsalter', 'pension', 'age']);
+    });
+  });
+
+  describe('topK()', () => {
+    it('should rank chunks with the query terms first and return them in document order', () => {
+      const ranker = new ChunkRanker([
+        chunk(0, 'Definitions and interpretation.'),
+        chunk(1, 'Die Überschussbeteiligung wird jährlich festgelegt.'),
+        chunk(2, 'The trustees meet twice a year.'),
+        chunk(3, 'Überschussbeteiligung der Versicherten.')
+      ]);
+      const top = ranker.topK(ChunkRanker.tokenize('Überschussbeteiligung'), 2);
+
+      assert.deepStrictEqual(top.map(result => result.chunk.index), [1, 3]);
+    });
+  });
+});
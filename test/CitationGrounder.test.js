@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { CitationGrounder } = require('../src');
+
+describe('CitationGrounder', () => {
+  it('should ground an exact quote with its chunk', () => {
+    const text = 'Preamble.\n\nThe normal pension age is 65.';
+    const chunks = [{ index: 0, startOffset: 0, endOffset: 9 }, { index: 1, startOffset: 11, endOffset: text.length }];
+    const citation = new CitationGrounder().ground({ text: 'pension age is 65' }, text, chunks);
+
+    assert.strictEqual(citation.matchType, 'exact');
+    assert.strictEqual(text.slice(citation.startOffset, citation.endOffset), 'pension age is 65');
+    assert.strictEqual(citation.chunkIndex, 1);
+  });
+
+  it('should ground a quote differing in case, whitespace and quotes', () => {
+    const text = 'The “Employer”   means\nAcme Ltd.';
+    const citation = new CitationGrounder().ground({ text: '"employer" means acme' }, text);
+
+    assert.strictEqual(citation.matchType, 'normalized');
+    assert.strictEqual(citation.matchedText, '“Employer”   means\nAcme');
+  });
+
+  it('should keep offsets exact after characters whose lower case is longer', () => {
+    const text = 'İSTANBUL office. The scheme is governed by English law.';
+    const citation = new CitationGrounder().ground({ text: 'the scheme is governed' }, text);
+
+    assert.strictEqual(citation.matchType, 'normalized');
+    assert.strictEqual(citation.matchedText, 'The scheme is governed');
+  });
+
+  it('should end a match after a character that lower-cases to two', () => {
+    const text = 'Registered in İZMİR, Turkey.';
+    const citation = new CitationGrounder().ground({ text: 'registered in i\u0307zmi\u0307r' }, text);
+
+    assert.strictEqual(citation.matchedText, 'Registered in İZMİR');
+  });
+
+  it('should keep astral characters whole', () => {
+    const text = 'Fund \u{1D4D0}lpha value';
+    const citation = new CitationGrounder().ground({ text: 'FUND \u{1D4D0}LPHA' }, text);
+
+    assert.strictEqual(citation.matchedText, 'Fund \u{1D4D0}lpha');
+  });
+
+  it('should fuzzy-match a lightly reworded quote', () => {
+    const text = 'Members may retire early from age 55 with the consent of the trustees.';
+    const citation = new CitationGrounder().ground({ text: 'members may retire early from age 55 with consent of trustees' }, text);
+
+    assert.strictEqual(citation.matchType, 'fuzzy');
+    assert.ok(citation.matchScore >= 0.85);
+    assert.ok(citation.matchedText.startsWith('Members may retire'));
+  });
+
+  it('should flag quotes that are not in the document', () => {
+    const citation = new CitationGrounder().ground({ text: 'a completely different sentence' }, 'The scheme rules.');
+    assert.strictEqual(citation.grounded, false);
+    assert.strictEqual(citation.hallucinated, true);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { CitationTracker, SchemaExtractor, SchemaBuilder } = require('../src');
+
+describe('CitationTracker', () => {
+  describe('resolveText()', () => {
+    it('should return the substring a citation points at', () => {
+      const tracker = new CitationTracker();
+      const citation = { startOffset: 4, endOffset: 9 };
+      assert.strictEqual(tracker.resolveText(citation, 'The quick fox'), 'quick');
+    });
+
+    it('should resolve a citation id through its registered source', () => {
+      const tracker = new CitationTracker();
+      tracker.registerSource('doc-1', { text: 'Alpha\n\n\nBeta' });
+      const id = tracker.add({ sourceDocument: 'doc-1', startOffset: 8, endOffset: 12 });
+      assert.strictEqual(tracker.resolveText(id), 'Beta');
+    });
+
+    it('should return null without offsets or known text', () => {
+      const tracker = new CitationTracker();
+      const id = tracker.add({ text: 'x' });
+      assert.strictEqual(tracker.resolveText(id), null);
+      assert.strictEqual(tracker.resolveText({ startOffset: 0, endOffset: 4 }), null);
+      assert.strictEqual(tracker.resolveText({ startOffset: 0, endOffset: 40 }, 'short'), null);
+    });
+  });
+
+  describe('with SchemaExtractor', () => {
+    const schema = new SchemaBuilder('offsets')
+      .string('employer').pattern(/Employer:\s*([^\n]+)/)
+      .integer('retirementAge').pattern(/pension age is (\d+)/)
+      .build();
+
+    it('should resolve pattern citations over irregular whitespace', async () => {
+      const text = '\n\n  Employer:   Acme Ltd\n\n\n\n\n\t The normal pension age is 65.  \r\n\n\n';
+      const extractor = new SchemaExtractor({ schema, chunkSize: 20, chunkOverlap: 10 });
+      const result = await extractor.extract(text);
+
+      assert.strictEqual(result.data.employer, 'Acme Ltd');
+      assert.strictEqual(result.data.retirementAge, 65);
+      for (const citation of result.citations) {
+        assert.strictEqual(extractor.citationTracker.resolveText(citation, text), citation.text);
+      }
+    });
+
+    it('should register the source so a citation id alone resolves', async () => {
+      const text = 'Employer: Acme Ltd\n\n\n\nThe normal pension age is 65.';
+      const extractor = new SchemaExtractor({ schema });
+      const result = await extractor.extract(text);
+
+      const citation = result.citations.find(c => c.fieldName === 'retirementAge');
+      assert.strictEqual(citation.sourceDocument, result.extractionId);
+      assert.strictEqual(extractor.citationTracker.resolveText(citation.id), 'pension age is 65');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ComputedFieldEvaluator, SchemaExtractor, SchemaBuilder } = require('../src');
+
+const computedField = (name, expression, options = {}) => ({ name, computed: { expression, ...options } });
+
+describe('ComputedFieldEvaluator', () => {
+  const evaluator = new ComputedFieldEvaluator();
+
+  describe('evaluate()', () => {
+    it('should evaluate arithmetic with precedence, functions and rounding', () => {
+      const field = computedField('margin', 'round(profit / revenue * 100, 1) + max(0, -1)');
+      assert.deepStrictEqual(evaluator.evaluate(field, { profit: 25, revenue: 300 }), {
+        value: 8.3,
+        inputs: { profit: 25, revenue: 300 }
+      });
+    });
+
+    it('should read dotted paths into objects', () => {
+      const field = computedField('total', 'fees.annual * 2');
+      assert.strictEqual(evaluator.evaluate(field, { fees: { annual: 50 } }).value, 100);
+    });
+
+    it('should be null for missing inputs and division by zero', () => {
+      const field = computedField('ratio', 'a / b');
+      assert.strictEqual(evaluator.evaluate(field, { a: 1 }).value, null);
+      assert.strictEqual(evaluator.evaluate(field, { a: 1, b: 0 }).value, null);
+    });
+
+    it('should not treat inherited properties as functions', () => {
+      assert.throws(() => evaluator.compile('constructor(1)'), /unknown function "constructor"/);
+      assert.throws(() => evaluator.compile('toString()'), /unknown function "toString"/);
+      assert.throws(() => evaluator.compile('__proto__(1)'), /unknown function/);
+    });
+
+    it('should accept extra functions', () => {
+      const custom = new ComputedFieldEvaluator({ functions: { double: value => value * 2 } });
+      assert.strictEqual(custom.evaluate(computedField('x', 'double(a)'), { a: 4 }).value, 8);
+    });
+  });
+
+  describe('order()', () => {
+    it('should order computed fields after the fields they build on', () => {
+      const fields = [
+        computedField('c', 'b * 2'),
+        computedField('b', 'a + 1'),
+        { name: 'a' }
+      ];
+      assert.deepStrictEqual(evaluator.order(fields).map(f => f.name), ['b', 'c']);
+    });
+
+    it('should report cycles and unknown fields', () => {
+      assert.throws(() => evaluator.order([computedField('a', 'b'), computedField('b', 'a')]), { code: 'INVALID_COMPUTED_FIELD' });
+      assert.throws(() => evaluator.order([computedField('a', 'missing + 1')]), { code: 'INVALID_COMPUTED_FIELD' });
+    });
+  });
+
+  describe('reconcile()', () => {
+    it('should allow an absolute or percentage tolerance', () => {
+      assert.strictEqual(evaluator.reconcile(10.005, 10).matches, true);
+      assert.strictEqual(evaluator.reconcile(10.5, 10).matches, false);
+      assert.strictEqual(evaluator.reconcile(10.5, 10, '10%').matches, true);
+    });
+  });
+});
+
+describe('computed fields in SchemaExtractor', () => {
+  it('should derive values and cite their inputs', async () => {
+    const schema = new SchemaBuilder('ratios')
+      .number('assets').pattern(/Assets:\s*([\d,]+)/)
+      .number('liabilities').pattern(/Liabilities:\s*([\d,]+)/)
+      .computed('currentRatio', 'assets / liabilities', { decimals: 2 })
+      .build();
+    const result = await new SchemaExtractor({ schema }).extract('Assets: 300\nLiabilities: 200');
+
+    assert.strictEqual(result.data.currentRatio, 1.5);
+    assert.deepStrictEqual(result.computed.currentRatio.inputs, { assets: 300, liabilities: 200 });
+    assert.deepStrictEqual(
+      result.citations.filter(c => c.fieldName === 'currentRatio').map(c => c.derivedFrom),
+      ['assets', 'liabilities']
+    );
+  });
+
+  it('should keep the extraction when a computed function throws', async () => {
+    const schema = new SchemaBuilder('broken')
+      .number('amount').pattern(/Amount:\s*(\d+)/)
+      .computed('checked', () => { throw new Error('lookup unavailable'); }, { dependsOn: ['amount'], default: 0 })
+      .build();
+    const result = await new SchemaExtractor({ schema }).extract('Amount: 12');
+
+    assert.strictEqual(result.data.amount, 12);
+    assert.strictEqual(result.data.checked, null);
+    assert.strictEqual(result.computed.checked.error, 'lookup unavailable');
+    assert.deepStrictEqual(result.warnings, [{
+      code: 'COMPUTED_FIELD_ERROR',
+      message: 'Computed field "checked" could not be evaluated: lookup unavailable',
+      field: 'checked'
+    }]);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, LLMResponseCache, MemoryStorage, MockProvider } = require('../src');
+
+const schema = new SchemaBuilder('cache').integer('age').build();
+
+/**
+ * Provider that replies from a list, one reply per call
+ */
+function scriptedProvider(replies) {
+  const provider = new MockProvider();
+  provider.complete = async () => {
+    provider.calls.push(null);
+    return { content: replies.shift(), usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+  };
+  return provider;
+}
+
+describe('LLMResponseCache with SchemaExtractor', () => {
+  it('should serve a parsed reply from the cache on the next run', async () => {
+    const cache = new LLMResponseCache({ storage: new MemoryStorage() });
+    const provider = scriptedProvider(['{"value": 65, "confidence": 0.9}']);
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, cache });
+
+    await extractor.extract('Age 65', { mode: 'llm' });
+    const second = await extractor.extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(second.data.age, 65);
+    assert.strictEqual(provider.calls.length, 1);
+    assert.strictEqual(cache.getStats().writes, 1);
+  });
+
+  it('should not cache a reply that fails to parse', async () => {
+    const storage = new MemoryStorage();
+    const cache = new LLMResponseCache({ storage });
+    const provider = scriptedProvider(['not json', '{"value": 65, "confidence": 0.9}']);
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, cache });
+
+    const result = await extractor.extract('Age 65', { mode: 'llm', maxRepairAttempts: 1 });
+
+    assert.strictEqual(result.data.age, 65);
+    assert.strictEqual(cache.getStats().writes, 1);
+    assert.ok((await storage.list()).every(entry => entry.content !== 'not json'));
+  });
+
+  it('should evict a cached reply that no longer parses', async () => {
+    const storage = new MemoryStorage();
+    const cache = new LLMResponseCache({ storage });
+    const provider = scriptedProvider(['{"value": 65, "confidence": 0.9}', '{"value": 66, "confidence": 0.9}']);
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, cache });
+    await extractor.extract('Age 65', { mode: 'llm' });
+
+    const [entry] = await storage.list();
+    await cache.set(entry.key, { ...entry, content: '{"value": "sixty"}' });
+    const result = await extractor.extract('Age 65', { mode: 'llm', maxRepairAttempts: 0 });
+
+    assert.ok(result.errors?.some(error => error.code === 'INVALID_LLM_RESPONSE'));
+    assert.strictEqual(await cache.get(entry.key), null);
+  });
+
+  it('should not share replies between providers without an identity', async () => {
+    const cache = new LLMResponseCache({ storage: new MemoryStorage() });
+    const first = new SchemaExtractor({ schema, cache, llmProvider: async () => '{"value": 65, "confidence": 0.9}' });
+    const second = new SchemaExtractor({ schema, cache, llmProvider: async () => '{"value": 60, "confidence": 0.9}' });
+
+    await first.extract('Age 65', { mode: 'llm' });
+    const result = await second.extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(result.data.age, 60);
+    assert.strictEqual(cache.getStats().writes, 0);
+  });
+
+  it('should cache replies from a function provider given an id', async () => {
+    const cache = new LLMResponseCache({ storage: new MemoryStorage() });
+    let calls = 0;
+    const llmProvider = async () => {
+      calls++;
+      return '{"value": 65, "confidence": 0.9}';
+    };
+    llmProvider.id = 'in-house:v1';
+    const extractor = new SchemaExtractor({ schema, cache, llmProvider });
+
+    await extractor.extract('Age 65', { mode: 'llm' });
+    await extractor.extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(calls, 1);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { RetryPolicy, RateLimiter, ProviderError, CancellationError, SchemaExtractor, SchemaBuilder } = require('../src');
+
+describe('RetryPolicy', () => {
+  describe('isRetryable()', () => {
+    const policy = new RetryPolicy();
+
+    it('should prefer the error flag, then the status, then the code', () => {
+      assert.strictEqual(policy.isRetryable(Object.assign(new Error('x'), { retryable: false, status: 503 })), false);
+      assert.strictEqual(policy.isRetryable(Object.assign(new Error('x'), { status: 429 })), true);
+      assert.strictEqual(policy.isRetryable(Object.assign(new Error('x'), { status: 400 })), false);
+      assert.strictEqual(policy.isRetryable(Object.assign(new Error('x'), { code: 'OVERLOADED' })), true);
+      assert.strictEqual(policy.isRetryable(Object.assign(new Error('x'), { code: 'AUTH_ERROR' })), false);
+    });
+
+    it('should never retry cancellation', () => {
+      assert.strictEqual(policy.isRetryable(new CancellationError()), false);
+    });
+
+    it('should retry plain errors unless told not to', () => {
+      assert.strictEqual(policy.isRetryable(new Error('flaky')), true);
+      assert.strictEqual(new RetryPolicy({ retryUnknownErrors: false }).isRetryable(new Error('flaky')), false);
+    });
+
+    it('should classify provider errors by status', () => {
+      assert.strictEqual(policy.isRetryable(ProviderError.fromStatus(529, 'overloaded', 'anthropic')), true);
+      assert.strictEqual(policy.isRetryable(ProviderError.fromStatus(401, 'bad key', 'openai')), false);
+    });
+  });
+
+  describe('delayFor()', () => {
+    it('should back off exponentially up to the cap', () => {
+      const policy = new RetryPolicy({ baseDelayMs: 100, factor: 2, maxDelayMs: 300, jitter: 0 });
+      assert.deepStrictEqual([1, 2, 3, 4].map(attempt => policy.delayFor(attempt)), [100, 200, 300, 300]);
+    });
+
+    it('should randomise the jittered share of the delay', () => {
+      const low = new RetryPolicy({ baseDelayMs: 1000, jitter: 0.5, random: () => 0 });
+      const high = new RetryPolicy({ baseDelayMs: 1000, jitter: 0.5, random: () => 1 });
+      assert.strictEqual(low.delayFor(1), 500);
+      assert.strictEqual(high.delayFor(1), 1000);
+    });
+
+    it('should honour Retry-After up to its limit', () => {
+      const policy = new RetryPolicy({ maxRetryAfterMs: 5000 });
+      assert.strictEqual(policy.delayFor(1, { retryAfterMs: 2000 }), 2000);
+      assert.strictEqual(policy.delayFor(1, { retryAfterMs: 90000 }), 5000);
+    });
+  });
+
+  it('should retry a failing provider in SchemaExtractor', async () => {
+    const schema = new SchemaBuilder('retry').integer('age').build();
+    let calls = 0;
+    const extractor = new SchemaExtractor({
+      schema,
+      retryPolicy: { baseDelayMs: 1, jitter: 0 },
+      llmProvider: async () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error('busy'), { status: 503 });
+        return '{"value": 65, "confidence": 0.9}';
+      }
+    });
+    const result = await extractor.extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(result.data.age, 65);
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(result.metadata.retries, 2);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should let requests through while the buckets hold capacity', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 100, tokensPerMinute: 1000 });
+    const reservation = await limiter.acquire({ tokens: 200 });
+
+    assert.deepStrictEqual(reservation, { tokens: 200, waitedMs: 0 });
+    assert.deepStrictEqual(limiter.getStats().requests, { perMinute: 100, available: 99 });
+    assert.strictEqual(limiter.getStats().tokens.available, 800);
+  });
+
+  it('should correct the token bucket with actual usage', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+    const reservation = await limiter.acquire({ tokens: 100 });
+    limiter.settle(reservation, 300);
+
+    assert.strictEqual(limiter.getStats().tokens.available, 700);
+  });
+
+  it('should wait for the bucket to refill', async () => {
+    // 6000 tokens a minute refill at 0.1 per ms
+    const limiter = new RateLimiter({ tokensPerMinute: 6000 });
+    await limiter.acquire({ tokens: 6000 });
+    const reservation = await limiter.acquire({ tokens: 3 });
+
+    assert.ok(reservation.waitedMs >= 20, `waited ${reservation.waitedMs}ms`);
+    assert.strictEqual(limiter.getStats().waits, 1);
+  });
+
+  it('should stop waiting when the signal aborts without holding up later callers', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1 });
+    await limiter.acquire();
+
+    const controller = new AbortController();
+    const waiting = limiter.acquire({}, controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, { code: 'CANCELLED' });
+
+    limiter.buckets.requests.available = 1;
+    const next = await limiter.acquire();
+    assert.strictEqual(next.tokens, 0);
+  });
+});
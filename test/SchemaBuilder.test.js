@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaBuilder, ValidationEngine } = require('../src');
+
+describe('SchemaBuilder', () => {
+  describe('modifiers', () => {
+    it('should set constraints on the current field', () => {
+      const schema = new SchemaBuilder('modifiers')
+        .string('status').oneOf('open', 'closed')
+        .string('contact').format('email').length(3, 100)
+        .array('trustees').items('string').length(1, null).unique()
+        .build();
+      const [status, contact, trustees] = schema.fields;
+
+      assert.deepStrictEqual(status.enum, ['open', 'closed']);
+      assert.deepStrictEqual([contact.format, contact.minLength, contact.maxLength], ['email', 3, 100]);
+      assert.strictEqual(trustees.items.type, 'string');
+      assert.deepStrictEqual([trustees.minItems, trustees.maxItems, trustees.uniqueItems], [1, undefined, true]);
+    });
+
+    it('should accept allowed values as an array', () => {
+      const schema = new SchemaBuilder('array-values').string('status').oneOf(['open', 'closed']).build();
+
+      assert.deepStrictEqual(schema.fields[0].enum, ['open', 'closed']);
+    });
+
+    it('should describe items with a field definition or a sub-schema', () => {
+      const schema = new SchemaBuilder('items')
+        .array('rates').items({ type: 'number', minimum: 0 })
+        .array('tiers').items(new SchemaBuilder('tier').number('rate').required())
+        .build();
+      const [rates, tiers] = schema.fields;
+
+      assert.deepStrictEqual([rates.items.type, rates.items.minimum], ['number', 0]);
+      assert.strictEqual(tiers.items.type, 'object');
+      assert.deepStrictEqual(tiers.items.properties.map(f => [f.name, f.required]), [['rate', true]]);
+    });
+
+    it('should have the constraints enforced by ValidationEngine', () => {
+      const schema = new SchemaBuilder('enforced')
+        .string('status').oneOf('open', 'closed')
+        .string('contact').format('email').length(5, null)
+        .array('trustees').items('string').length(1, 2).unique()
+        .build();
+      const result = new ValidationEngine().validate({
+        status: 'pending',
+        contact: 'a@b',
+        trustees: ['A Smith', 'A Smith', 'B Jones']
+      }, schema);
+
+      assert.deepStrictEqual(result.errors.map(e => [e.field, e.code]), [
+        ['status', 'INVALID_ENUM'],
+        ['contact', 'INVALID_FORMAT'],
+        ['contact', 'TOO_SHORT'],
+        ['trustees', 'TOO_MANY_ITEMS'],
+        ['trustees', 'DUPLICATE_ITEMS']
+      ]);
+    });
+  });
+
+  describe('validate', () => {
+    /**
+     * Validate a single-field schema
+     */
+    function errorsFor(field) {
+      return SchemaBuilder.validate({ name: 'check', fields: [field] }).errors;
+    }
+
+    it('should accept the schemas the builder produces', () => {
+      const schema = new SchemaBuilder('valid')
+        .string('status').oneOf('open', 'closed')
+        .array('tiers').items(new SchemaBuilder('tier').number('rate')).unique()
+        .build();
+
+      assert.deepStrictEqual(SchemaBuilder.validate(schema), { valid: true, errors: [] });
+    });
+
+    it('should point to oneOf() when enum() is used as a modifier', () => {
+      const schema = new SchemaBuilder('misused').string('status').enum(['open', 'closed']).build();
+      const { valid, errors } = SchemaBuilder.validate(schema);
+
+      assert.strictEqual(valid, false);
+      assert.ok(errors.some(e => e.includes('Field names must be strings') && e.includes('use .oneOf()')));
+    });
+
+    it('should reject unknown types and malformed constraints', () => {
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'text' }), ['Field "a" has unknown type "text"']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', enum: [] }), ['Allowed values of "a" must be a non-empty array']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', format: /x/ }), ['Format of "a" must be a string']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', minLength: '3' }), ['minLength of "a" must be a number']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'array', minItems: 3, maxItems: 1 }), ['Field "a" has minItems 3 above maxItems 1']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', uniqueItems: true }), ['Field "a" requires unique items but is not an array']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', patterns: [1] }), ['Patterns of "a" must be regular expressions or strings']);
+    });
+
+    it('should reject properties and items on the wrong type', () => {
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', properties: [{ name: 'b', type: 'string' }] }),
+        ['Field "a" declares properties but is not an object']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'string', items: { type: 'string' } }),
+        ['Field "a" declares items but is not an array']);
+      assert.deepStrictEqual(errorsFor({ name: 'a', type: 'array', items: {} }), ['Items of "a" must have a type']);
+    });
+
+    it('should validate nested fields by path', () => {
+      const errors = errorsFor({
+        name: 'tiers',
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: [
+            { name: 'rate', type: 'number', minimum: 5, maximum: 1 },
+            { name: 'rate', type: 'number' },
+            { type: 'string' }
+          ]
+        }
+      });
+
+      assert.deepStrictEqual(errors, [
+        'Field "tiers[].rate" has minimum 5 above maximum 1',
+        'Duplicate field name: tiers[].rate',
+        'All properties of "tiers[]" must have a name'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaCompatibilityChecker, SchemaBuilder, DocumentRegister, SchemaMigrator } = require('../src');
+
+const checker = new SchemaCompatibilityChecker();
+const build = (version, define) => define(new SchemaBuilder('compat', { version })).build();
+
+describe('SchemaCompatibilityChecker', () => {
+  describe('compare()', () => {
+    it('should report no changes between identical schemas', () => {
+      const define = schema => schema.string('name').required();
+      const report = checker.compare(build('1.0.0', define), build('1.0.0', define));
+
+      assert.strictEqual(report.compatibility, 'full');
+      assert.strictEqual(report.requiredBump, 'none');
+      assert.strictEqual(report.versionBumpOk, true);
+    });
+
+    it('should classify added, removed and re-typed fields', () => {
+      const report = checker.compare(
+        build('1.0.0', schema => schema.integer('count').string('legacy').string('note')),
+        build('2.0.0', schema => schema.number('count').string('note').required().string('extra'))
+      );
+      const byType = Object.fromEntries(report.changes.map(c => [`${c.type}:${c.path}`, c.compatibility]));
+
+      assert.deepStrictEqual(byType, {
+        'field_removed:legacy': 'full',
+        'type_changed:count': 'backward',
+        'became_required:note': 'forward',
+        'field_added:extra': 'full'
+      });
+      assert.strictEqual(report.requiredBump, 'major');
+      assert.strictEqual(report.versionBumpOk, true);
+    });
+
+    it('should classify enum and bound changes', () => {
+      const report = checker.compare(
+        build('1.0.0', schema => schema.string('status').oneOf(['a', 'b']).number('rate').min(0)),
+        build('1.1.0', schema => schema.string('status').oneOf(['a', 'b', 'c']).number('rate').min(1))
+      );
+      assert.deepStrictEqual(report.changes.map(c => [c.type, c.compatibility]), [
+        ['enum_values_added', 'backward'],
+        ['constraint_tightened', 'forward']
+      ]);
+      assert.strictEqual(report.versionBumpOk, false);
+    });
+
+    it('should report adding and removing an array items definition', () => {
+      const untyped = build('1.0.0', schema => schema.array('tags'));
+      const typed = build('2.0.0', schema => schema.array('tags', { items: 'string' }));
+
+      const added = checker.compare(untyped, typed).changes;
+      assert.deepStrictEqual(added.map(({ type, path, compatibility, constraint, from, to }) =>
+        ({ type, path, compatibility, constraint, from, to })), [
+        { type: 'constraint_tightened', path: 'tags', compatibility: 'forward', constraint: 'items', from: undefined, to: 'string' }
+      ]);
+
+      const removed = checker.compare(typed, untyped).changes;
+      assert.deepStrictEqual(removed.map(c => [c.type, c.constraint, c.compatibility]), [['constraint_loosened', 'items', 'backward']]);
+    });
+
+    it('should compare the items of arrays in both versions', () => {
+      const report = checker.compare(
+        build('1.0.0', schema => schema.array('rates', { items: 'integer' })),
+        build('1.1.0', schema => schema.array('rates', { items: 'number' }))
+      );
+      assert.deepStrictEqual(report.changes.map(c => [c.type, c.path]), [['type_changed', 'rates[]']]);
+    });
+  });
+
+  describe('version bumps', () => {
+    it('should accept a prerelease of the next major', () => {
+      assert.strictEqual(checker._bumpSatisfies('1.4.0', '2.0.0-beta.1', 'major'), true);
+      assert.strictEqual(checker._bumpSatisfies('1.4.0', '1.5.0-beta.1', 'major'), false);
+      assert.strictEqual(checker._bumpSatisfies('1.4.0', '1.5.0-rc.1', 'minor'), true);
+    });
+
+    it('should not count a prerelease as above its release', () => {
+      assert.strictEqual(checker._bumpSatisfies('1.4.0', '1.4.0-beta', 'minor'), false);
+      assert.strictEqual(checker._bumpSatisfies('1.4.0', '1.4.1-beta', 'minor'), false);
+      assert.strictEqual(checker._bumpSatisfies('2.0.0-beta', '2.0.0-alpha', 'major'), false);
+    });
+
+    it('should let a prerelease break compatibility up to its release', () => {
+      assert.strictEqual(checker._bumpSatisfies('2.0.0-beta', '2.0.0-rc.1', 'major'), true);
+      assert.strictEqual(checker._bumpSatisfies('2.0.0-beta', '2.0.0', 'major'), true);
+      assert.strictEqual(checker._bumpSatisfies('1.1.0-beta', '1.1.0', 'minor'), true);
+    });
+
+    it('should check the bump of a whole comparison', () => {
+      const breaking = version => checker.compare(
+        build('1.4.0', schema => schema.string('a')),
+        build(version, schema => schema.number('a'))
+      );
+      assert.strictEqual(breaking('2.0.0-rc.1').requiredBump, 'major');
+      assert.strictEqual(breaking('2.0.0-rc.1').versionBumpOk, true);
+      assert.strictEqual(breaking('1.5.0').versionBumpOk, false);
+    });
+  });
+
+  describe('checkRegister()', () => {
+    it('should count entries the new version would reject, migrating first', async () => {
+      const register = new DocumentRegister();
+      await register.add({ data: { rate: '5' }, schemaVersion: '1.0.0' }, { id: 'text-rate' });
+      await register.add({ data: { rate: 7 }, schemaVersion: '1.0.0' }, { id: 'numeric-rate' });
+      const next = build('2.0.0', schema => schema.number('rate').required());
+
+      const plain = await checker.checkRegister(register, next);
+      assert.strictEqual(plain.total, 2);
+      assert.strictEqual(plain.affected, 1);
+      assert.deepStrictEqual(plain.byField, { rate: 1 });
+
+      const migrator = new SchemaMigrator({
+        migrations: [{ from: '1.0.0', to: '2.0.0', steps: [{ type: 'transform', field: 'rate', transform: Number }] }]
+      });
+      const migrated = await checker.checkRegister(register, next, { migrator });
+      assert.strictEqual(migrated.affected, 0);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaMigrator, DocumentRegister, DocumentComparator } = require('../src');
+
+function createMigrator() {
+  return new SchemaMigrator({
+    schemaId: 'scheme',
+    migrations: [
+      {
+        from: '1.0.0',
+        to: '1.1.0',
+        steps: [
+          { type: 'rename', from: 'ruleRef', to: 'ruleNumber' },
+          { type: 'split', from: 'period', to: ['periodStart', 'periodEnd'], separator: ' to ' },
+          { type: 'default', field: 'currency', value: 'GBP' }
+        ]
+      },
+      {
+        from: '1.1.0',
+        to: '2.0.0',
+        steps: [
+          { type: 'merge', from: ['firstName', 'lastName'], to: 'memberName' },
+          { type: 'transform', field: 'rate', transform: value => value * 100 },
+          { type: 'remove', field: 'legacyCode' }
+        ]
+      }
+    ]
+  });
+}
+
+describe('SchemaMigrator', () => {
+  describe('addMigration()', () => {
+    it('should reject invalid migrations', () => {
+      const migrator = new SchemaMigrator();
+      assert.throws(() => migrator.addMigration({ from: '1', to: '1', steps: [] }), { code: 'INVALID_MIGRATION' });
+      assert.throws(() => migrator.addMigration({ from: '1', to: '2', steps: [] }), { code: 'INVALID_MIGRATION' });
+      assert.throws(() => migrator.addMigration({ from: '1', to: '2', steps: [{ type: 'explode' }] }), /unknown type/);
+      assert.throws(() => migrator.addMigration({ from: '1', to: '2', steps: [{ type: 'split', from: 'a', to: 'b' }] }), /array/);
+    });
+  });
+
+  describe('migrateData()', () => {
+    it('should apply every step along the path without changing the input', () => {
+      const data = {
+        ruleRef: '12.1',
+        period: '2023-04-01 to 2024-03-31',
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        rate: 0.05,
+        legacyCode: 'X'
+      };
+      const { data: migrated, migrations } = createMigrator().migrateData(data, '1.0.0');
+
+      assert.deepStrictEqual(migrated, {
+        ruleNumber: '12.1',
+        periodStart: '2023-04-01',
+        periodEnd: '2024-03-31',
+        currency: 'GBP',
+        memberName: 'Ada Lovelace',
+        rate: 5
+      });
+      assert.deepStrictEqual(migrations.map(m => m.to), ['1.1.0', '2.0.0']);
+      assert.strictEqual(data.ruleRef, '12.1');
+    });
+
+    it('should follow dotted paths', () => {
+      const migrator = new SchemaMigrator().addMigration({
+        from: '1', to: '2', steps: [{ type: 'rename', from: 'member.dob', to: 'member.dateOfBirth' }]
+      });
+      assert.deepStrictEqual(migrator.migrateData({ member: { dob: '1990-01-01' } }, '1', '2').data, {
+        member: { dateOfBirth: '1990-01-01' }
+      });
+    });
+
+    it('should throw NO_MIGRATION_PATH for unconnected versions', () => {
+      assert.throws(() => createMigrator().migrateData({}, '2.0.0', '1.0.0'), { code: 'NO_MIGRATION_PATH' });
+      assert.throws(() => createMigrator().migrateData({}, undefined), { code: 'NO_MIGRATION_PATH' });
+    });
+  });
+
+  describe('migrateResult()', () => {
+    it('should move citations and field confidences with the data', () => {
+      const result = createMigrator().migrateResult({
+        schemaVersion: '1.1.0',
+        data: { firstName: 'Ada', lastName: 'Lovelace', legacyCode: 'X' },
+        citations: [{ fieldName: 'firstName', text: 'Ada' }, { fieldName: 'legacyCode', text: 'X' }],
+        fieldConfidences: { firstName: 0.9, lastName: 0.6 }
+      });
+
+      assert.strictEqual(result.schemaVersion, '2.0.0');
+      assert.deepStrictEqual(result.citations, [{ fieldName: 'memberName', text: 'Ada' }]);
+      assert.deepStrictEqual(result.fieldConfidences, { memberName: 0.6 });
+    });
+  });
+
+  describe('compareVersions()', () => {
+    it('should compare numerically', () => {
+      assert.ok(SchemaMigrator.compareVersions('1.10.0', '1.9.2') > 0);
+      assert.strictEqual(SchemaMigrator.compareVersions('1.0', '1.0.0'), 0);
+    });
+
+    it('should order prereleases by semver precedence', () => {
+      const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1'];
+      assert.deepStrictEqual([...ordered].reverse().sort(SchemaMigrator.compareVersions), ordered);
+      assert.strictEqual(SchemaMigrator.compareVersions('1.0.0+build.5', '1.0.0'), 0);
+    });
+  });
+});
+
+describe('DocumentRegister.migrate()', () => {
+  async function registerWithEntry() {
+    const register = new DocumentRegister();
+    await register.add(
+      { data: { ruleRef: '12.1' }, schemaId: 'scheme', schemaVersion: '1.0.0' },
+      { id: 'doc-1', effectiveFrom: '2020-01-01T00:00:00.000Z' }
+    );
+    return register;
+  }
+
+  it('should store the migrated data as a new version', async () => {
+    const register = await registerWithEntry();
+    const results = await register.migrate(createMigrator(), { toVersion: '1.1.0' });
+
+    assert.deepStrictEqual(results.migrated.map(m => m.id), ['doc-1']);
+    const entry = await register.get('doc-1');
+    assert.strictEqual(entry.version, 2);
+    assert.deepStrictEqual(entry.data, { ruleNumber: '12.1', currency: 'GBP' });
+    assert.strictEqual(entry.metadata.schemaVersion, '1.1.0');
+    assert.strictEqual(entry.metadata.migration.fromSchemaVersion, '1.0.0');
+  });
+
+  it('should keep one version per date for asOf lookups', async () => {
+    const register = await registerWithEntry();
+    await register.migrate(createMigrator(), { toVersion: '1.1.0' });
+
+    const entry = await register.get('doc-1');
+    assert.strictEqual(entry.effectiveFrom, '2020-01-01T00:00:00.000Z');
+    assert.strictEqual(entry.history[0].supersededBy, 'migration');
+    assert.strictEqual(entry.history[0].effectiveTo, null);
+
+    for (const asOf of ['2021-06-01', new Date().toISOString()]) {
+      const found = await register.get('doc-1', { asOf });
+      assert.strictEqual(found.version, 2);
+    }
+    assert.strictEqual(await register.get('doc-1', { asOf: '2019-01-01' }), null);
+    assert.deepStrictEqual((await register.get('doc-1', { version: 1 })).data, { ruleRef: '12.1' });
+  });
+
+  it('should close the period of a business update after a migration', async () => {
+    const register = await registerWithEntry();
+    await register.migrate(createMigrator(), { toVersion: '1.1.0' });
+    await register.update('doc-1', { data: { ruleNumber: '12.2' }, schemaVersion: '1.1.0' }, {
+      effectiveFrom: '2022-01-01T00:00:00.000Z'
+    });
+
+    assert.strictEqual((await register.get('doc-1', { asOf: '2021-01-01' })).version, 2);
+    assert.strictEqual((await register.get('doc-1', { asOf: '2023-01-01' })).version, 3);
+  });
+
+  it('should keep history in its stored shape unless read with the migrator', async () => {
+    const register = await registerWithEntry();
+    await register.migrate(createMigrator(), { toVersion: '1.1.0' });
+    await register.update('doc-1', { data: { ruleNumber: '12.2', currency: 'GBP' }, schemaVersion: '1.1.0' }, {
+      effectiveFrom: '2022-01-01T00:00:00.000Z'
+    });
+
+    const stored = await register.get('doc-1', { version: 1 });
+    assert.deepStrictEqual(stored.data, { ruleRef: '12.1' });
+    assert.strictEqual(stored.metadata.schemaVersion, '1.0.0');
+    assert.strictEqual(stored.migratedFrom, undefined);
+
+    const migrated = await register.get('doc-1', { version: 1, migrator: createMigrator() });
+    assert.deepStrictEqual(migrated.data, { ruleNumber: '12.1', currency: 'GBP' });
+    assert.strictEqual(migrated.metadata.schemaVersion, '1.1.0');
+    assert.strictEqual(migrated.migratedFrom, '1.0.0');
+    assert.deepStrictEqual((await register.get('doc-1', { version: 1 })).data, { ruleRef: '12.1' });
+
+    const current = await register.get('doc-1');
+    const comparison = new DocumentComparator().compare(migrated, current);
+    assert.deepStrictEqual(comparison.differences.map(d => d.field), ['ruleNumber']);
+  });
+
+  it('should report dry runs and skip other schemas and current entries', async () => {
+    const register = await registerWithEntry();
+    await register.add({ data: {}, schemaId: 'other', schemaVersion: '1.0.0' }, { id: 'doc-2' });
+    await register.add({ data: {}, schemaId: 'scheme', schemaVersion: '2.0.0' }, { id: 'doc-3' });
+
+    const results = await register.migrate(createMigrator(), { dryRun: true });
+    assert.deepStrictEqual(results.migrated.map(m => m.id), ['doc-1']);
+    assert.deepStrictEqual(results.skipped.map(s => s.reason).sort(), ['other-schema', 'up-to-date']);
+    assert.strictEqual((await register.get('doc-1')).version, 1);
+  });
+});
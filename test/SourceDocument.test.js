@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SourceDocument, SchemaExtractor, SchemaBuilder, TextParser, ParagraphChunker } = require('../src');
+
+describe('SourceDocument', () => {
+  it('should keep form-feed separated text unchanged', () => {
+    const text = 'Page one\fPage two\n1 Intro\nBody';
+    const document = new SourceDocument({ text });
+
+    assert.strictEqual(document.text, text);
+    assert.strictEqual(document.pageCount, 2);
+    assert.strictEqual(document.pageAt(text.indexOf('two')), 2);
+  });
+
+  it('should join separate pages with a form feed on its own line', () => {
+    const document = new SourceDocument({ pages: ['Scheme name: P1', { text: 'Employer: Z Co', pageNumber: 7 }] });
+
+    assert.strictEqual(document.text, 'Scheme name: P1\n\f\nEmployer: Z Co');
+    assert.strictEqual(document.pageAt(document.text.indexOf('Employer')), 7);
+    assert.deepStrictEqual(document.pageSpan(0, document.text.length), { startPage: 1, endPage: 7 });
+  });
+
+  it('should not let pattern values run across a page break', async () => {
+    const schema = new SchemaBuilder('pages')
+      .string('schemeName').pattern(/Scheme name:\s*(.+)/)
+      .string('employer').pattern(/Employer:\s*(.+)/)
+      .build();
+    const extractor = new SchemaExtractor({ schema });
+    const result = await extractor.extract({ pages: ['Scheme name: P1', 'Employer: Z Co'] });
+
+    assert.strictEqual(result.data.schemeName, 'P1');
+    assert.strictEqual(result.data.employer, 'Z Co');
+    assert.deepStrictEqual(result.citations.map(c => c.pageNumber), [1, 2]);
+  });
+
+  it('should end paragraph chunks at page breaks', () => {
+    const document = new SourceDocument({ text: 'First page\fSecond page' });
+    const chunks = new ParagraphChunker().chunk(document, { chunkSize: 5, chunkOverlap: 0 });
+
+    assert.deepStrictEqual(chunks.map(c => c.text), ['First page', 'Second page']);
+  });
+
+  it('should find sections after a page break on their own line', () => {
+    const document = new SourceDocument({ pages: ['Preamble', '2 Benefits\nThe pension.'] });
+    const section = document.findSections(['2'])[0].section;
+
+    assert.strictEqual(section.title, 'Benefits');
+    assert.strictEqual(document.sectionAt(document.text.indexOf('The pension')).id, section.id);
+  });
+});
+
+describe('TextParser', () => {
+  it('should number lines by newlines only', () => {
+    const sections = new TextParser()._detectSections('one\ftwo\nthree\n\f\n2 Heading\nbody');
+
+    assert.strictEqual(sections.length, 1);
+    assert.strictEqual(sections[0].title, 'Heading');
+    assert.strictEqual(sections[0].startLine, 3);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { UsageTracker, ExtractionPipeline, SchemaBuilder } = require('../src');
+
+describe('UsageTracker', () => {
+  const tracker = new UsageTracker({ pricing: { promptPer1K: 0.5, completionPer1K: 1.5, currency: 'USD' } });
+
+  it('should record reported usage and split it across fields', () => {
+    const ledger = tracker.createLedger();
+    tracker.record(ledger, { prompt: { fields: ['a', 'b'] }, usage: { promptTokens: 100, completionTokens: 20 } });
+
+    const summary = tracker.summarize(ledger);
+    assert.strictEqual(summary.totalTokens, 120);
+    assert.strictEqual(summary.cost, 0.08);
+    assert.strictEqual(summary.byField.a.totalTokens, 60);
+    assert.strictEqual(summary.estimated, false);
+  });
+
+  it('should estimate usage the provider does not report', () => {
+    const ledger = tracker.createLedger();
+    const entry = tracker.record(ledger, { prompt: { system: 'abcd', user: 'efgh' }, content: 'ijkl' });
+    assert.deepStrictEqual(entry, { promptTokens: 2, completionTokens: 1, estimated: true, totalTokens: 3 });
+    assert.ok(ledger.fields._unattributed);
+  });
+
+  it('should keep a running total equal to combine()', () => {
+    const summaries = [
+      { calls: 1, promptTokens: 10, completionTokens: 5, totalTokens: 15, cost: 0.1, currency: 'USD' },
+      null,
+      { calls: 2, promptTokens: 20, completionTokens: 5, totalTokens: 25, cost: 0.2, estimated: true }
+    ];
+    const total = UsageTracker.combine([]);
+    summaries.forEach(summary => UsageTracker.accumulate(total, summary));
+
+    assert.deepStrictEqual(total, UsageTracker.combine(summaries));
+    assert.strictEqual(total.documents, 2);
+    assert.strictEqual(total.cost, 0.3);
+  });
+});
+
+describe('ExtractionPipeline usage stats', () => {
+  it('should count every extraction, not only the most recent ones', async () => {
+    const schema = new SchemaBuilder('usage').string('name').build();
+    const extractor = {
+      setSchema() {},
+      extract: async () => ({
+        data: {},
+        citations: [],
+        metadata: { usage: { calls: 1, promptTokens: 10, completionTokens: 2, totalTokens: 12, cost: 0.001 } }
+      })
+    };
+    const pipeline = new ExtractionPipeline({ schema, extractor });
+
+    for (let i = 0; i < 1200; i++) {
+      await pipeline._runExtraction('text', {});
+    }
+
+    const usage = pipeline.getStats().usage;
+    assert.strictEqual(usage.documents, 1200);
+    assert.strictEqual(usage.totalTokens, 14400);
+    assert.strictEqual(usage.cost, 1.2);
+    assert.strictEqual(usage.averageTokensPerDocument, 12);
+  });
+});
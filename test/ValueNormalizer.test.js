@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ValueNormalizer, ValidationEngine, SchemaExtractor, SchemaBuilder, DocumentRegister, builtInSchemas, builtInMigrations } = require('../src');
+
+describe('ValueNormalizer', () => {
+  const normalizer = new ValueNormalizer();
+
+  describe('parseAmount()', () => {
+    it('should read symbols, codes, scales and negatives', () => {
+      assert.deepStrictEqual(normalizer.parseAmount('£1,250,000'), { amount: 1250000, currency: 'GBP' });
+      assert.deepStrictEqual(normalizer.parseAmount('$1.2m'), { amount: 1200000, currency: 'USD' });
+      assert.deepStrictEqual(normalizer.parseAmount('EUR 3.500,50'), { amount: 3500.5, currency: 'EUR' });
+      assert.strictEqual(normalizer.parseAmount('(1,234)').amount, -1234);
+    });
+
+    it('should read one separator before three digits by the decimal mark', () => {
+      const comma = new ValueNormalizer({ decimalMark: ',' });
+
+      assert.strictEqual(normalizer.parseAmount('1,250').amount, 1250);
+      assert.strictEqual(normalizer.parseAmount('1.250').amount, 1.25);
+      assert.strictEqual(comma.parseAmount('1,250').amount, 1.25);
+      assert.strictEqual(comma.parseAmount('1.250').amount, 1250);
+    });
+
+    it('should read unambiguous separators the same for either decimal mark', () => {
+      const comma = new ValueNormalizer({ decimalMark: ',' });
+      for (const [text, amount] of [['1.250.000', 1250000], ['1,250,000', 1250000], ['12,5', 12.5], ['1,234.5', 1234.5]]) {
+        assert.strictEqual(normalizer.parseAmount(text).amount, amount, text);
+        assert.strictEqual(comma.parseAmount(text).amount, amount, text);
+      }
+    });
+
+    it('should refuse text without an amount', () => {
+      assert.throws(() => normalizer.parseAmount('No'), { code: 'NORMALIZATION_FAILED' });
+    });
+  });
+
+  describe('normalize()', () => {
+    it('should keep currency text as written and report the amount', () => {
+      const field = new SchemaBuilder('s').currency('fee').build().fields[0];
+      assert.strictEqual(field.type, 'string');
+      assert.deepStrictEqual(normalizer.normalize(' £1,250.00 ', field), {
+        value: '£1,250.00', raw: ' £1,250.00 ', kind: 'currency', amount: 1250, currency: 'GBP'
+      });
+      assert.deepStrictEqual(normalizer.normalize('nil', field), { value: 'nil', raw: 'nil', kind: 'string' });
+    });
+
+    it('should extract a numeric amount when the field opts in', () => {
+      const field = new SchemaBuilder('s').currency('fee', { amount: true }).build().fields[0];
+      assert.strictEqual(field.type, 'number');
+      assert.deepStrictEqual(normalizer.normalize('£1.2m', field), { value: 1200000, raw: '£1.2m', kind: 'currency', currency: 'GBP' });
+    });
+
+    it('should reject fractions for integer fields', () => {
+      assert.strictEqual(normalizer.normalize('65', { type: 'integer' }).value, 65);
+      assert.strictEqual(normalizer.normalize('1.2k', { type: 'integer' }).value, 1200);
+      assert.throws(() => normalizer.normalize('1.5', { type: 'integer' }), /as an integer/);
+    });
+
+    it('should read yes/no words and percentages', () => {
+      assert.strictEqual(normalizer.normalize('No', { type: 'boolean' }).value, false);
+      assert.strictEqual(normalizer.normalize('12.5 per cent', { type: 'number', format: 'percentage' }).value, 12.5);
+      assert.throws(() => normalizer.normalize('maybe', { type: 'boolean' }), { code: 'NORMALIZATION_FAILED' });
+    });
+  });
+
+  describe('parseDate()', () => {
+    it('should read natural-language and numeric dates', () => {
+      assert.strictEqual(normalizer.parseDate('1st April 2024'), '2024-04-01');
+      assert.strictEqual(normalizer.parseDate('April 1, 2024'), '2024-04-01');
+      assert.strictEqual(normalizer.parseDate('01/04/2024'), '2024-04-01');
+      assert.strictEqual(new ValueNormalizer({ dateOrder: 'MDY' }).parseDate('04/01/2024'), '2024-04-01');
+    });
+
+    it('should keep full timestamps for date-time fields', () => {
+      assert.strictEqual(normalizer.parseDate('2024-04-01', 'date-time'), '2024-04-01T00:00:00.000Z');
+    });
+
+    it('should refuse impossible dates', () => {
+      assert.throws(() => normalizer.parseDate('31/02/2024'), { code: 'NORMALIZATION_FAILED' });
+    });
+  });
+});
+
+describe('currency fields', () => {
+  it('should validate currency text that states an amount', () => {
+    const engine = new ValidationEngine();
+    assert.strictEqual(engine._validateFormat('£1,250,000', 'currency').valid, true);
+    assert.strictEqual(engine._validateFormat('to be agreed', 'currency').valid, false);
+  });
+
+  it('should report the amount of a text currency field from extraction', async () => {
+    const schema = new SchemaBuilder('fees').currency('fee').pattern(/Fee:\s*(.+)/).build();
+    const result = await new SchemaExtractor({ schema }).extract('Fee: £1,250,000');
+
+    assert.strictEqual(result.data.fee, '£1,250,000');
+    assert.strictEqual(result.normalization.fee.amount, 1250000);
+    assert.strictEqual(result.normalization.fee.currency, 'GBP');
+  });
+});
+
+describe('builtInMigrations', () => {
+  it('should convert financial statement figures stored as text', () => {
+    const { data } = builtInMigrations.financialStatement.migrateData(
+      { revenue: '£1,250,000', netProfit: null, auditor: 'KPMG' },
+      '1.0.0'
+    );
+    assert.deepStrictEqual(data, { revenue: 1250000, netProfit: null, auditor: 'KPMG' });
+  });
+
+  it('should leave unreadable figures as they were', () => {
+    const { data } = builtInMigrations.financialStatement.migrateData({ revenue: 'not disclosed' }, '1.0.0');
+    assert.deepStrictEqual(data, { revenue: 'not disclosed' });
+  });
+
+  it('should migrate entries saved under another instance of the schema', async () => {
+    // A fresh copy of the built-in module stands in for another process
+    const path = require.resolve('../src/schemas/built-in');
+    const cached = require.cache[path];
+    delete require.cache[path];
+    const { financialStatement } = require(path);
+    require.cache[path] = cached;
+    assert.notStrictEqual(financialStatement, builtInSchemas.financialStatement);
+
+    const register = new DocumentRegister();
+    await register.add(
+      { data: { revenue: '£1,250,000' }, schemaId: financialStatement.id, schemaVersion: '1.0.0' },
+      { id: 'fs-2023' }
+    );
+    const results = await register.migrate(builtInMigrations.financialStatement);
+
+    assert.deepStrictEqual(results.migrated.map(m => m.id), ['fs-2023']);
+    assert.deepStrictEqual(results.skipped, []);
+    const entry = await register.get('fs-2023');
+    assert.strictEqual(entry.data.revenue, 1250000);
+    assert.strictEqual(entry.metadata.schemaVersion, '2.0.0');
+  });
+});
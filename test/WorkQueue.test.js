@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { WorkQueue, SchemaExtractor, SchemaBuilder } = require('../src');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkQueue', () => {
+  it('should keep at most `concurrency` items in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await new WorkQueue({ concurrency: 2 }).run([30, 5, 5, 5], async ms => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await delay(ms);
+      inFlight--;
+      return ms * 2;
+    });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results, [60, 10, 10, 10]);
+  });
+
+  it('should start the next item as soon as any finishes', async () => {
+    const finished = [];
+    await new WorkQueue({ concurrency: 2 }).run(['slow', 'a', 'b', 'c'], async item => {
+      await delay(item === 'slow' ? 40 : 5);
+      finished.push(item);
+    });
+
+    assert.deepStrictEqual(finished, ['a', 'b', 'c', 'slow']);
+  });
+
+  it('should start items by priority and return results in input order', async () => {
+    const started = [];
+    const results = await new WorkQueue({ concurrency: 1 }).run(['low', 'high', 'mid'], async item => {
+      started.push(item);
+      return item.toUpperCase();
+    }, { priority: [0, 10, 5] });
+
+    assert.deepStrictEqual(started, ['high', 'mid', 'low']);
+    assert.deepStrictEqual(results, ['LOW', 'HIGH', 'MID']);
+  });
+
+  it('should report progress after every item', async () => {
+    const progress = [];
+    await new WorkQueue().run([1, 2], async item => item, { onProgress: p => progress.push(p) });
+
+    assert.deepStrictEqual(progress.map(p => [p.processed, p.total, p.percentage]), [[1, 2, 50], [2, 2, 100]]);
+  });
+
+  it('should handle an empty list', async () => {
+    assert.deepStrictEqual(await new WorkQueue().run([], async () => 1), []);
+  });
+});
+
+describe('SchemaExtractor.extractBatch()', () => {
+  it('should extract each document through the pool in input order', async () => {
+    const schema = new SchemaBuilder('batch').string('employer').pattern(/Employer:\s*(.+)/).build();
+    const batch = await new SchemaExtractor({ schema }).extractBatch(
+      ['Employer: A', 'Employer: B', 'Employer: C'],
+      { concurrency: 2 }
+    );
+
+    assert.strictEqual(batch.successful, 3);
+    assert.deepStrictEqual(batch.results.map(r => [r.batchIndex, r.data.employer]), [[0, 'A'], [1, 'B'], [2, 'C']]);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ParagraphChunker,
+  FixedSizeChunker,
+  SectionChunker,
+  ChunkingStrategy,
+  SourceDocument,
+  SchemaExtractor,
+  SchemaBuilder,
+  MockProvider
+} = require('../src');
+
+const IRREGULAR = [
+  '  Scheme Rules  ',
+  '',
+  '',
+  '',
+  '1 Definitions',
+  '\t"Employer" means Acme Ltd.   ',
+  '\r',
+  ' \t ',
+  '2 Benefits',
+  'The normal pension age is 65.\n\n\n\n\nMembers may retire early.',
+  '   ',
+  '2.1 Early retirement',
+  'From age 55   with consent.'
+].join('\n');
+
+function assertExactOffsets(chunks, text) {
+  assert.ok(chunks.length > 0);
+  for (const chunk of chunks) {
+    assert.strictEqual(text.slice(chunk.startOffset, chunk.endOffset), chunk.text);
+    assert.strictEqual(chunk.text, chunk.text.trim());
+  }
+}
+
+describe('ParagraphChunker', () => {
+  const chunker = new ParagraphChunker();
+
+  it('should keep offsets exact over runs of blank lines and stray whitespace', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 40, chunkOverlap: 0 });
+    assertExactOffsets(chunks, IRREGULAR);
+  });
+
+  it('should keep offsets exact with overlap', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 50, chunkOverlap: 20 });
+    assertExactOffsets(chunks, IRREGULAR);
+    assert.ok(chunks.some((chunk, i) => i > 0 && chunk.startOffset < chunks[i - 1].endOffset));
+  });
+
+  it('should never start an overlap mid-word', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 50, chunkOverlap: 20 });
+    for (const chunk of chunks.slice(1)) {
+      const before = IRREGULAR[chunk.startOffset - 1];
+      assert.ok(before === undefined || /\s/.test(before), `chunk ${chunk.index} starts mid-word`);
+    }
+  });
+
+  it('should number chunks in order and skip blank paragraphs', () => {
+    const text = '\n\n\n   \n\nOnly paragraph\n\n\n';
+    const chunks = chunker.chunk(new SourceDocument({ text }), { chunkSize: 100, chunkOverlap: 0 });
+    assert.deepStrictEqual(chunks.map(c => [c.index, c.text]), [[0, 'Only paragraph']]);
+  });
+});
+
+describe('FixedSizeChunker', () => {
+  const chunker = new FixedSizeChunker();
+
+  it('should keep offsets exact and cut on whitespace', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 30, chunkOverlap: 10 });
+    assertExactOffsets(chunks, IRREGULAR);
+    for (const chunk of chunks) {
+      const after = IRREGULAR[chunk.endOffset];
+      assert.ok(after === undefined || /\s/.test(after), `chunk ${chunk.index} ends mid-word`);
+    }
+  });
+
+  it('should cover the whole text', () => {
+    const text = 'word '.repeat(100);
+    const chunks = chunker.chunk(new SourceDocument({ text }), { chunkSize: 37, chunkOverlap: 0 });
+    assert.strictEqual(chunks[0].startOffset, 0);
+    assert.strictEqual(chunks[chunks.length - 1].endOffset, text.trimEnd().length);
+  });
+});
+
+describe('SectionChunker', () => {
+  const chunker = new SectionChunker();
+
+  it('should start a chunk at each heading with its heading path', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 1000 });
+    assertExactOffsets(chunks, IRREGULAR);
+
+    const early = chunks.find(c => c.text.startsWith('2.1 Early retirement'));
+    assert.deepStrictEqual(early.headingPath, ['Benefits', 'Early retirement']);
+    assert.ok(early.sectionId);
+  });
+
+  it('should split long sections at paragraph breaks with exact offsets', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 40 });
+    assertExactOffsets(chunks, IRREGULAR);
+    assert.ok(chunks.some(c => c.text === 'Members may retire early.'));
+  });
+
+  it('should keep the preamble and each short section in chunks of their own', () => {
+    const document = new SourceDocument({ text: IRREGULAR });
+    const chunks = chunker.chunk(document, { chunkSize: 1000 });
+
+    assert.deepStrictEqual(chunks.map(c => c.text.split('\n')[0]), [
+      'Scheme Rules', '1 Definitions', '2 Benefits', '2.1 Early retirement'
+    ]);
+    assert.deepStrictEqual(chunks[0].headingPath, []);
+    assert.strictEqual(chunks[0].sectionId, undefined);
+    assert.deepStrictEqual(chunks.map(c => c.index), [0, 1, 2, 3]);
+  });
+});
+
+describe('SchemaExtractor chunking strategies', () => {
+  const schema = new SchemaBuilder('chunks').integer('earlyAge').build();
+
+  it('should label section chunks with their heading path in the prompt', async () => {
+    const provider = new MockProvider({ responses: { earlyAge: 55 } });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, chunkingStrategy: 'section' });
+    const result = await extractor.extract(IRREGULAR);
+
+    assert.strictEqual(result.metadata.chunkingStrategy, 'section');
+    assert.ok(provider.calls[0].prompt.user.includes('[Benefits > Early retirement]\n2.1 Early retirement'));
+  });
+
+  it('should accept a strategy instance', async () => {
+    class LineChunker extends ChunkingStrategy {
+      constructor() {
+        super({ name: 'line' });
+      }
+
+      chunk(document) {
+        let offset = 0;
+        return this._index(document.text.split('\n').map(line => {
+          const chunk = this._slice(document.text, offset, offset + line.length);
+          offset += line.length + 1;
+          return chunk;
+        }));
+      }
+    }
+    const result = await new SchemaExtractor({ schema, chunkingStrategy: new LineChunker() }).extract(IRREGULAR);
+
+    assert.strictEqual(result.metadata.chunkingStrategy, 'line');
+    assert.strictEqual(result.metadata.chunksProcessed, 8);
+  });
+
+  it('should reject an unknown strategy name', async () => {
+    await assert.rejects(
+      new SchemaExtractor({ schema, chunkingStrategy: 'sentence' }).extract(IRREGULAR),
+      /Unknown chunking strategy: sentence\. Available: paragraph, fixed, section/
+    );
+  });
+});
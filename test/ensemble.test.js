@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider, EnsembleResolver } = require('../src');
+
+const text = 'The normal pension age is 65.';
+
+const schema = new SchemaBuilder('ensemble')
+  .integer('age').pattern(/pension age is (\d+)/)
+  .build();
+
+/**
+ * Provider replying with a fixed age under its own model name
+ */
+function ageProvider(model, age, confidence = 0.9) {
+  return new MockProvider({ model, responses: { age: { value: age, confidence } } });
+}
+
+describe('ensemble extraction', () => {
+  it('should take confidence from the share of strategies that agree', async () => {
+    const extractor = new SchemaExtractor({
+      schema,
+      ensemble: { providers: [ageProvider('a', 65), ageProvider('b', 60), ageProvider('c', 65)] }
+    });
+    const result = await extractor.extract(text);
+
+    assert.strictEqual(result.data.age, 65);
+    assert.strictEqual(result.fieldConfidences.age, 0.75);
+    assert.strictEqual(result.metadata.extractionMode, 'ensemble');
+    assert.deepStrictEqual(result.metadata.disagreements, ['age']);
+
+    const { agreement, distinctValues, candidates } = result.ensemble.age;
+    assert.strictEqual(agreement, 0.75);
+    assert.strictEqual(distinctValues, 2);
+    assert.deepStrictEqual(candidates.map(c => [c.provider, c.value, c.agrees]), [
+      ['mock:a', 65, true],
+      ['mock:b', 60, false],
+      ['mock:c', 65, true],
+      ['pattern', 65, true]
+    ]);
+  });
+
+  it('should only flag agreement below the threshold', async () => {
+    const split = [ageProvider('a', 65), ageProvider('b', 60)];
+    const lenient = await new SchemaExtractor({
+      schema,
+      ensemble: { providers: split, agreementThreshold: 0.5, patterns: false }
+    }).extract(text);
+
+    assert.strictEqual(lenient.ensemble.age.agreement, 0.5);
+    assert.strictEqual(lenient.ensemble.age.disagreement, false);
+    assert.deepStrictEqual(lenient.metadata.disagreements, []);
+
+    const agreed = await new SchemaExtractor({
+      schema,
+      ensemble: { providers: [ageProvider('a', 65), ageProvider('b', 65)], patterns: false }
+    }).extract(text);
+    assert.strictEqual(agreed.fieldConfidences.age, 1);
+    assert.deepStrictEqual(agreed.metadata.disagreements, []);
+  });
+
+  it('should sample each provider with the sampling temperature', async () => {
+    const provider = ageProvider('a', 65);
+    const extractor = new SchemaExtractor({
+      schema,
+      ensemble: { providers: [provider], samples: 3, sampleTemperature: 0.5, patterns: false }
+    });
+    const result = await extractor.extract(text);
+
+    assert.deepStrictEqual(provider.calls.map(call => [call.prompt.sample, call.prompt.temperature]), [
+      [0, 0.5],
+      [1, 0.5],
+      [2, 0.5]
+    ]);
+    assert.deepStrictEqual(result.ensemble.age.candidates.map(c => c.sample), [0, 1, 2]);
+  });
+
+  it('should keep a lone successful strategy\'s own confidence', async () => {
+    const failing = new MockProvider({ model: 'down', handler: () => 'not JSON' });
+    const extractor = new SchemaExtractor({
+      schema,
+      ensemble: { providers: [failing, ageProvider('a', 65, 0.6)], patterns: false }
+    });
+    const result = await extractor.extract(text, { maxRepairAttempts: 0 });
+
+    assert.strictEqual(result.data.age, 65);
+    assert.strictEqual(result.fieldConfidences.age, 0.6);
+    const [down] = result.ensemble.age.candidates;
+    assert.strictEqual(down.agrees, false);
+    assert.ok(down.error);
+  });
+
+  it('should record the field when every strategy fails', async () => {
+    const failing = new MockProvider({ handler: () => 'not JSON' });
+    const extractor = new SchemaExtractor({ schema, ensemble: { providers: [failing], patterns: false } });
+    const result = await extractor.extract(text, { maxRepairAttempts: 0 });
+
+    assert.strictEqual(result.data.age, undefined);
+    assert.deepStrictEqual(result.errors.map(e => [e.field, e.code]), [['age', 'ENSEMBLE_FAILED']]);
+  });
+});
+
+describe('EnsembleResolver', () => {
+  it('should group strings ignoring case and whitespace', () => {
+    const resolver = new EnsembleResolver();
+    const resolved = resolver.resolve([
+      { strategy: 'llm', value: 'Acme  Ltd', confidence: 0.9 },
+      { strategy: 'llm', value: 'acme ltd', confidence: 0.8 },
+      { strategy: 'pattern', value: 'Acme plc', confidence: 0.7 }
+    ]);
+
+    assert.strictEqual(resolved.value, 'Acme  Ltd');
+    assert.strictEqual(resolved.ensemble.distinctValues, 2);
+  });
+
+  it('should group numbers within the relative tolerance', () => {
+    const candidates = [
+      { strategy: 'llm', value: 1000, confidence: 0.9 },
+      { strategy: 'llm', value: 1004, confidence: 0.9 }
+    ];
+
+    assert.strictEqual(new EnsembleResolver().resolve(candidates).confidence, 0.5);
+    assert.strictEqual(new EnsembleResolver({ numericTolerance: 0.01 }).resolve(candidates).confidence, 1);
+  });
+
+  it('should break ties on total self-reported confidence', () => {
+    const resolved = new EnsembleResolver().resolve([
+      { strategy: 'llm', value: 60, confidence: 0.5 },
+      { strategy: 'llm', value: 65, confidence: 0.9 }
+    ]);
+
+    assert.strictEqual(resolved.value, 65);
+    assert.strictEqual(resolved.confidence, 0.5);
+  });
+});
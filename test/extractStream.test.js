@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider, ExtractionEvents, CancellationError } = require('../src');
+
+const schema = new SchemaBuilder('stream')
+  .integer('age')
+  .string('employer')
+  .build();
+
+const text = 'Employer: Acme Ltd. The normal pension age is 65.';
+
+/**
+ * Collect every event a stream yields
+ */
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('extractStream', () => {
+  it('should yield progress events in order and finish with the result', async () => {
+    const provider = new MockProvider({
+      handler: prompt => prompt.fields[0] === 'age'
+        ? { value: 65, sourceText: 'pension age is 65' }
+        : 'not JSON'
+    });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider });
+    const events = await collect(extractor.extractStream(text, { mode: 'llm', maxRepairAttempts: 0, groundCitations: true }));
+
+    assert.deepStrictEqual(events.map(e => [e.type, e.field]), [
+      [ExtractionEvents.CHUNKING_COMPLETED, undefined],
+      [ExtractionEvents.FIELD_STARTED, 'age'],
+      [ExtractionEvents.CITATION_GROUNDED, 'age'],
+      [ExtractionEvents.FIELD_EXTRACTED, 'age'],
+      [ExtractionEvents.FIELD_STARTED, 'employer'],
+      [ExtractionEvents.FIELD_FAILED, 'employer'],
+      [ExtractionEvents.FINISHED, undefined]
+    ]);
+    assert.strictEqual(new Set(events.map(e => e.extractionId)).size, 1);
+
+    const [chunking, , grounded, extracted, , failed, finished] = events;
+    assert.strictEqual(chunking.fieldCount, 2);
+    assert.strictEqual(grounded.citation.grounded, true);
+    assert.deepStrictEqual([extracted.fieldIndex, extracted.value], [0, 65]);
+    assert.deepStrictEqual([failed.fieldIndex, failed.code], [1, 'INVALID_LLM_RESPONSE']);
+    assert.strictEqual(finished.result.data.age, 65);
+    assert.strictEqual(finished.result.extractionId, chunking.extractionId);
+  });
+
+  it('should throw the extraction\'s error after the events so far', async () => {
+    const extractor = new SchemaExtractor({
+      schema,
+      afterExtraction: () => { throw new Error('hook failed'); }
+    });
+    const events = [];
+
+    await assert.rejects(async () => {
+      for await (const event of extractor.extractStream(text)) {
+        events.push(event.type);
+      }
+    }, /hook failed/);
+    assert.ok(events.includes(ExtractionEvents.FIELD_STARTED));
+    assert.ok(!events.includes(ExtractionEvents.FINISHED));
+  });
+
+  it('should cancel the extraction when the consumer stops early', async () => {
+    const provider = new MockProvider({ latencyMs: 20, responses: { age: 65 } });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider });
+
+    for await (const event of extractor.extractStream(text, { mode: 'llm' })) {
+      if (event.type === ExtractionEvents.FIELD_STARTED) break;
+    }
+
+    assert.strictEqual(provider.calls.length, 1);
+    const { signal } = provider.calls[0].options;
+    assert.ok(signal.aborted);
+    assert.ok(signal.reason instanceof CancellationError);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider } = require('../src');
+
+const schema = new SchemaBuilder('multi')
+  .string('employer')
+  .integer('age')
+  .string('scheme')
+  .build();
+
+const text = 'Employer: Acme Ltd. Normal pension age 65. Scheme P1.';
+
+describe('multi-field LLM extraction', () => {
+  it('should extract a group of fields in one request', async () => {
+    const provider = new MockProvider({ responses: { employer: 'Acme Ltd', age: 65, scheme: 'P1' } });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, llmExtractionMode: 'multi-field' });
+    const result = await extractor.extract(text);
+
+    assert.deepStrictEqual(result.data, { employer: 'Acme Ltd', age: 65, scheme: 'P1' });
+    assert.strictEqual(result.metadata.extractionMode, 'multi-field');
+    assert.strictEqual(result.metadata.llmCalls, 1);
+    assert.strictEqual(provider.calls[0].prompt.mode, 'multi-field');
+    assert.deepStrictEqual(provider.calls[0].prompt.fields, ['employer', 'age', 'scheme']);
+  });
+
+  it('should split fields by fieldGroups, then fieldGroupSize', async () => {
+    const provider = new MockProvider({ responses: { employer: 'Acme Ltd', age: 65, scheme: 'P1' } });
+    const extractor = new SchemaExtractor({
+      schema,
+      llmProvider: provider,
+      llmExtractionMode: 'multi-field',
+      fieldGroups: [['scheme', 'employer']],
+      fieldGroupSize: 1
+    });
+    const result = await extractor.extract(text);
+
+    assert.deepStrictEqual(provider.calls.map(call => call.prompt.fields), [['employer', 'scheme'], ['age']]);
+    assert.strictEqual(result.metadata.llmCalls, 2);
+  });
+
+  it('should keep each field\'s own confidence and citations', async () => {
+    const provider = new MockProvider({
+      responses: {
+        employer: { value: 'Acme Ltd', confidence: 0.95, sourceText: 'Employer: Acme Ltd' },
+        age: { value: 65, confidence: 0 },
+        scheme: { value: 'P1', confidence: 0.6, sourceText: 'Scheme P1' }
+      }
+    });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, llmExtractionMode: 'multi-field' });
+    const result = await extractor.extract(text);
+
+    assert.deepStrictEqual(result.fieldConfidences, { employer: 0.95, age: 0, scheme: 0.6 });
+    assert.deepStrictEqual(result.citations.map(c => [c.fieldName, c.text]), [
+      ['employer', 'Employer: Acme Ltd'],
+      ['scheme', 'Scheme P1']
+    ]);
+  });
+
+  it('should re-ask the group and keep the fields that parse', async () => {
+    const provider = new MockProvider({ responses: { employer: 'Acme Ltd', age: 'sixty', scheme: 'P1' } });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, llmExtractionMode: 'multi-field' });
+    const result = await extractor.extract(text, { maxRepairAttempts: 1 });
+
+    assert.strictEqual(provider.calls.length, 2);
+    assert.deepStrictEqual(result.data, { employer: 'Acme Ltd', scheme: 'P1' });
+    assert.deepStrictEqual(result.errors.map(e => [e.field, e.code]), [['age', 'INVALID_LLM_RESPONSE']]);
+  });
+
+  it('should record a field the reply leaves out', async () => {
+    const provider = new MockProvider({ handler: () => ({ fields: { employer: { value: 'Acme Ltd' }, scheme: { value: 'P1' } } }) });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, llmExtractionMode: 'multi-field' });
+    const result = await extractor.extract(text, { maxRepairAttempts: 0 });
+
+    assert.deepStrictEqual(result.data, { employer: 'Acme Ltd', scheme: 'P1' });
+    assert.deepStrictEqual(result.errors.map(e => [e.field, e.code]), [['age', 'FIELD_NOT_RETURNED']]);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaBuilder, SchemaExtractor, ValidationEngine, DocumentComparator, MockProvider } = require('../src');
+
+const tier = new SchemaBuilder('benefit-tier')
+  .number('rate').required()
+  .currency('threshold', { amount: true })
+  .date('effectiveDate');
+
+const schema = new SchemaBuilder('nested')
+  .array('tiers', { items: tier })
+  .object('contact', {
+    properties: [
+      { name: 'name', type: 'string', required: true },
+      { name: 'email', type: 'string', format: 'email' },
+      { name: 'address', type: 'object', properties: [{ name: 'postcode', type: 'string', required: true }] }
+    ]
+  })
+  .build();
+
+describe('nested schemas', () => {
+  it('should build sub-schemas from builders and field definitions', () => {
+    const [tiers, contact] = schema.fields;
+
+    assert.strictEqual(tiers.items.type, 'object');
+    assert.deepStrictEqual(tiers.items.properties.map(f => f.name), ['rate', 'threshold', 'effectiveDate']);
+    assert.strictEqual(contact.properties[2].properties[0].name, 'postcode');
+  });
+
+  it('should report validation errors with their nested path', () => {
+    const result = new ValidationEngine().validate({
+      tiers: [{ rate: 1 }, { rate: 'x' }, {}],
+      contact: { email: 'not-an-email', address: {} }
+    }, schema);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(e => [e.path, e.code, e.field]), [
+      ['tiers[1].rate', 'TYPE_MISMATCH', 'tiers'],
+      ['tiers[2].rate', 'REQUIRED', 'tiers'],
+      ['contact.name', 'REQUIRED', 'contact'],
+      ['contact.email', 'INVALID_FORMAT', 'contact'],
+      ['contact.address.postcode', 'REQUIRED', 'contact']
+    ]);
+  });
+
+  it('should accept nested data that conforms', () => {
+    const result = new ValidationEngine().validate({
+      tiers: [{ rate: 5, threshold: 1000 }],
+      contact: { name: 'Jo', email: 'jo@example.com', address: { postcode: 'AB1 2CD' } }
+    }, schema);
+
+    assert.strictEqual(result.valid, true);
+  });
+
+  it('should extract nested values in the schema\'s shape', async () => {
+    const provider = new MockProvider({
+      responses: {
+        tiers: {
+          items: [
+            { value: { rate: '5', threshold: '£1,000', effectiveDate: '1st April 2024' } },
+            { value: { rate: 7.5 } }
+          ]
+        },
+        contact: { value: { name: 'Jo', address: { postcode: 'AB1 2CD' } } }
+      }
+    });
+    const result = await new SchemaExtractor({ schema, llmProvider: provider }).extract('Benefit tiers');
+
+    assert.deepStrictEqual(result.data, {
+      tiers: [{ rate: 5, threshold: 1000, effectiveDate: '2024-04-01' }, { rate: 7.5 }],
+      contact: { name: 'Jo', address: { postcode: 'AB1 2CD' } }
+    });
+  });
+
+  it('should re-ask when a nested value is missing a required sub-field', async () => {
+    const provider = new MockProvider({ responses: { contact: { value: { email: 'jo@example.com' } } } });
+    const result = await new SchemaExtractor({ schema, llmProvider: provider })
+      .extract('Contact', { maxRepairAttempts: 0 });
+
+    const error = result.errors.find(e => e.field === 'contact');
+    assert.strictEqual(error.code, 'INVALID_LLM_RESPONSE');
+    assert.match(error.error, /\$\.value\.name: is required/);
+  });
+
+  it('should compare nested values element by element', () => {
+    const comparison = new DocumentComparator().compare(
+      { tiers: [{ rate: 1 }, { rate: 2 }], contact: { name: 'A' } },
+      { tiers: [{ rate: 1 }, { rate: 3 }], contact: { name: 'B' } }
+    );
+
+    const [tiers, contact] = comparison.differences;
+    assert.deepStrictEqual(tiers.elementChanges[0].changes.map(c => [c.path, c.valueA, c.valueB]), [['tiers[1].rate', 2, 3]]);
+    assert.deepStrictEqual(contact.changes.map(c => c.path), ['contact.name']);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SchemaExtractor,
+  SchemaBuilder,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  AnthropicProvider,
+  LocalModelProvider,
+  MockProvider,
+  ProviderError
+} = require('../src');
+
+/**
+ * fetch stand-in that records requests and replies with `reply`
+ */
+function fakeFetch(reply, { status = 200, headers = {} } = {}) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: name => headers[name.toLowerCase()] ?? null },
+      json: async () => reply,
+      text: async () => JSON.stringify(reply)
+    };
+  };
+  fetch.requests = requests;
+  return fetch;
+}
+
+const prompt = { system: 'Extract fields.', user: 'Document text' };
+const responseSchema = { name: 'field.value', schema: { type: 'object', properties: { value: { type: 'number' } } } };
+
+describe('OpenAIProvider', () => {
+  it('should send chat messages and normalise the completion', async () => {
+    const fetch = fakeFetch({
+      model: 'gpt-4o-mini',
+      choices: [{ message: { content: '{"value":1}' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+    });
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', fetch });
+    const result = await provider.complete(prompt);
+
+    const request = fetch.requests[0];
+    assert.strictEqual(request.url, 'https://api.openai.com/v1/chat/completions');
+    assert.strictEqual(request.headers.Authorization, 'Bearer sk-test');
+    assert.deepStrictEqual(request.body.messages.map(m => m.role), ['system', 'user']);
+    assert.deepStrictEqual(request.body.response_format, { type: 'json_object' });
+    assert.strictEqual(result.content, '{"value":1}');
+    assert.deepStrictEqual(result.usage, { promptTokens: 10, completionTokens: 3, totalTokens: 13 });
+    assert.strictEqual(result.provider, 'openai');
+  });
+
+  it('should request structured output when the prompt carries a schema', async () => {
+    const fetch = fakeFetch({ choices: [{ message: { content: '{}' } }] });
+    await new OpenAIProvider({ fetch }).complete({ ...prompt, responseSchema });
+
+    assert.strictEqual(fetch.requests[0].body.response_format.type, 'json_schema');
+  });
+
+  it('should classify rate limits with the retry-after delay', async () => {
+    const fetch = fakeFetch({ error: 'slow down' }, { status: 429, headers: { 'retry-after': '2' } });
+    await assert.rejects(new OpenAIProvider({ fetch }).complete(prompt), error => {
+      assert.ok(error instanceof ProviderError);
+      assert.strictEqual(error.code, 'RATE_LIMITED');
+      assert.strictEqual(error.retryable, true);
+      assert.strictEqual(error.retryAfterMs, 2000);
+      return true;
+    });
+  });
+
+  it('should not retry auth errors', async () => {
+    const fetch = fakeFetch({}, { status: 401 });
+    await assert.rejects(new OpenAIProvider({ fetch }).complete(prompt), { code: 'AUTH_ERROR', retryable: false });
+  });
+});
+
+describe('AzureOpenAIProvider', () => {
+  it('should address the deployment and omit the model', async () => {
+    const fetch = fakeFetch({ choices: [{ message: { content: '{}' } }] });
+    const provider = new AzureOpenAIProvider({
+      endpoint: 'https://res.openai.azure.com/',
+      deployment: 'gpt-4o',
+      apiKey: 'key',
+      fetch
+    });
+    await provider.complete(prompt);
+
+    const request = fetch.requests[0];
+    assert.match(request.url, /^https:\/\/res\.openai\.azure\.com\/openai\/deployments\/gpt-4o\/chat\/completions\?api-version=/);
+    assert.strictEqual(request.headers['api-key'], 'key');
+    assert.strictEqual(request.body.model, undefined);
+  });
+
+  it('should require endpoint and deployment', () => {
+    assert.throws(() => new AzureOpenAIProvider({ endpoint: 'https://x' }), /endpoint and deployment/);
+  });
+});
+
+describe('AnthropicProvider', () => {
+  it('should call the Messages API with the system prompt and version headers', async () => {
+    const fetch = fakeFetch({
+      model: 'claude-3-5-haiku-latest',
+      content: [{ type: 'text', text: '"value":1}' }],
+      usage: { input_tokens: 12, output_tokens: 4 }
+    });
+    const provider = new AnthropicProvider({ apiKey: 'ak-test', fetch });
+    const result = await provider.complete(prompt);
+
+    const request = fetch.requests[0];
+    assert.strictEqual(request.url, 'https://api.anthropic.com/v1/messages');
+    assert.strictEqual(request.headers['x-api-key'], 'ak-test');
+    assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(request.body.system, 'Extract fields.');
+    assert.ok(request.body.max_tokens > 0);
+    assert.deepStrictEqual(request.body.messages, [
+      { role: 'user', content: 'Document text' },
+      { role: 'assistant', content: '{' }
+    ]);
+    assert.strictEqual(result.content, '{"value":1}');
+    assert.deepStrictEqual(result.usage, { promptTokens: 12, completionTokens: 4, totalTokens: 16 });
+    assert.strictEqual(result.provider, 'anthropic');
+  });
+
+  it('should force a tool call for structured output and return its input', async () => {
+    const fetch = fakeFetch({ content: [{ type: 'tool_use', name: 'field_value', input: { value: 42 } }] });
+    const result = await new AnthropicProvider({ fetch }).complete({ ...prompt, responseSchema });
+
+    const body = fetch.requests[0].body;
+    assert.strictEqual(body.tools[0].name, 'field_value');
+    assert.deepStrictEqual(body.tools[0].input_schema, responseSchema.schema);
+    assert.deepStrictEqual(body.tool_choice, { type: 'tool', name: 'field_value' });
+    assert.strictEqual(result.content, '{"value":42}');
+  });
+
+  it('should classify 429 and 529 replies as retryable with retry-after', async () => {
+    const rateLimited = fakeFetch({}, { status: 429, headers: { 'retry-after': '3' } });
+    await assert.rejects(new AnthropicProvider({ fetch: rateLimited }).complete(prompt), error => {
+      assert.strictEqual(error.code, 'RATE_LIMITED');
+      assert.strictEqual(error.retryAfterMs, 3000);
+      return true;
+    });
+
+    const overloaded = fakeFetch({}, { status: 529 });
+    await assert.rejects(new AnthropicProvider({ fetch: overloaded }).complete(prompt), error => {
+      assert.strictEqual(error.code, 'OVERLOADED');
+      assert.strictEqual(error.status, 529);
+      assert.strictEqual(error.retryable, true);
+      return true;
+    });
+  });
+});
+
+describe('LocalModelProvider', () => {
+  it('should speak the Ollama chat protocol', async () => {
+    const fetch = fakeFetch({ message: { content: '{}' }, prompt_eval_count: 5, eval_count: 2 });
+    const result = await new LocalModelProvider({ model: 'llama3.1', fetch }).complete({ ...prompt, responseSchema });
+
+    const request = fetch.requests[0];
+    assert.strictEqual(request.url, 'http://localhost:11434/api/chat');
+    assert.strictEqual(request.body.stream, false);
+    assert.deepStrictEqual(request.body.format, responseSchema.schema);
+    assert.deepStrictEqual(result.usage, { promptTokens: 5, completionTokens: 2, totalTokens: 7 });
+  });
+
+  it('should report network failures as retryable', async () => {
+    const fetch = async () => { throw new Error('ECONNREFUSED'); };
+    await assert.rejects(new LocalModelProvider({ fetch }).complete(prompt), { code: 'NETWORK_ERROR', retryable: true });
+  });
+});
+
+describe('MockProvider', () => {
+  it('should answer from per-field responses and record calls', async () => {
+    const provider = new MockProvider({ responses: { age: 65, name: { value: 'Acme', confidence: 0.5 } } });
+
+    const single = await provider.complete({ ...prompt, fields: ['age'] });
+    assert.deepStrictEqual(JSON.parse(single.content), { value: 65, confidence: 0.9 });
+
+    const multi = await provider.complete({ ...prompt, mode: 'multi-field', fields: ['name', 'missing'] });
+    assert.deepStrictEqual(JSON.parse(multi.content), {
+      fields: { name: { value: 'Acme', confidence: 0.5 }, missing: { value: null, confidence: 0 } }
+    });
+    assert.strictEqual(provider.calls.length, 2);
+  });
+
+  it('should pass list replies through for array fields', async () => {
+    const schema = new SchemaBuilder('list').array('trustees', { items: { type: 'string' } }).build();
+    const extractor = new SchemaExtractor({ schema });
+    extractor.setLLMProvider(new MockProvider({
+      responses: {
+        trustees: { items: [{ value: 'A Smith', sourceText: 'Trustee A Smith' }, { value: 'B Jones', sourceText: 'Trustee B Jones' }] }
+      }
+    }));
+    const result = await extractor.extract('Trustee A Smith and Trustee B Jones');
+
+    assert.deepStrictEqual(result.data.trustees, ['A Smith', 'B Jones']);
+    assert.deepStrictEqual(result.citations.map(c => c.text), ['Trustee A Smith', 'Trustee B Jones']);
+  });
+});
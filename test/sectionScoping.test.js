@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider, SourceDocument } = require('../src');
+
+const text = [
+  '1 Introduction\nMembers paid 3 per cent from age 60 until 2020.',
+  '2 Benefits\nThe normal pension age is 65.',
+  '3 Contributions\nMembers pay 5 per cent.',
+  '4 Governing Law\nThe laws of England apply.'
+].join('\n\n');
+
+describe('section scoping', () => {
+  it('should only search a field\'s sections with patterns', async () => {
+    const schema = new SchemaBuilder('scoped')
+      .integer('age').pattern(/age (?:is )?(\d+)/).inSection('Benefits')
+      .integer('rate').pattern(/(\d+) per cent/).inSection('3')
+      .build();
+    const result = await new SchemaExtractor({ schema }).extract(text);
+
+    assert.deepStrictEqual(result.data, { age: 65, rate: 5 });
+    assert.deepStrictEqual(result.metadata.sectionTargets, {
+      age: { sections: ['section-2'], fallback: undefined },
+      rate: { sections: ['section-3'], fallback: undefined }
+    });
+  });
+
+  it('should search the whole document or nothing when no section matches', async () => {
+    const schema = new SchemaBuilder('fallback').integer('age').pattern(/pension age is (\d+)/).inSection('Trustees').build();
+
+    const whole = await new SchemaExtractor({ schema }).extract(text);
+    assert.strictEqual(whole.data.age, 65);
+    assert.strictEqual(whole.metadata.sectionTargets.age.fallback, 'document');
+
+    const none = await new SchemaExtractor({ schema, sectionFallback: 'none' }).extract(text);
+    assert.strictEqual(none.data.age, undefined);
+    assert.strictEqual(none.metadata.sectionTargets.age.fallback, 'none');
+  });
+
+  it('should keep scoped fields scoped when another field in the group falls back', async () => {
+    const schema = new SchemaBuilder('grouped')
+      .integer('age').inSection('Benefits')
+      .string('law').inSection('Trustees')
+      .integer('rate').inSection('Contributions')
+      .build();
+    const provider = new MockProvider({ responses: { age: 65, law: 'England', rate: 5 } });
+    const extractor = new SchemaExtractor({ schema, llmProvider: provider, llmExtractionMode: 'multi-field' });
+    const result = await extractor.extract(text);
+
+    assert.deepStrictEqual(Object.keys(result.metadata.sectionTargets), ['age', 'law', 'rate']);
+    assert.deepStrictEqual(provider.calls.map(call => call.prompt.fields), [['age', 'rate'], ['law']]);
+
+    const [scoped, whole] = provider.calls.map(call => call.prompt.user);
+    assert.ok(scoped.includes('pension age is 65') && scoped.includes('Members pay 5'));
+    assert.ok(!scoped.includes('Governing Law'));
+    assert.ok(whole.includes('Governing Law'));
+  });
+
+  it('should clip a chunk spanning separate sections once', () => {
+    const source = new SourceDocument({ text });
+    const extractor = new SchemaExtractor({ schema: new SchemaBuilder('clip').string('x').build() });
+    const fields = [{ name: 'age', sections: ['Benefits'] }, { name: 'law', sections: ['Governing Law'] }];
+    const chunks = [{ index: 0, text, startOffset: 0, endOffset: text.length }];
+
+    const scoped = extractor._scopeChunks(fields, chunks, { sectionFallback: 'document' }, { source, text, sectionTargets: {} });
+
+    assert.strictEqual(scoped.length, 1);
+    assert.strictEqual(scoped[0].index, 0);
+    assert.strictEqual(scoped[0].text, text.slice(text.indexOf('2 Benefits')));
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider } = require('../src');
+
+/**
+ * Extract one field with the given strategy chain
+ */
+async function extractWith(text, define, options = {}) {
+  const schema = define(new SchemaBuilder('strategies')).build();
+  const extractor = new SchemaExtractor({ schema, ...options });
+  const result = await extractor.extract(text);
+  return { result, text };
+}
+
+/**
+ * Assert every citation points at its text in the source
+ */
+function assertCitationsExact(result, text) {
+  for (const citation of result.citations) {
+    assert.strictEqual(text.slice(citation.startOffset, citation.endOffset), citation.text);
+  }
+}
+
+describe('extraction strategies', () => {
+  describe('key-value', () => {
+    it('should read the rest of a matching key line', async () => {
+      const { result, text } = await extractWith(
+        'Scheme name: Acme Pension Plan\nEffective date - 1 April 2024',
+        schema => schema.string('schemeName').extractWith('key-value').date('effectiveDate').extractWith('key-value')
+      );
+      assert.strictEqual(result.data.schemeName, 'Acme Pension Plan');
+      assert.strictEqual(result.data.effectiveDate, '2024-04-01');
+      assert.deepStrictEqual(result.metadata.strategies.schemeName.strategy, 'key-value');
+      assertCitationsExact(result, text);
+    });
+  });
+
+  describe('lookup', () => {
+    it('should map the earliest term found to its value', async () => {
+      const { result } = await extractWith(
+        'This deed is governed by the law of Scotland, not England and Wales.',
+        schema => schema.string('jurisdiction').extractWith({ name: 'lookup', table: { 'England and Wales': 'EW', 'Scotland': 'SC' } })
+      );
+      assert.strictEqual(result.data.jurisdiction, 'SC');
+    });
+  });
+
+  describe('section-title', () => {
+    it('should read a heading number or title', async () => {
+      const { result } = await extractWith(
+        '12.3 Transfers out\nA member may transfer.',
+        schema => schema
+          .string('ruleNumber').extractWith({ name: 'section-title', part: 'number' })
+          .string('ruleTitle').extractWith('section-title')
+      );
+      assert.strictEqual(result.data.ruleNumber, '12.3');
+      assert.strictEqual(result.data.ruleTitle, 'Transfers out');
+    });
+  });
+
+  describe('table-cell', () => {
+    const employerRate = schema => schema
+      .percentage('employerRate').extractWith({ name: 'table-cell', row: 'Employer rate', column: '2024' });
+
+    it('should read a markdown table cell with exact offsets', async () => {
+      const { result, text } = await extractWith(
+        '| Rate | 2023 | 2024 |\n|---|---|---|\n| Employer rate | 5% | 6.5% |',
+        employerRate
+      );
+      assert.strictEqual(result.data.employerRate, 6.5);
+      assertCitationsExact(result, text);
+    });
+
+    it('should read tab-separated rows', async () => {
+      const { result } = await extractWith('Rate\t2023\t2024\nEmployer rate\t5%\t6%', employerRate);
+      assert.strictEqual(result.data.employerRate, 6);
+    });
+
+    it('should read columns aligned over several lines', async () => {
+      const { result, text } = await extractWith(
+        'Rate             2023     2024\n---------------  -------  ------\nEmployer rate    5.0%     6.0%\nMember rate       3%      3.5%',
+        employerRate
+      );
+      assert.strictEqual(result.data.employerRate, 6);
+      assertCitationsExact(result, text);
+    });
+
+    it('should not read prose with a double space as a table', async () => {
+      const { result } = await extractWith(
+        'The employer  rate is reviewed yearly.\nEmployer rate  may change.',
+        schema => schema.string('employerRate').extractWith({ name: 'table-cell', row: 'Employer rate' })
+      );
+      assert.strictEqual(result.data.employerRate, undefined);
+    });
+
+    it('should not join lines whose columns do not line up', async () => {
+      const { result } = await extractWith(
+        'Rate  2024\nEmployer rate            6%',
+        employerRate
+      );
+      assert.strictEqual(result.data.employerRate, undefined);
+    });
+  });
+
+  describe('chains', () => {
+    it('should fall back to the next strategy and record every attempt', async () => {
+      const { result } = await extractWith(
+        'Employer: Acme Ltd',
+        schema => schema.string('employer').pattern(/Employer:\s*(.+)/).extractWith('key-value', 'pattern')
+      );
+      assert.strictEqual(result.data.employer, 'Acme Ltd');
+
+      const { result: fallback } = await extractWith(
+        'Principal employer is Acme Ltd.',
+        schema => schema.string('employer').pattern(/employer is ([^.]+)/).extractWith('key-value', 'pattern')
+      );
+      assert.strictEqual(fallback.data.employer, 'Acme Ltd');
+      assert.deepStrictEqual(fallback.metadata.strategies.employer.attempts.map(a => [a.strategy, a.found]), [
+        ['key-value', false],
+        ['pattern', true]
+      ]);
+    });
+
+    it('should use the LLM only through an llm entry', async () => {
+      const provider = new MockProvider({ responses: { employer: 'Acme Ltd' } });
+      const { result } = await extractWith(
+        'Acme Ltd is the employer.',
+        schema => schema.string('employer').extractWith('key-value', 'llm'),
+        { llmProvider: provider }
+      );
+      assert.strictEqual(result.data.employer, 'Acme Ltd');
+      assert.strictEqual(result.metadata.strategies.employer.strategy, 'llm');
+    });
+
+    it('should accept custom strategies', async () => {
+      const schema = new SchemaBuilder('custom').string('reference').extractWith('fromMetadata').build();
+      const extractor = new SchemaExtractor({ schema })
+        .registerStrategy('fromMetadata', (field, chunks, run) => run.source.metadata?.reference);
+      const result = await extractor.extract({ text: 'Body', metadata: { reference: 'REF-1' } });
+
+      assert.strictEqual(result.data.reference, 'REF-1');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SchemaExtractor, SchemaBuilder, MockProvider, JsonSchemaGenerator } = require('../src');
+
+/**
+ * Provider that replies from a list, one reply per call
+ */
+function scriptedProvider(replies) {
+  return new MockProvider({ handler: () => replies.shift() });
+}
+
+describe('JsonSchemaGenerator', () => {
+  const generator = new JsonSchemaGenerator();
+  const schema = new SchemaBuilder('member')
+    .string('status').oneOf(['open', 'closed'])
+    .object('member', { properties: { name: { type: 'string' }, age: { type: 'integer' } } })
+    .build();
+
+  it('should describe a field reply with a nullable value', () => {
+    const response = generator.fieldResponse(schema.fields[0]);
+
+    assert.deepStrictEqual(response.properties.value, { type: ['string', 'null'], enum: ['open', 'closed', null] });
+    assert.deepStrictEqual(response.required, ['value']);
+  });
+
+  it('should report every non-conforming value by path', () => {
+    const problems = generator.validate({ status: 'pending', member: { name: 1, age: 'x' } }, generator.fromSchema(schema));
+
+    assert.deepStrictEqual(problems, [
+      '$.status: must be one of "open", "closed"',
+      '$.member.name: expected string, got number',
+      '$.member.age: expected integer, got string'
+    ]);
+  });
+});
+
+describe('reply repair', () => {
+  const schema = new SchemaBuilder('repair').integer('age').build();
+
+  it('should send the field\'s JSON Schema with the prompt', async () => {
+    const provider = new MockProvider({ responses: { age: 65 } });
+    await new SchemaExtractor({ schema, llmProvider: provider }).extract('Age 65', { mode: 'llm' });
+
+    const { responseSchema } = provider.calls[0].prompt;
+    assert.strictEqual(responseSchema.name, 'age_extraction');
+    assert.deepStrictEqual(responseSchema.schema.properties.value, { type: ['integer', 'null'] });
+  });
+
+  it('should re-ask with the error and schema until the reply conforms', async () => {
+    const provider = scriptedProvider(['Sixty-five', '{"value": "sixty"}', '{"value": 65, "confidence": 0.9}']);
+    const result = await new SchemaExtractor({ schema, llmProvider: provider }).extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(result.data.age, 65);
+    assert.strictEqual(result.metadata.repairAttempts, 2);
+    const repair = provider.calls[2].prompt.user;
+    assert.ok(repair.includes('Your previous reply could not be used: Invalid LLM response: value could not be converted to integer'));
+    assert.ok(repair.includes('{"value": "sixty"}'));
+    assert.ok(repair.includes('"value":{"type":["integer","null"]}'));
+  });
+
+  it('should record the field instead of guessing once repairs run out', async () => {
+    const provider = scriptedProvider(['{"value": "sixty"}', '{"value": "sixty-five"}', '{"value": 65}']);
+    const result = await new SchemaExtractor({ schema, llmProvider: provider })
+      .extract('Age 65', { mode: 'llm', maxRepairAttempts: 1 });
+
+    assert.strictEqual(provider.calls.length, 2);
+    assert.strictEqual(result.data.age, undefined);
+    assert.deepStrictEqual(result.errors.map(e => [e.field, e.code]), [['age', 'INVALID_LLM_RESPONSE']]);
+  });
+});
+
+describe('LLM reply confidence', () => {
+  it('should keep an explicit zero confidence', async () => {
+    const schema = new SchemaBuilder('zero')
+      .integer('age')
+      .array('trustees', { items: { type: 'string' } })
+      .build();
+    const extractor = new SchemaExtractor({
+      schema,
+      llmProvider: new MockProvider({
+        responses: {
+          age: { value: 65, confidence: 0 },
+          trustees: { items: [{ value: 'A Smith' }], confidence: 0 }
+        }
+      })
+    });
+    const result = await extractor.extractWithValidation('Age 65. Trustee A Smith.', { mode: 'llm' });
+
+    assert.deepStrictEqual(result.fieldConfidences, { age: 0, trustees: 0 });
+    assert.deepStrictEqual(result.fieldsRequiringReview.map(f => f.field), ['age', 'trustees']);
+  });
+
+  it('should default a missing confidence to 0.8', async () => {
+    const schema = new SchemaBuilder('missing').integer('age').build();
+    const extractor = new SchemaExtractor({ schema, llmProvider: new MockProvider({ handler: () => ({ value: 65 }) }) });
+    const result = await extractor.extract('Age 65', { mode: 'llm' });
+
+    assert.strictEqual(result.fieldConfidences.age, 0.8);
+  });
+});